@@ -0,0 +1,83 @@
+// Barcode numbering schemes a company can generate item barcodes with
+const BARCODE_FORMATS = ['code128', 'ean13', 'upca'];
+
+// Total digits, including the check digit, of the numeric formats
+const GTIN_LENGTHS = {
+  ean13: 13,
+  upca: 12
+};
+
+// Default prefixes fall in the GS1 ranges reserved for in-store numbering,
+// so generated codes never clash with manufacturer barcodes
+const DEFAULT_PREFIXES = {
+  ean13: '20',
+  upca: '4'
+};
+
+// Anything Code 128 can print: visible ASCII, kept short enough to scan
+const isCode128Text = (value) => /^[\x20-\x7E]{1,48}$/.test(value);
+
+// GS1 mod-10 check digit for a GTIN body (all digits but the check digit)
+const gtinCheckDigit = (body) => {
+  let sum = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    // Weights alternate 3, 1, 3... starting from the rightmost digit
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+const isValidGtin = (code) =>
+  /^\d{8,14}$/.test(code) && gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+// Returns an error message when prefix cannot be used with format
+const validatePrefix = (format, prefix) => {
+  if (!BARCODE_FORMATS.includes(format)) {
+    return `Barcode format must be one of: ${BARCODE_FORMATS.join(', ')}`;
+  }
+
+  if (!prefix) {
+    return null;
+  }
+
+  if (format === 'code128') {
+    return /^[A-Za-z0-9]{1,20}$/.test(prefix)
+      ? null
+      : 'Code 128 prefixes must be 1-20 letters or digits';
+  }
+
+  // Leave at least four digits for the sequence number
+  const maxLength = GTIN_LENGTHS[format] - 5;
+  return new RegExp(`^\\d{1,${maxLength}}$`).test(prefix)
+    ? null
+    : `${format.toUpperCase()} prefixes must be 1-${maxLength} digits`;
+};
+
+// Barcode for the sequence-th item of a company. Returns null once the
+// sequence no longer fits in the digits left after the prefix.
+const buildBarcode = (format, { companyCode, prefix, sequence }) => {
+  if (format === 'code128') {
+    return `${prefix || companyCode}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  const gtinPrefix = prefix || DEFAULT_PREFIXES[format];
+  const body = gtinPrefix + String(sequence).padStart(GTIN_LENGTHS[format] - 1 - gtinPrefix.length, '0');
+
+  if (body.length !== GTIN_LENGTHS[format] - 1) {
+    return null;
+  }
+
+  return body + gtinCheckDigit(body);
+};
+
+module.exports = {
+  BARCODE_FORMATS,
+  isCode128Text,
+  gtinCheckDigit,
+  isValidGtin,
+  validatePrefix,
+  buildBarcode
+};
@@ -0,0 +1,71 @@
+// Plain text and HTML bodies of the emails the API sends
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Single call-to-action email: a greeting, a few paragraphs and one button
+const actionEmail = ({ greeting, paragraphs, actionLabel, actionUrl, footer }) => ({
+  text: [greeting, ...paragraphs, `${actionLabel}: ${actionUrl}`, footer]
+    .filter(Boolean)
+    .join('\n\n'),
+  html: `<div style="font-family: -apple-system, Helvetica, Arial, sans-serif; max-width: 480px; color: #1f2937;">
+<p>${escapeHtml(greeting)}</p>
+${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+<p><a href="${escapeHtml(actionUrl)}" style="display: inline-block; background: #7c3aed; color: #ffffff; padding: 12px 20px; border-radius: 10px; text-decoration: none;">${escapeHtml(actionLabel)}</a></p>
+${footer ? `<p style="color: #6b7280; font-size: 13px;">${escapeHtml(footer)}</p>` : ''}
+</div>`
+});
+
+const invitationEmail = ({ name, companyName, inviterName, role, link, expiresAt }) => ({
+  subject: `You're invited to join ${companyName} on Inventory Pro`,
+  ...actionEmail({
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `${inviterName} has invited you to join ${companyName} on Inventory Pro with the ${role} role.`,
+      'Open the link below to choose your password and sign in.'
+    ],
+    actionLabel: 'Accept invitation',
+    actionUrl: link,
+    footer: `This invitation expires on ${expiresAt.toUTCString()}. If you weren't expecting it, you can ignore this email.`
+  })
+});
+
+const passwordResetEmail = ({ name, link, expiresAt }) => ({
+  subject: 'Reset your Inventory Pro password',
+  ...actionEmail({
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      'Someone asked to reset the password of your Inventory Pro account.',
+      'Open the link below to choose a new password. The link works once.'
+    ],
+    actionLabel: 'Reset password',
+    actionUrl: link,
+    footer: `This link expires on ${expiresAt.toUTCString()}. If you didn't ask for a reset, you can ignore this email; your password stays the same.`
+  })
+});
+
+// alerts: [{ itemName, kind ("low" or "out"), quantity, reorderPoint }]
+const stockAlertDigestEmail = ({ name, companyName, alerts, link }) => ({
+  subject: `${alerts.length} ${alerts.length === 1 ? 'item needs' : 'items need'} restocking at ${companyName}`,
+  ...actionEmail({
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `These items at ${companyName} have run low or out since the last update:`,
+      ...alerts.map(alert => (alert.kind === 'out'
+        ? `${alert.itemName}: out of stock`
+        : `${alert.itemName}: ${alert.quantity} left (reorder point ${alert.reorderPoint})`))
+    ],
+    actionLabel: 'Open Inventory Pro',
+    actionUrl: link,
+    footer: 'You can choose which stock alerts you get by email under Settings > Notifications.'
+  })
+});
+
+module.exports = {
+  invitationEmail,
+  passwordResetEmail,
+  stockAlertDigestEmail
+};
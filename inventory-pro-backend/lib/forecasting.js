@@ -0,0 +1,144 @@
+// Demand forecasting from an item's daily consumption history. A series is
+// [{ date: 'YYYY-MM-DD', quantity }], one entry per day, oldest first.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+
+// Weight of the newest day in the exponentially smoothed rate; higher
+// values follow recent changes faster but are noisier
+const SMOOTHING_ALPHA = 0.3;
+
+// Safety stock covers demand variation at a 95% service level
+const SAFETY_STOCK_Z = 1.65;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const mean = (values) => (values.length === 0 ? 0 : sum(values) / values.length);
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const addDays = (date, days) =>
+  new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Average daily quantity over the last window days (all of them when the
+// series is shorter)
+const movingAverage = (series, window) => mean(series.slice(-window).map(day => day.quantity));
+
+// How much more or less than an average day is consumed on each weekday
+// (index 0 is Sunday), or null without two full weeks of consumption to
+// learn from
+const weeklySeasonality = (series) => {
+  const average = mean(series.map(day => day.quantity));
+
+  if (series.length < 2 * WEEK_DAYS || average === 0) {
+    return null;
+  }
+
+  const byWeekday = Array.from({ length: WEEK_DAYS }, () => []);
+  series.forEach(day => byWeekday[weekday(day.date)].push(day.quantity));
+
+  return byWeekday.map(quantities => mean(quantities) / average);
+};
+
+// Exponentially smoothed daily rate with the weekly pattern taken out,
+// starting from the average of the first week. Days on a weekday that never
+// sees consumption say nothing about the rate and are skipped.
+const smoothedRate = (series, seasonality) => {
+  const deseasonalized = series
+    .map(day => {
+      const factor = seasonality ? seasonality[weekday(day.date)] : 1;
+      return factor > 0 ? day.quantity / factor : null;
+    })
+    .filter(value => value !== null);
+
+  if (deseasonalized.length === 0) {
+    return 0;
+  }
+
+  let level = mean(deseasonalized.slice(0, WEEK_DAYS));
+  deseasonalized.slice(WEEK_DAYS).forEach(value => {
+    level = SMOOTHING_ALPHA * value + (1 - SMOOTHING_ALPHA) * level;
+  });
+
+  return level;
+};
+
+// Expected consumption for each of the horizonDays after the series ends
+const projectDemand = (series, { horizonDays }) => {
+  const seasonality = weeklySeasonality(series);
+  const rate = smoothedRate(series, seasonality);
+  const lastDate = series[series.length - 1].date;
+
+  const projected = Array.from({ length: horizonDays }, (_, i) => {
+    const date = addDays(lastDate, i + 1);
+    const factor = seasonality ? seasonality[weekday(date)] : 1;
+    return { date, quantity: rate * factor };
+  });
+
+  return { rate, seasonality, projected };
+};
+
+// First projected day on which stock runs out, or null when it lasts past
+// the projection. Stock already gone runs out on the day the series ends.
+const projectStockout = (quantity, projected, today) => {
+  if (quantity <= 0) {
+    return { date: today, days: 0 };
+  }
+
+  let remaining = quantity;
+  for (let i = 0; i < projected.length; i++) {
+    remaining -= projected[i].quantity;
+    if (remaining <= 0) {
+      return { date: projected[i].date, days: i + 1 };
+    }
+  }
+
+  return null;
+};
+
+// Forecast for one item from its consumption series (which must not be
+// empty) and stock position. The suggested order covers expected demand
+// over the supplier lead time plus coverDays, with safety stock for the
+// lead time, less what is on hand and already on order, and never takes
+// stock above maxStock.
+const forecastItem = ({ series, quantity, onOrder = 0, maxStock = null, leadTimeDays, coverDays, horizonDays }) => {
+  const { rate, seasonality, projected } = projectDemand(series, {
+    horizonDays: Math.max(horizonDays, leadTimeDays + coverDays)
+  });
+  const stockout = projectStockout(quantity, projected, series[series.length - 1].date);
+
+  const quantities = series.map(day => day.quantity);
+  const demand = sum(projected.slice(0, leadTimeDays + coverDays).map(day => day.quantity));
+  const safetyStock = SAFETY_STOCK_Z * standardDeviation(quantities) * Math.sqrt(leadTimeDays);
+
+  let suggested = Math.ceil(demand + safetyStock - quantity - onOrder);
+  if (maxStock !== null) {
+    suggested = Math.min(suggested, maxStock - quantity - onOrder);
+  }
+
+  return {
+    history_days: series.length,
+    daily_rate: round(rate),
+    moving_average_7: round(movingAverage(series, WEEK_DAYS)),
+    moving_average_28: round(movingAverage(series, 4 * WEEK_DAYS)),
+    seasonality: seasonality && seasonality.map(factor => round(factor)),
+    stockout_date: stockout ? stockout.date : null,
+    days_until_stockout: stockout ? stockout.days : null,
+    safety_stock: Math.ceil(safetyStock),
+    suggested_reorder_quantity: Math.max(suggested, 0),
+    projected: projected.slice(0, horizonDays).map(day => ({ date: day.date, quantity: round(day.quantity) }))
+  };
+};
+
+module.exports = {
+  movingAverage,
+  weeklySeasonality,
+  forecastItem
+};
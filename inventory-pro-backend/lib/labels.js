@@ -0,0 +1,215 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { isValidGtin } = require('./barcodes');
+
+// bwip-js encoder names of the symbologies labels can be printed in
+const LABEL_SYMBOLOGIES = ['code128', 'ean13', 'upca', 'qrcode'];
+
+// Label sheet geometry in PDF points (72 per inch)
+const LABEL_LAYOUTS = {
+  // Avery 5160 / 8160: 30 labels of 2 5/8" x 1" on US Letter
+  avery5160: {
+    size: 'LETTER',
+    columns: 3,
+    rows: 10,
+    width: 189,
+    height: 72,
+    left: 13.5,
+    top: 36,
+    pitchX: 198,
+    pitchY: 72
+  }
+};
+
+const LABEL_PADDING = 6;
+const NAME_FONT_SIZE = 8;
+
+// Returns an error message when barcode cannot be drawn in symbology
+const symbologyError = (symbology, barcode) => {
+  if (symbology === 'ean13' && !(barcode.length === 13 && isValidGtin(barcode))) {
+    return `${barcode} is not a valid EAN-13 barcode`;
+  }
+
+  if (symbology === 'upca' && !(barcode.length === 12 && isValidGtin(barcode))) {
+    return `${barcode} is not a valid UPC-A barcode`;
+  }
+
+  return null;
+};
+
+// Parse the flat SVG bwip-js produces into its size and path list
+const renderSymbol = (symbology, barcode) => {
+  const options = symbology === 'qrcode'
+    ? { bcid: symbology, text: barcode }
+    : { bcid: symbology, text: barcode, height: 10, includetext: true, textxalign: 'center' };
+  const svg = bwipjs.toSVG(options);
+
+  const [, width, height] = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/);
+  const paths = [...svg.matchAll(/<path ([^>]*)\/>/g)].map(([, attributes]) => {
+    const attribute = (name) => (attributes.match(new RegExp(`${name}="([^"]*)"`)) || [])[1];
+
+    return {
+      d: attribute('d'),
+      stroke: attribute('stroke'),
+      strokeWidth: Number(attribute('stroke-width')) || 1,
+      fill: attribute('fill') || '#000000',
+      evenOdd: attribute('fill-rule') === 'evenodd'
+    };
+  });
+
+  return { svg, width: Number(width), height: Number(height), paths };
+};
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Rough fit for Helvetica at the name font size; the PDF also clips
+const truncate = (text, width) => {
+  const maxChars = Math.floor(width / (NAME_FONT_SIZE * 0.5));
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+};
+
+// Where the name, symbol and (for QR codes) barcode text go on a label
+const labelBoxes = (symbology, layout) => {
+  const inner = {
+    width: layout.width - 2 * LABEL_PADDING,
+    height: layout.height - 2 * LABEL_PADDING
+  };
+
+  if (symbology === 'qrcode') {
+    const side = inner.height;
+    const textX = LABEL_PADDING + side + LABEL_PADDING;
+
+    return {
+      symbol: { x: LABEL_PADDING, y: LABEL_PADDING, width: side, height: side },
+      name: { x: textX, y: LABEL_PADDING + 14, width: layout.width - textX - LABEL_PADDING },
+      text: { x: textX, y: LABEL_PADDING + 30 }
+    };
+  }
+
+  return {
+    name: { x: LABEL_PADDING, y: LABEL_PADDING + NAME_FONT_SIZE, width: inner.width },
+    symbol: {
+      x: LABEL_PADDING,
+      y: LABEL_PADDING + NAME_FONT_SIZE + 4,
+      width: inner.width,
+      height: inner.height - NAME_FONT_SIZE - 4
+    }
+  };
+};
+
+// One label per item ({ name, barcode }), stacked into a single SVG
+const renderLabelsSvg = (labels, symbology, layoutName = 'avery5160') => {
+  const layout = LABEL_LAYOUTS[layoutName];
+  const boxes = labelBoxes(symbology, layout);
+
+  const groups = labels.map((label, i) => {
+    const symbol = renderSymbol(symbology, label.barcode);
+    const nested = symbol.svg.replace(
+      '<svg ',
+      `<svg x="${boxes.symbol.x}" y="${boxes.symbol.y}" width="${boxes.symbol.width}" height="${boxes.symbol.height}" preserveAspectRatio="xMidYMid meet" `
+    );
+    const barcodeText = boxes.text
+      ? `<text x="${boxes.text.x}" y="${boxes.text.y}" font-family="monospace" font-size="${NAME_FONT_SIZE}">${escapeXml(label.barcode)}</text>`
+      : '';
+
+    return `<g transform="translate(0 ${i * layout.height})">
+<text x="${boxes.name.x}" y="${boxes.name.y}" font-family="Helvetica, Arial, sans-serif" font-size="${NAME_FONT_SIZE}" font-weight="bold">${escapeXml(truncate(label.name, boxes.name.width))}</text>
+${barcodeText}
+${nested}
+</g>`;
+  });
+
+  const height = labels.length * layout.height;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width / 72}in" height="${height / 72}in" viewBox="0 0 ${layout.width} ${height}">
+${groups.join('\n')}
+</svg>
+`;
+};
+
+const drawSymbol = (doc, symbol, box) => {
+  const scale = Math.min(box.width / symbol.width, box.height / symbol.height);
+
+  doc.save();
+  doc.translate(
+    box.x + (box.width - symbol.width * scale) / 2,
+    box.y + (box.height - symbol.height * scale) / 2
+  );
+  doc.scale(scale);
+
+  symbol.paths.forEach(path => {
+    doc.path(path.d);
+    if (path.stroke) {
+      doc.lineWidth(path.strokeWidth).stroke(path.stroke);
+    } else {
+      doc.fill(path.fill, path.evenOdd ? 'even-odd' : 'non-zero');
+    }
+  });
+
+  doc.restore();
+};
+
+// Label sheet PDF. skip leaves that many positions empty at the start so a
+// partly used sheet can be fed through the printer again.
+const renderLabelsPdf = (labels, symbology, { layoutName = 'avery5160', skip = 0 } = {}) =>
+  new Promise((resolve, reject) => {
+    const layout = LABEL_LAYOUTS[layoutName];
+    const boxes = labelBoxes(symbology, layout);
+    const perPage = layout.columns * layout.rows;
+
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    labels.forEach((label, i) => {
+      const position = skip + i;
+      const slot = position % perPage;
+
+      if (i === 0 || slot === 0) {
+        doc.addPage();
+      }
+
+      const x = layout.left + (slot % layout.columns) * layout.pitchX;
+      const y = layout.top + Math.floor(slot / layout.columns) * layout.pitchY;
+
+      doc.font('Helvetica-Bold').fontSize(NAME_FONT_SIZE).fillColor('#000000');
+      doc.text(label.name, x + boxes.name.x, y + boxes.name.y - NAME_FONT_SIZE, {
+        width: boxes.name.width,
+        height: NAME_FONT_SIZE + 2,
+        lineBreak: false,
+        ellipsis: true
+      });
+
+      if (boxes.text) {
+        doc.font('Courier').text(label.barcode, x + boxes.text.x, y + boxes.text.y - NAME_FONT_SIZE, {
+          lineBreak: false
+        });
+      }
+
+      drawSymbol(doc, renderSymbol(symbology, label.barcode), {
+        ...boxes.symbol,
+        x: x + boxes.symbol.x,
+        y: y + boxes.symbol.y
+      });
+    });
+
+    doc.end();
+  });
+
+// Standalone QR code as an SVG document, e.g. for an authenticator app setup URI
+const qrCodeSvg = (text) => bwipjs.toSVG({ bcid: 'qrcode', text, scale: 4, paddingwidth: 2, paddingheight: 2 });
+
+module.exports = {
+  LABEL_SYMBOLOGIES,
+  LABEL_LAYOUTS,
+  symbologyError,
+  renderLabelsSvg,
+  renderLabelsPdf,
+  qrCodeSvg
+};
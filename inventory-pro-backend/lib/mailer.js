@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport is a factory returning { name, configured, send, verify }.
+// send(message) takes nodemailer message fields ({ to, subject, text, html })
+// and resolves to { messageId }; verify() resolves to an error message or null.
+const TRANSPORTS = {
+  // Real delivery through an SMTP server
+  smtp: (env) => {
+    const transporter = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+
+    return {
+      name: 'smtp',
+      configured: Boolean(env.SMTP_HOST),
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      },
+      verify: async () => {
+        try {
+          await transporter.verify();
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    };
+  },
+
+  // Writes each message as an .eml file into MAIL_OUTBOX_DIR instead of
+  // sending it, for development and tests
+  file: (env) => {
+    const outboxDir = path.resolve(env.MAIL_OUTBOX_DIR || 'outbox');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      name: 'file',
+      // Only counts as delivery when chosen on purpose, not as the fallback
+      configured: env.MAIL_TRANSPORT === 'file',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(path.join(outboxDir, filename), info.message);
+
+        return { messageId: info.messageId };
+      },
+      verify: async () => {
+        try {
+          await fs.mkdir(outboxDir, { recursive: true });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    };
+  }
+};
+
+// Add or replace a transport by name, e.g. for an HTTP mail API
+const registerTransport = (name, factory) => {
+  TRANSPORTS[name] = factory;
+};
+
+// Mailer for MAIL_TRANSPORT, defaulting to SMTP when SMTP_HOST is set and
+// the file outbox otherwise. Messages are sent from MAIL_FROM.
+const createMailer = (env = process.env) => {
+  const transportName = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+  const factory = TRANSPORTS[transportName];
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+  }
+
+  const transport = factory(env);
+  const from = env.MAIL_FROM || 'Inventory Pro <no-reply@inventorypro.app>';
+
+  return {
+    transport: transport.name,
+    configured: transport.configured,
+    verify: transport.verify,
+    send: (message) => transport.send({ from, ...message })
+  };
+};
+
+module.exports = {
+  registerTransport,
+  createMailer
+};
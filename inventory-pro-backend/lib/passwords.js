@@ -0,0 +1,68 @@
+// bcrypt only looks at the first 72 bytes of a password
+const BCRYPT_MAX_BYTES = 72;
+
+const envFlag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+// Password rules, configurable through PASSWORD_MIN_LENGTH and
+// PASSWORD_REQUIRE_UPPERCASE / _LOWERCASE / _NUMBER / _SYMBOL ("true"/"false")
+const passwordPolicyFromEnv = (env = process.env) => ({
+  minLength: Math.max(Number(env.PASSWORD_MIN_LENGTH) || 8, 6),
+  requireUppercase: envFlag(env.PASSWORD_REQUIRE_UPPERCASE, false),
+  requireLowercase: envFlag(env.PASSWORD_REQUIRE_LOWERCASE, false),
+  requireNumber: envFlag(env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: envFlag(env.PASSWORD_REQUIRE_SYMBOL, false)
+});
+
+// Human-readable list of the rules, for the apps to show next to the field
+const describePasswordPolicy = (policy) => [
+  `At least ${policy.minLength} characters`,
+  policy.requireUppercase && 'An uppercase letter',
+  policy.requireLowercase && 'A lowercase letter',
+  policy.requireNumber && 'A number',
+  policy.requireSymbol && 'A symbol'
+].filter(Boolean);
+
+// Returns an error message when password breaks the policy. email, when
+// given, may not be used as (or inside) the password.
+const validatePassword = (password, policy, { email } = {}) => {
+  if (typeof password !== 'string' || !password) {
+    return 'Password is required';
+  }
+
+  if (password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters`;
+  }
+
+  if (Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+    return `Password must be at most ${BCRYPT_MAX_BYTES} bytes`;
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    return 'Password must contain an uppercase letter';
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    return 'Password must contain a lowercase letter';
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    return 'Password must contain a number';
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain a symbol';
+  }
+
+  const localPart = email && email.split('@')[0].toLowerCase();
+  if (localPart && localPart.length >= 3 && password.toLowerCase().includes(localPart)) {
+    return 'Password must not contain your email address';
+  }
+
+  return null;
+};
+
+module.exports = {
+  passwordPolicyFromEnv,
+  describePasswordPolicy,
+  validatePassword
+};
@@ -0,0 +1,129 @@
+// Roles a user can hold, from most to least privileged
+const ROLES = ['owner', 'admin', 'manager', 'clerk', 'viewer'];
+
+// Accounts created before roles were defined hold "user", which had the
+// clerk's access
+const LEGACY_ROLES = {
+  user: 'clerk'
+};
+
+// What each permission lets a user do
+const PERMISSIONS = {
+  'items:view': 'See items, stock levels and labels',
+  'items:create': 'Add items',
+  'items:update': 'Edit item details and reorder settings',
+  'items:delete': 'Delete items',
+  'items:import': 'Bulk import items from spreadsheets',
+  'catalog:manage': 'Manage item categories and custom fields',
+  'stock:adjust': 'Change stock quantities',
+  'stock:transfer': 'Move stock between locations',
+  'stocktakes:count': 'Count stock in stocktakes',
+  'stocktakes:manage': 'Start, review and approve stocktakes',
+  'locations:view': 'See locations',
+  'locations:manage': 'Add, rename and delete locations',
+  'suppliers:view': 'See suppliers',
+  'suppliers:manage': 'Add, edit and delete suppliers',
+  'purchase_orders:view': 'See purchase orders',
+  'purchase_orders:manage': 'Draft, send and close purchase orders',
+  'purchase_orders:receive': 'Receive goods against purchase orders',
+  'activities:view': 'See the activity log',
+  'audit:view': 'See the audit log of every change',
+  'reports:view': 'See analytics',
+  'data:export': 'Export items and activity',
+  'users:view': 'See the team',
+  'users:manage': 'Invite, edit, deactivate and remove users',
+  'company:manage': 'Change company settings',
+  'webhooks:manage': 'Set up webhooks and inspect their deliveries'
+};
+
+const VIEWER_PERMISSIONS = [
+  'items:view',
+  'locations:view',
+  'suppliers:view',
+  'purchase_orders:view',
+  'activities:view',
+  'reports:view'
+];
+
+const CLERK_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'items:create',
+  'stock:adjust',
+  'stock:transfer',
+  'stocktakes:count',
+  'purchase_orders:receive'
+];
+
+const MANAGER_PERMISSIONS = [
+  ...CLERK_PERMISSIONS,
+  'items:update',
+  'items:delete',
+  'items:import',
+  'catalog:manage',
+  'stocktakes:manage',
+  'locations:manage',
+  'suppliers:manage',
+  'purchase_orders:manage',
+  'data:export',
+  'users:view'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MANAGER_PERMISSIONS,
+  'users:manage',
+  'company:manage',
+  'audit:view',
+  'webhooks:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: Object.keys(PERMISSIONS),
+  admin: ADMIN_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  clerk: CLERK_PERMISSIONS,
+  viewer: VIEWER_PERMISSIONS
+};
+
+// The defined role a stored or requested role stands for, or null
+const normalizeRole = (role) => {
+  if (typeof role !== 'string') {
+    return null;
+  }
+
+  const name = role.trim().toLowerCase();
+  const resolved = LEGACY_ROLES[name] || name;
+  return ROLES.includes(resolved) ? resolved : null;
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+// Owner and admin both count as administrators in the apps
+const isAdminRole = (role) => ['owner', 'admin'].includes(normalizeRole(role));
+
+// Lower numbers are more privileged; unknown roles rank below every role
+const roleRank = (role) => {
+  const index = ROLES.indexOf(normalizeRole(role));
+  return index === -1 ? ROLES.length : index;
+};
+
+// Whether a user with actorRole may give someone role. Nobody can hand out
+// ownership this way, and nobody can grant more access than they hold.
+const canAssignRole = (actorRole, role) =>
+  normalizeRole(role) !== 'owner' && roleRank(actorRole) <= roleRank(role);
+
+// Whether a user with actorRole may act on (e.g. remove) a user with role
+const canManageRole = (actorRole, role) => roleRank(actorRole) <= roleRank(role);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  permissionsFor,
+  hasPermission,
+  isAdminRole,
+  canAssignRole,
+  canManageRole
+};
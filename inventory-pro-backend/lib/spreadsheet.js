@@ -0,0 +1,117 @@
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Plain text of a cell; xlsx cells can hold rich text, formulas or links
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('').trim();
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+  }
+
+  return String(value).trim();
+};
+
+const isXlsxFile = (file) =>
+  file.mimetype === XLSX_MIME || file.originalname.toLowerCase().endsWith('.xlsx');
+
+// Read the first sheet of an uploaded CSV or XLSX file (a multer file).
+// Returns the lower-cased header names and one object per non-empty row,
+// keyed by header, with `row` holding the 1-based row number in the file.
+const readSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+
+  if (isXlsxFile(file)) {
+    await workbook.xlsx.load(file.buffer);
+    sheet = workbook.worksheets[0];
+  } else {
+    // Keep every value as text so barcodes like 000123 survive
+    sheet = await workbook.csv.read(Readable.from([file.buffer]), { map: value => value });
+  }
+
+  const rows = [];
+  let headers = null;
+
+  if (!sheet) {
+    return { headers: [], rows };
+  }
+
+  sheet.eachRow((row, rowNumber) => {
+    const values = Array.from(
+      { length: Math.max(row.values.length - 1, 0) },
+      (_, i) => cellText(row.values[i + 1])
+    );
+
+    if (!headers) {
+      headers = values.map(header => header.replace(/^\uFEFF/, '').toLowerCase());
+      return;
+    }
+
+    if (values.every(value => !value)) {
+      return;
+    }
+
+    const record = { row: rowNumber };
+    headers.forEach((header, i) => {
+      record[header] = values[i] || '';
+    });
+    rows.push(record);
+  });
+
+  return { headers: headers || [], rows };
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const neutralizeFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+// Send records as a CSV or XLSX download. columns are ExcelJS column
+// definitions ({ header, key, width }) and records plain objects by key.
+const sendSpreadsheet = async (res, { filename, sheetName, format, columns, records }) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns;
+
+  if (format === 'xlsx') {
+    records.forEach(record => sheet.addRow(record));
+    sheet.getRow(1).font = { bold: true };
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.type(XLSX_MIME).send(Buffer.from(buffer));
+  }
+
+  records.forEach(record => {
+    const safe = {};
+    Object.keys(record).forEach(key => {
+      safe[key] = neutralizeFormula(record[key]);
+    });
+    sheet.addRow(safe);
+  });
+
+  const buffer = await workbook.csv.writeBuffer();
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  return res.type('text/csv').send(Buffer.from(buffer));
+};
+
+module.exports = {
+  readSpreadsheet,
+  sendSpreadsheet
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 wants every path segment encoded, including the characters
+// encodeURIComponent leaves alone
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+// AWS Signature Version 4 headers for a request without a query string
+const signS3Request = ({ method, url, body, contentType, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(contentType && { 'content-type': contentType })
+  };
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+    '',
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// Every driver is a factory returning { name, configured, put, get, remove }.
+// put(key, body, contentType) stores a Buffer, get(key) resolves to the
+// Buffer or null when there is no such file, and remove(key) deletes it if
+// it exists. Keys are relative paths like "<company>/items/<file>.jpg".
+const DRIVERS = {
+  // Files under STORAGE_DIR on the server's own disk
+  local: (env) => {
+    const rootDir = path.resolve(env.STORAGE_DIR || 'uploads');
+
+    const filePath = (key) => {
+      const resolved = path.resolve(rootDir, key);
+      if (!resolved.startsWith(rootDir + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+      }
+      return resolved;
+    };
+
+    return {
+      name: 'local',
+      configured: true,
+      put: async (key, body) => {
+        await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+        await fs.writeFile(filePath(key), body);
+      },
+      get: async (key) => {
+        try {
+          return await fs.readFile(filePath(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return null;
+          }
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await fs.rm(filePath(key), { force: true });
+      }
+    };
+  },
+
+  // An S3 bucket, or any S3-compatible service (MinIO, Cloudflare R2, ...)
+  // at S3_ENDPOINT, which is addressed path-style
+  s3: (env) => {
+    const region = env.S3_REGION || 'us-east-1';
+    const bucket = env.S3_BUCKET;
+    const endpoint = env.S3_ENDPOINT && env.S3_ENDPOINT.replace(/\/$/, '');
+
+    const objectUrl = (key) => new URL(endpoint
+      ? `${endpoint}/${bucket}/${encodeKey(key)}`
+      : `https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`);
+
+    const send = async (method, key, { body, contentType } = {}) => {
+      const url = objectUrl(key);
+      // fetch sets Host itself, from the same URL
+      const { host, ...headers } = signS3Request({
+        method,
+        url,
+        body,
+        contentType,
+        region,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY
+      });
+
+      const response = await fetch(url, { method, headers, body });
+
+      if (!response.ok && !(response.status === 404 && method !== 'PUT')) {
+        throw new Error(`S3 ${method} ${key} failed with HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      }
+      return response;
+    };
+
+    return {
+      name: 's3',
+      configured: Boolean(bucket && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY),
+      put: async (key, body, contentType) => {
+        await send('PUT', key, { body, contentType });
+      },
+      get: async (key) => {
+        const response = await send('GET', key);
+        return response.status === 404 ? null : Buffer.from(await response.arrayBuffer());
+      },
+      remove: async (key) => {
+        await send('DELETE', key);
+      }
+    };
+  }
+};
+
+// Add or replace a driver by name, e.g. for another storage service
+const registerDriver = (name, factory) => {
+  DRIVERS[name] = factory;
+};
+
+// File storage for STORAGE_DRIVER, defaulting to S3 when S3_BUCKET is set
+// and the local disk otherwise
+const createStorage = (env = process.env) => {
+  const driverName = env.STORAGE_DRIVER || (env.S3_BUCKET ? 's3' : 'local');
+  const factory = DRIVERS[driverName];
+
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+  }
+
+  const driver = factory(env);
+
+  return {
+    driver: driver.name,
+    configured: driver.configured,
+    put: driver.put,
+    get: driver.get,
+    remove: driver.remove
+  };
+};
+
+module.exports = {
+  registerDriver,
+  createStorage
+};
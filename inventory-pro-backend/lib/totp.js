@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .replace(/[\s=-]/g, '')
+    .toUpperCase()
+    .split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New shared secret, base32 encoded as authenticator apps expect
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+// The time step code belongs to, allowing one step of clock drift either
+// way, or null when it does not match. Steps at or before afterStep are
+// refused so a code cannot be used twice.
+const verifyTotp = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (candidate > afterStep) {
+      const expected = hotp(key, candidate);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI authenticator apps read from a QR code
+const otpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Secrets have to be readable to check codes, so they are stored encrypted
+// (AES-256-GCM) rather than hashed. key is a 32-byte Buffer.
+const encryptSecret = (secret, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (payload, key) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// One-time recovery codes like "K7QD-M2XA-9FTR" (60 random bits each)
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () =>
+  base32Encode(crypto.randomBytes(8)).slice(0, 12).match(/.{4}/g).join('-'));
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+  'item.created': 'An item was added',
+  'item.restored': 'An item was restored from the trash',
+  'stock.changed': "An item's stock quantity changed",
+  'stock.low': 'An item fell to or below its reorder point',
+  'user.invited': 'Someone was invited to the team'
+};
+
+// A delivery is retried until it gets a 2xx response, waiting twice as long
+// after every failure (30 seconds, 1 minute, 2 minutes, ... up to 6 hours),
+// and marked failed after the last attempt
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const retryDelayMs = (attempts) => Math.min(30 * 1000 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// X-InventoryPro-Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<body>">". Receivers recompute it with their secret and should reject
+// old timestamps so a captured request cannot be replayed.
+const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Addresses webhooks are never sent to: this host, private networks,
+// link-local ranges (which hold cloud metadata services such as
+// 169.254.169.254) and other ranges that are not publicly routable.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges; NAT64 and
+// 6to4 addresses, which also carry an IPv4 address, are refused outright.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Whether address (an IPv4 or IPv6 address) may receive webhooks
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolves url to { addresses } it may be sent to, or to { error } when it
+// cannot receive webhooks: it is not http(s), or its host is or resolves to
+// an address that is not public.
+const resolveWebhookUrl = async (url, { lookup = dns.promises.lookup } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'URL is not valid' };
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    return { error: 'URL must start with https:// or http://' };
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : (await lookup(host, { all: true, verbatim: true })).map(({ address, family }) => ({ address, family }));
+  } catch (error) {
+    return { error: `Could not resolve ${host}` };
+  }
+
+  if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+    return { error: 'URL must point to a public address, not a local or private network' };
+  }
+
+  return { addresses };
+};
+
+// Resolves to an error message when url cannot receive webhooks, or null.
+// Checked when a webhook is saved and again before every delivery, since
+// what a host name resolves to can change in between.
+const validateWebhookUrl = async (url, options) => (await resolveWebhookUrl(url, options)).error || null;
+
+// A dns.lookup stand-in answering with addresses whatever it is asked, so a
+// connection goes to the addresses that were checked rather than to what
+// the host resolves to by the time it is made
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    return pinnedLookup(addresses)(hostname, {}, options);
+  }
+  if (options.all) {
+    return callback(null, addresses);
+  }
+  return callback(null, addresses[0].address, addresses[0].family);
+};
+
+// POST one delivery. Resolves to { ok, status, error }; network errors,
+// timeouts and URLs validateWebhookUrl refuses count as failures rather
+// than being thrown. The connection is made to the addresses validated
+// for it, so a host cannot pass the check and then resolve elsewhere. The
+// response body is never read, so nothing an endpoint answers finds its
+// way back to the company.
+const sendWebhook = async ({ url, secret, event, deliveryId, body, lookup, timeoutMs = WEBHOOK_TIMEOUT_MS }) => {
+  const { addresses, error: urlError } = await resolveWebhookUrl(url, { lookup });
+  if (urlError) {
+    return { ok: false, status: null, error: urlError };
+  }
+
+  const dispatcher = new Agent({ connect: { lookup: pinnedLookup(addresses) } });
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'InventoryPro-Webhooks/1.0',
+        'X-InventoryPro-Event': event,
+        'X-InventoryPro-Delivery': deliveryId,
+        'X-InventoryPro-Signature': signWebhookPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      dispatcher,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    await response.body?.cancel();
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `Endpoint responded with HTTP ${response.status}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      error: error.name === 'TimeoutError' ? `No response within ${timeoutMs / 1000} seconds` : (error.cause?.message || error.message)
+    };
+  } finally {
+    dispatcher.destroy().catch(() => {});
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  retryDelayMs,
+  generateWebhookSecret,
+  signWebhookPayload,
+  isPublicAddress,
+  validateWebhookUrl,
+  sendWebhook
+};
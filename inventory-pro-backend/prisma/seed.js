@@ -15,6 +15,9 @@ async function main() {
       code: 'DEMO001',
       subscription_tier: 'pro',
       max_users: 100,
+      barcode_format: 'code128',
+      // The demo items below use the first six numbers of the sequence
+      barcode_sequence: 6,
     },
   });
 
@@ -30,7 +33,7 @@ async function main() {
       email: 'demo@inventorypro.com',
       name: 'Demo Administrator',
       password: hashedPassword,
-      role: 'admin',
+      role: 'owner',
       company_id: demoCompany.id,
       isActive: true,
     },
@@ -46,7 +49,7 @@ async function main() {
       email: 'user@inventorypro.com',
       name: 'Demo User',
       password: hashedPassword,
-      role: 'user',
+      role: 'clerk',
       company_id: demoCompany.id,
       isActive: true,
     },
@@ -96,7 +99,12 @@ async function main() {
 
   for (const itemData of demoItems) {
     const item = await prisma.item.upsert({
-      where: { barcode: itemData.barcode },
+      where: {
+        company_id_barcode: {
+          company_id: demoCompany.id,
+          barcode: itemData.barcode,
+        },
+      },
       update: {},
       create: itemData,
     });
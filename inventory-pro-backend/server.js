@@ -3,7 +3,54 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const multer = require('multer');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { readSpreadsheet, sendSpreadsheet } = require('./lib/spreadsheet');
+const { isCode128Text, validatePrefix, buildBarcode } = require('./lib/barcodes');
+const {
+  LABEL_SYMBOLOGIES,
+  LABEL_LAYOUTS,
+  symbologyError,
+  renderLabelsSvg,
+  renderLabelsPdf,
+  qrCodeSvg
+} = require('./lib/labels');
+const {
+  ROLES,
+  normalizeRole,
+  permissionsFor,
+  hasPermission,
+  isAdminRole,
+  canAssignRole,
+  canManageRole
+} = require('./lib/permissions');
+const { createMailer } = require('./lib/mailer');
+const { createStorage } = require('./lib/storage');
+const { forecastItem } = require('./lib/forecasting');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  retryDelayMs,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  sendWebhook
+} = require('./lib/webhooks');
+const { invitationEmail, passwordResetEmail, stockAlertDigestEmail } = require('./lib/emails');
+const {
+  passwordPolicyFromEnv,
+  describePasswordPolicy,
+  validatePassword
+} = require('./lib/passwords');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('./lib/totp');
 
 const app = express();
 const prisma = new PrismaClient({
@@ -11,6 +58,38 @@ const prisma = new PrismaClient({
 });
 const PORT = process.env.PORT || 3000;
 
+// Uploaded files are kept in memory; imports are parsed straight from the buffer
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Most rows POST /api/items/import accepts in one file
+const IMPORT_MAX_ROWS = 5000;
+
+// Most labels POST /api/items/labels renders in one request
+const LABELS_MAX = 1000;
+
+// Outgoing email (SMTP, or .eml files in an outbox); see lib/mailer.js
+const mailer = createMailer();
+
+// Where item images are kept (local disk, or S3-compatible storage); see
+// lib/storage.js
+const storage = createStorage();
+
+// Web app address used in emailed links
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+// Rules for new passwords; see lib/passwords.js for the environment settings
+const passwordPolicy = passwordPolicyFromEnv();
+
+// Key two-factor and webhook signing secrets are encrypted with;
+// TOTP_ENCRYPTION_KEY lets it be rotated apart from JWT_SECRET
+const SECRETS_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
 // Health check for Railway
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -21,10 +100,15 @@ app.get('/health', (req, res) => {
 });
 
 // Middleware
+
+// Behind Railway's proxy; lets req.ip be the client address for throttling
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? [process.env.FRONTEND_URL, /\.railway\.app$/] 
     : ['http://localhost:3000', 'http://localhost:8080', 'http://127.0.0.1:3000'],
+  exposedHeaders: ['ETag', 'X-Next-Cursor', 'X-Unread-Count', 'Retry-After', 'Idempotent-Replayed'],
   credentials: true
 }));
 
@@ -61,8 +145,11 @@ app.get('/api/health/db', async (req, res) => {
   }
 });
 
-// Auth middleware
-const authenticateToken = async (req, res, next) => {
+// Auth middleware. Admins of a company that requires two-factor sign-in are
+// refused until they have set it up, except on routes created with
+// allowTwoFactorSetup (setting it up, their own sessions, company info).
+// Mutating requests may carry an Idempotency-Key; see handleIdempotencyKey.
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -72,11 +159,20 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      include: { company: true }
+    
+    // Every access token belongs to a session; tokens issued before
+    // sessions existed carry none and have to sign in again
+    const session = decoded.sid && await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      include: { user: { include: { company: true } } }
     });
     
+    if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+      return res.status(401).json({ error: 'Session has ended, please sign in again', code: 'session_expired' });
+    }
+    
+    const user = session.user;
+    
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
@@ -85,577 +181,8011 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'User account is disabled' });
     }
     
+    if (!allowTwoFactorSetup && twoFactorSetupRequired(user, user.company)) {
+      return res.status(403).json({
+        error: 'Your company requires two-factor authentication; set it up to continue',
+        code: 'two_factor_setup_required'
+      });
+    }
+    
     req.user = user;
-    next();
+    req.authSession = session;
+    handleIdempotencyKey(req, res, next);
   } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+    }
     console.error('Token verification error:', error);
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
-// AUTH ENDPOINTS
+const authenticateToken = authenticate();
+const authenticateForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Permission middleware, used after authenticateToken. Roles and what they
+// may do are defined in lib/permissions.js.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Permission denied', permission });
+  }
+
+  next();
+};
+
+// Error carrying an HTTP status, thrown from inside transactions so the
+// transaction rolls back and the route can still answer with a 4xx
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// AUDIT HELPERS
+
+// Columns never copied into audit snapshots
+const AUDIT_SECRET_FIELDS = ['password', 'totp_secret', 'totp_pending_secret', 'totp_last_step', 'secret'];
+
+// Plain JSON copy of a row's own columns for the audit log. Relations loaded
+// along with the row (objects and arrays) and secrets are left out.
+const auditSnapshot = (row) => {
+  const plain = JSON.parse(JSON.stringify(row));
+
+  return Object.fromEntries(Object.entries(plain).filter(([key, value]) =>
+    !AUDIT_SECRET_FIELDS.includes(key) && (value === null || typeof value !== 'object')));
+};
+
+// Audit log row for one change. before/after are the entity's rows around
+// the change (omitted when it did not exist yet or no longer does); actor
+// defaults to the signed-in user. req is null for scheduled jobs.
+const auditEntry = (req, { action, entityType, before, after, metadata, actor = req?.user, companyId }) => {
+  const entity = after || before;
+
+  return {
+    action,
+    entity_type: entityType,
+    entity_id: entity.id,
+    entity_name: entity.name ?? null,
+    ...(before && { before: auditSnapshot(before) }),
+    ...(after && { after: auditSnapshot(after) }),
+    ...(metadata && { metadata }),
+    actor_id: actor?.id ?? null,
+    actor_name: actor?.name ?? null,
+    ...(req && sessionDevice(req)),
+    company_id: companyId || entity.company_id || actor?.company_id
+  };
+};
+
+// Append one change to the audit log; pass the transaction making the
+// change as db so both are kept or rolled back together
+const recordAudit = (db, req, change) => db.auditLog.create({ data: auditEntry(req, change) });
+
+// Make audit_logs append-only in the database itself, so neither a bug nor a
+// hand-written query can rewrite history. Runs on every start.
+const ensureAuditLogIsAppendOnly = () => prisma.$transaction([
+  prisma.$executeRawUnsafe(`
+    CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_logs is append-only';
+    END;
+    $$ LANGUAGE plpgsql`),
+  prisma.$executeRawUnsafe('DROP TRIGGER IF EXISTS audit_logs_no_change ON audit_logs'),
+  prisma.$executeRawUnsafe(`
+    CREATE TRIGGER audit_logs_no_change BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()`),
+  prisma.$executeRawUnsafe('DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs'),
+  prisma.$executeRawUnsafe(`
+    CREATE TRIGGER audit_logs_no_truncate BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only()`)
+]);
+
+// Item quantity after an activity logged before the audit log existed, or
+// null when the activity does not say
+const activityQuantityAfter = (activity) => {
+  if (activity.type === 'created' || activity.type === 'restored') {
+    return activity.quantity;
+  }
+  if (activity.type === 'deleted' || activity.old_quantity === null) {
+    return null;
+  }
+  if (activity.type === 'added' || activity.type === 'received') {
+    return activity.old_quantity + activity.quantity;
+  }
+  if (activity.type === 'removed') {
+    return activity.old_quantity - activity.quantity;
+  }
+  if (activity.type === 'count_adjustment') {
+    return activity.old_quantity + activity.quantity;
+  }
+  // Transfers move stock between locations without changing the total
+  return activity.old_quantity;
+};
+
+const formatAuditEntry = (entry) => ({
+  id: entry.id,
+  action: entry.action,
+  entity_type: entry.entity_type,
+  entity_id: entry.entity_id,
+  entity_name: entry.entity_name,
+  before: entry.before,
+  after: entry.after,
+  metadata: entry.metadata,
+  actor_id: entry.actor_id,
+  actor_name: entry.actor_name,
+  ip: entry.ip,
+  user_agent: entry.user_agent,
+  created_at: entry.created_at.toISOString()
+});
+
+// TRASH HELPERS
+
+// Deleted items and users stay in the trash for TRASH_RETENTION_DAYS, during
+// which they can be restored, and are then purged for good
+const TRASH_RETENTION_DAYS = Math.max(Number(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const trashPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const formatTrashEntry = (row, extra) => ({
+  id: row.id,
+  name: row.name,
+  ...extra,
+  deleted_at: row.deleted_at.toISOString(),
+  purge_at: trashPurgeDate(row.deleted_at).toISOString()
+});
+
+// Permanently delete everything that has been in the trash longer than the
+// retention period, one row at a time so each purge is audited. A row
+// restored meanwhile no longer matches and is left alone.
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = { lt: cutoff };
+  let purged = 0;
+
+  const [items, users] = await Promise.all([
+    prisma.item.findMany({ where: { deleted_at: expired } }),
+    prisma.user.findMany({ where: { deleted_at: expired } })
+  ]);
+
+  for (const item of items) {
+    const count = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.item.deleteMany({ where: { id: item.id, deleted_at: expired } });
+      if (count > 0) {
+        await recordAudit(tx, null, { action: 'item.purge', entityType: 'item', before: item });
+      }
+      return count;
+    });
+
+    if (count > 0 && item.image_key) {
+      await removeStoredFile(item.image_key);
+    }
+    purged += count;
+  }
+
+  for (const user of users) {
+    purged += await prisma.$transaction(async (tx) => {
+      const { count } = await tx.user.deleteMany({ where: { id: user.id, deleted_at: expired } });
+      if (count > 0) {
+        await recordAudit(tx, null, { action: 'user.purge', entityType: 'user', before: user });
+      }
+      return count;
+    });
+  }
+
+  return purged;
+};
+
+const startTrashPurge = () => {
+  const run = () => purgeTrash()
+    .then(purged => purged > 0 && console.log(`🗑️  Purged ${purged} trashed record(s)`))
+    .catch(error => console.error('❌ Trash purge error:', error));
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+// PAGINATION HELPERS
+
+const PAGE_MAX_LIMIT = 500;
+
+// Row id in a cursor from pageRows, or null when cursor is not one
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const id = Buffer.from(cursor, 'base64url').toString();
+  return /^[a-z0-9]{1,64}$/i.test(id) && Buffer.from(id).toString('base64url') === cursor ? id : null;
+};
+
+// Parse ?limit=&cursor=&sort=&order= into Prisma findMany arguments.
+// sortFields lists the columns clients may sort by; the id is always added
+// as a tie-breaker so pages are stable. Returns { error } on bad input.
+const parsePageParams = (query, { sortFields, defaultSort, defaultOrder = 'desc', defaultLimit }) => {
+  const sort = query.sort || defaultSort;
+  const order = query.order || defaultOrder;
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+  if (!sortFields.includes(sort)) {
+    return { error: `Sort must be one of: ${sortFields.join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Order must be asc or desc' };
+  }
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > PAGE_MAX_LIMIT)) {
+    return { error: `Limit must be between 1 and ${PAGE_MAX_LIMIT}` };
+  }
+
+  const args = { orderBy: [{ [sort]: order }, { id: order }] };
+
+  if (limit !== undefined) {
+    // One extra row tells us whether there is a next page
+    args.take = limit + 1;
+  }
+
+  if (query.cursor) {
+    const id = decodeCursor(query.cursor);
+    if (!id) {
+      return { error: 'Cursor is not valid; use the X-Next-Cursor of the previous page' };
+    }
+
+    args.cursor = { id };
+    args.skip = 1;
+  }
+
+  return { args, limit };
+};
+
+// Trim the extra row fetched by parsePageParams and advertise the next page
+// in the X-Next-Cursor header, keeping the response body a plain array
+const pageRows = (res, rows, limit) => {
+  if (limit === undefined || rows.length <= limit) {
+    return rows;
+  }
+
+  const page = rows.slice(0, limit);
+  res.set('X-Next-Cursor', Buffer.from(page[page.length - 1].id).toString('base64url'));
+  return page;
+};
+
+// Date filter for optional ?from=&to= query values, or null when invalid
+const parseDateRange = (from, to) => {
+  const range = {};
+
+  if (from) {
+    range.gte = new Date(from);
+  }
+  if (to) {
+    range.lte = new Date(to);
+  }
+
+  return Object.values(range).some(date => isNaN(date)) ? null : range;
+};
+
+// IDEMPOTENCY HELPERS
+
+// Responses to requests with an Idempotency-Key are kept this long, and a
+// retry within that time gets the same response without running again
+const IDEMPOTENCY_KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// A key still "processing" after this long belongs to a request that never
+// answered (the server went down mid-request, say) and may be claimed again
+const IDEMPOTENCY_PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// What makes two requests "the same": method, URL and body, and for uploads
+// the contents of the uploaded files too
+const idempotencyRequestHash = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    req.method,
+    req.originalUrl,
+    req.body,
+    [req.file, ...(req.files || [])].filter(Boolean).map(file => [
+      file.fieldname,
+      file.originalname,
+      crypto.createHash('sha256').update(file.buffer).digest('hex')
+    ])
+  ]))
+  .digest('hex');
+
+// Keys that no longer hold anything: expired ones, and ones whose request
+// outlived the processing lease
+const staleIdempotencyKeys = () => ({
+  OR: [
+    { expires_at: { lt: new Date() } },
+    { status: 'processing', created_at: { lt: new Date(Date.now() - IDEMPOTENCY_PROCESSING_LEASE_MS) } }
+  ]
+});
+
+const replayIdempotentResponse = (res, record) => {
+  if (record.response_etag) {
+    res.set('ETag', record.response_etag);
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(JSON.parse(decryptSecret(record.response_body, SECRETS_KEY)));
+};
+
+// Claim key for this request. Returns the new record, or the one a
+// previous request with the key left.
+const claimIdempotencyKey = async (companyId, key, requestHash) => {
+  await prisma.idempotencyKey.deleteMany({
+    where: { company_id: companyId, key, ...staleIdempotencyKeys() }
+  });
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        key,
+        request_hash: requestHash,
+        company_id: companyId,
+        expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+      }
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
     }
-    
-    console.log('🔐 Login attempt for:', email);
-    
-    // Find user and include company
-    const user = await prisma.user.findFirst({
-      where: { 
-        email: email.toLowerCase().trim(),
-        isActive: true 
-      },
-      include: { company: true }
+
+    const record = await prisma.idempotencyKey.findUnique({
+      where: { company_id_key: { company_id: companyId, key } }
     });
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    return { record, claimed: false };
+  }
+};
+
+// Run after authentication on every mutating request; the sign-in and
+// sign-up routes have no company to scope keys to and do not take them.
+// The first request with a key claims it and its JSON response is stored,
+// encrypted since some carry secrets, when it finishes. Retries get that
+// response back, a retry while it is still running a 409, and the key
+// reused for a different request a 422. Server errors release the key so
+// the request can be tried again. Uploads are handled by acceptUpload once
+// their files have been read.
+const handleIdempotencyKey = async (req, res, next, { uploadRead = false } = {}) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key || !IDEMPOTENT_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (req.is('multipart/form-data') && !uploadRead) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key can be at most 255 characters' });
+  }
+
+  const requestHash = idempotencyRequestHash(req);
+  let claim;
+
+  try {
+    claim = await claimIdempotencyKey(req.user.company_id, key, requestHash);
+  } catch (error) {
+    console.error('❌ Idempotency key error:', error);
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key' });
+  }
+
+  const { record, claimed } = claim;
+
+  if (!claimed) {
+    if (record && record.request_hash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
     }
-    
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (!record || record.status !== 'completed') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
     }
-    
-    // Update last login
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { last_login: new Date() }
+    return replayIdempotentResponse(res, record);
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  let settled = false;
+  const settle = () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    // Only JSON answers can be replayed; anything else releases the key
+    const save = res.statusCode < 500 && responseBody !== undefined
+      ? prisma.idempotencyKey.update({
+          where: { id: record.id },
+          data: {
+            status: 'completed',
+            response_status: res.statusCode,
+            response_body: encryptSecret(JSON.stringify(responseBody), SECRETS_KEY),
+            response_etag: res.get('ETag') || null
+          }
+        })
+      : prisma.idempotencyKey.delete({ where: { id: record.id } });
+
+    save.catch(error => console.error('❌ Idempotency key save error:', error));
+  };
+
+  // Settled as soon as the route answers rather than on 'finish', which
+  // never fires when the client hangs up first. The key is not released
+  // when the connection closes earlier, as the route's changes may still
+  // be committing; a route that never answers leaves it to the lease.
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    settle();
+    return end(...args);
+  };
+
+  next();
+};
+
+// multer middleware taking one uploaded file from field, which then handles
+// the request's Idempotency-Key as the files are only known from here on
+const acceptUpload = (field) => [
+  upload.single(field),
+  (req, res, next) => handleIdempotencyKey(req, res, next, { uploadRead: true })
+];
+
+// Forget idempotency keys once they have expired, and release those whose
+// request outlived the processing lease
+const startIdempotencyKeyCleanup = () => {
+  const run = () => prisma.idempotencyKey.deleteMany({
+    where: staleIdempotencyKeys()
+  }).catch(error => console.error('❌ Idempotency key cleanup error:', error));
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+// STOCK HELPERS
+
+// Why stock moved, recorded on the Activity for each movement
+const STOCK_MOVEMENT_REASONS = ['receipt', 'sale', 'damage', 'count_correction'];
+
+// Items are versioned by updated_at; clients echo it back in If-Match
+const itemEtag = (item) => `"${item.updated_at.toISOString()}"`;
+
+// Reject the change with a 409 when the client's If-Match version is stale
+const assertItemVersion = (req, item) => {
+  const ifMatch = req.headers['if-match'];
+
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return;
+  }
+
+  const expected = ifMatch.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+
+  if (expected !== item.updated_at.toISOString()) {
+    throw new HttpError(409, 'Item was changed by someone else; reload and try again', {
+      current: formatItem(item)
     });
+  }
+};
+
+// REORDER HELPERS
+
+// Filters for GET /api/items?status=, each comparing against the item's own
+// reorder_point / max_stock columns
+const STOCK_STATUS_FILTERS = {
+  out: { quantity: { lte: 0 } },
+  low: { quantity: { gt: 0, lte: prisma.item.fields.reorder_point } },
+  ok: {
+    quantity: { gt: prisma.item.fields.reorder_point },
+    OR: [
+      { max_stock: null },
+      { quantity: { lte: prisma.item.fields.max_stock } }
+    ]
+  },
+  overstock: { quantity: { gt: prisma.item.fields.max_stock } }
+};
+
+const stockStatus = (item) => {
+  if (item.quantity <= 0) {
+    return 'out';
+  }
+  if (item.quantity <= item.reorder_point) {
+    return 'low';
+  }
+  if (item.max_stock !== null && item.quantity > item.max_stock) {
+    return 'overstock';
+  }
+  return 'ok';
+};
+
+// Read reorderPoint / reorderQuantity / maxStock from a request body into
+// item columns, on top of the item's current values when updating.
+// Returns { data } or { error }.
+const parseReorderSettings = (body, current = {}) => {
+  const data = {};
+  const fields = [
+    ['reorderPoint', 'reorder_point', 0, false],
+    ['reorderQuantity', 'reorder_quantity', 1, true],
+    ['maxStock', 'max_stock', 0, true]
+  ];
+
+  for (const [key, column, min, nullable] of fields) {
+    if (body[key] === undefined) {
+      continue;
+    }
+
+    if (body[key] === null && nullable) {
+      data[column] = null;
+      continue;
+    }
+
+    const value = Number(body[key]);
+    if (!Number.isInteger(value) || value < min) {
+      return { error: `${key} must be a whole number of ${min} or more` };
+    }
+    data[column] = value;
+  }
+
+  const merged = { reorder_point: 5, max_stock: null, ...current, ...data };
+  if (merged.max_stock !== null && merged.max_stock < merged.reorder_point) {
+    return { error: 'maxStock cannot be below reorderPoint' };
+  }
+
+  return { data };
+};
+
+// Read unitCost / unitPrice (money, null to clear) from a request body into
+// item columns. Returns { data } or { error }.
+const parseItemPrices = (body) => {
+  const data = {};
+  const fields = [
+    ['unitCost', 'unit_cost'],
+    ['unitPrice', 'unit_price']
+  ];
+
+  for (const [key, column] of fields) {
+    if (body[key] === undefined) {
+      continue;
+    }
+
+    if (body[key] === null || body[key] === '') {
+      data[column] = null;
+      continue;
+    }
+
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < 0 || Math.round(value * 100) !== value * 100) {
+      return { error: `${key} must be an amount of 0 or more with at most 2 decimals` };
+    }
+    data[column] = value;
+  }
+
+  return { data };
+};
+
+// PURCHASE ORDER HELPERS
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'closed'];
+
+// Orders whose outstanding quantities still count as "on order"
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const purchaseOrderInclude = {
+  supplier: true,
+  lines: { orderBy: { item_name: 'asc' } }
+};
+
+const formatSupplier = (supplier) => ({
+  id: supplier.id,
+  name: supplier.name,
+  contact_name: supplier.contact_name,
+  email: supplier.email,
+  phone: supplier.phone,
+  notes: supplier.notes,
+  created_at: supplier.created_at.toISOString()
+});
+
+const formatPurchaseOrder = (purchaseOrder) => {
+  const lines = purchaseOrder.lines.map(line => ({
+    id: line.id,
+    item_id: line.item_id,
+    item_name: line.item_name,
+    quantity_ordered: line.quantity_ordered,
+    quantity_received: line.quantity_received,
+    quantity_outstanding: Math.max(line.quantity_ordered - line.quantity_received, 0),
+    unit_cost: line.unit_cost === null ? null : Number(line.unit_cost)
+  }));
+
+  return {
+    id: purchaseOrder.id,
+    number: purchaseOrder.number,
+    status: purchaseOrder.status,
+    supplier_id: purchaseOrder.supplier_id,
+    supplier_name: purchaseOrder.supplier.name,
+    expected_at: purchaseOrder.expected_at?.toISOString() || null,
+    notes: purchaseOrder.notes,
+    sent_at: purchaseOrder.sent_at?.toISOString() || null,
+    closed_at: purchaseOrder.closed_at?.toISOString() || null,
+    created_at: purchaseOrder.created_at.toISOString(),
+    updated_at: purchaseOrder.updated_at.toISOString(),
+    lines,
+    total_cost: lines.reduce((sum, line) => sum + (line.unit_cost || 0) * line.quantity_ordered, 0)
+  };
+};
+
+const findCompanyPurchaseOrder = async (tx, purchaseOrderId, companyId) => {
+  const purchaseOrder = await tx.purchaseOrder.findFirst({
+    where: { id: purchaseOrderId, company_id: companyId },
+    include: { lines: true }
+  });
+
+  if (!purchaseOrder) {
+    throw new HttpError(404, 'Purchase order not found');
+  }
+
+  return purchaseOrder;
+};
+
+const findCompanySupplier = (supplierId, companyId) =>
+  prisma.supplier.findFirst({
+    where: { id: supplierId, company_id: companyId }
+  });
+
+// Validate [{ itemId, quantity, unitCost }] from a request into line rows
+const parsePurchaseOrderLines = async (tx, lines, companyId) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new HttpError(400, 'At least one line is required');
+  }
+
+  const itemIds = lines.map(line => line.itemId);
+  if (new Set(itemIds).size !== itemIds.length) {
+    throw new HttpError(400, 'Each item can only appear once per order');
+  }
+
+  const items = await tx.item.findMany({
+    where: { id: { in: itemIds }, company_id: companyId, deleted_at: null }
+  });
+  const itemsById = new Map(items.map(item => [item.id, item]));
+
+  return lines.map(line => {
+    const item = itemsById.get(line.itemId);
+    const quantity = Number(line.quantity);
+    const unitCost = line.unitCost === undefined || line.unitCost === null ? null : Number(line.unitCost);
+
+    if (!item) {
+      throw new HttpError(404, 'Item not found');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, 'Line quantities must be whole numbers of 1 or more');
+    }
+    if (unitCost !== null && (isNaN(unitCost) || unitCost < 0)) {
+      throw new HttpError(400, 'Unit costs must be 0 or more');
+    }
+
+    return {
+      item_id: item.id,
+      item_name: item.name,
+      quantity_ordered: quantity,
+      unit_cost: unitCost
+    };
+  });
+};
+
+// Per-company PO numbers (PO-00001, ...); the update locks the company row
+const nextPurchaseOrderNumber = async (tx, companyId) => {
+  const company = await tx.company.update({
+    where: { id: companyId },
+    data: { po_sequence: { increment: 1 } }
+  });
+
+  return `PO-${String(company.po_sequence).padStart(5, '0')}`;
+};
+
+// Units still outstanding on open purchase orders, by item id
+const onOrderQuantities = async (db, itemIds) => {
+  const openLines = await db.purchaseOrderLine.findMany({
+    where: {
+      item_id: { in: itemIds },
+      purchase_order: { status: { in: OPEN_PURCHASE_ORDER_STATUSES } }
+    }
+  });
+
+  const onOrder = new Map();
+  openLines.forEach(line => {
+    const outstanding = line.quantity_ordered - line.quantity_received;
+    onOrder.set(line.item_id, (onOrder.get(line.item_id) || 0) + outstanding);
+  });
+  return onOrder;
+};
+
+const suggestedReorderQuantity = (item) => {
+  if (item.reorder_quantity) {
+    return item.reorder_quantity;
+  }
+  if (item.max_stock !== null) {
+    return Math.max(item.max_stock - item.quantity, 1);
+  }
+  return Math.max(item.reorder_point * 2 - item.quantity, 1);
+};
+
+// BARCODE HELPERS
+
+// Take the next count barcodes from the company's sequence. Updating the
+// company row locks it, so concurrent requests never get the same numbers;
+// numbers already used by hand-entered barcodes are skipped.
+const reserveBarcodes = async (tx, companyId, count) => {
+  const barcodes = [];
+
+  while (barcodes.length < count) {
+    const needed = count - barcodes.length;
+    const company = await tx.company.update({
+      where: { id: companyId },
+      data: { barcode_sequence: { increment: needed } }
+    });
+
+    const candidates = [];
+    for (let sequence = company.barcode_sequence - needed + 1; sequence <= company.barcode_sequence; sequence++) {
+      const barcode = buildBarcode(company.barcode_format, {
+        companyCode: company.code,
+        prefix: company.barcode_prefix,
+        sequence
+      });
+
+      if (!barcode) {
+        throw new HttpError(409, 'All barcode numbers for this prefix are used; choose a new barcode prefix');
+      }
+      candidates.push(barcode);
+    }
+
+    const taken = await tx.item.findMany({
+      where: { company_id: companyId, barcode: { in: candidates } },
+      select: { barcode: true }
+    });
+    const takenBarcodes = new Set(taken.map(item => item.barcode));
+
+    barcodes.push(...candidates.filter(barcode => !takenBarcodes.has(barcode)));
+  }
+
+  return barcodes;
+};
+
+// LOCATION HELPERS
+
+const LOCATION_TYPES = ['warehouse', 'zone', 'bin'];
+
+// Type a location's parent must have (warehouses sit at the top level)
+const LOCATION_PARENT_TYPES = {
+  warehouse: null,
+  zone: 'warehouse',
+  bin: 'zone'
+};
+
+// Relations formatItem shows: the per-location stock breakdown, pack sizes
+// and category
+const itemStockInclude = {
+  stock_levels: {
+    include: { location: true },
+    orderBy: { location: { code: 'asc' } }
+  },
+  packs: { orderBy: { quantity: 'asc' } },
+  category: true
+};
+
+const formatItem = (item) => {
+  const formatted = {
+    id: item.id,
+    name: item.name,
+    quantity: item.quantity,
+    barcode: item.barcode,
+    sku: item.sku,
+    description: item.description,
+    category_id: item.category_id,
+    tags: item.tags,
+    unit: item.unit,
+    custom_fields: item.custom_fields,
+    has_image: Boolean(item.image_key),
+    reorder_point: item.reorder_point,
+    reorder_quantity: item.reorder_quantity,
+    max_stock: item.max_stock,
+    unit_cost: item.unit_cost === null ? null : Number(item.unit_cost),
+    unit_price: item.unit_price === null ? null : Number(item.unit_price),
+    supplier_id: item.supplier_id,
+    supplier_sku: item.supplier_sku,
+    stock_status: stockStatus(item),
+    updated_at: item.updated_at.toISOString()
+  };
+
+  if (item.category !== undefined) {
+    formatted.category_name = item.category?.name ?? null;
+  }
+
+  if (item.packs) {
+    formatted.packs = item.packs.map(pack => ({ name: pack.name, quantity: pack.quantity }));
+  }
+
+  if (item.stock_levels) {
+    const locations = item.stock_levels
+      .filter(level => level.quantity > 0)
+      .map(level => ({
+        location_id: level.location_id,
+        location_name: level.location.name,
+        location_code: level.location.code,
+        location_type: level.location.type,
+        quantity: level.quantity
+      }));
+    const assigned = locations.reduce((sum, level) => sum + level.quantity, 0);
+
+    formatted.locations = locations;
+    formatted.unassigned_quantity = item.quantity - assigned;
+  }
+
+  return formatted;
+};
+
+const formatLocation = (location) => ({
+  id: location.id,
+  name: location.name,
+  code: location.code,
+  type: location.type,
+  parent_id: location.parent_id,
+  created_at: location.created_at.toISOString(),
+  updated_at: location.updated_at.toISOString()
+});
+
+// Lock the item row for the rest of the transaction so concurrent stock
+// changes on the same item are applied one after another
+const lockItem = async (tx, itemId, companyId) => {
+  await tx.$queryRaw`SELECT id FROM items WHERE id = ${itemId} FOR UPDATE`;
+
+  const item = await tx.item.findFirst({
+    where: { id: itemId, company_id: companyId, deleted_at: null }
+  });
+
+  if (!item) {
+    throw new HttpError(404, 'Item not found');
+  }
+
+  return item;
+};
+
+const findCompanyLocation = async (tx, locationId, companyId) => {
+  const location = await tx.location.findFirst({
+    where: { id: locationId, company_id: companyId }
+  });
+
+  if (!location) {
+    throw new HttpError(404, 'Location not found');
+  }
+
+  return location;
+};
+
+// Stock of an item that has not been put away into any location
+const getUnassignedQuantity = async (tx, item) => {
+  const assigned = await tx.stockLevel.aggregate({
+    where: { item_id: item.id },
+    _sum: { quantity: true }
+  });
+
+  return item.quantity - (assigned._sum.quantity || 0);
+};
+
+// Add a signed delta to an item locked with lockItem, at location when one
+// is given, otherwise to its unassigned stock. Returns the updated item.
+const applyStockChange = async (tx, item, delta, location) => {
+  if (location && delta < 0) {
+    const taken = await tx.stockLevel.updateMany({
+      where: {
+        item_id: item.id,
+        location_id: location.id,
+        quantity: { gte: -delta }
+      },
+      data: { quantity: { decrement: -delta } }
+    });
+
+    if (taken.count === 0) {
+      throw new HttpError(400, `Insufficient stock of ${item.name} at ${location.name}`);
+    }
+  } else if (location) {
+    await tx.stockLevel.upsert({
+      where: { item_id_location_id: { item_id: item.id, location_id: location.id } },
+      create: { item_id: item.id, location_id: location.id, quantity: delta },
+      update: { quantity: { increment: delta } }
+    });
+  } else if (delta < 0 && await getUnassignedQuantity(tx, item) < -delta) {
+    throw new HttpError(400, `Insufficient stock of ${item.name}`);
+  }
+
+  return tx.item.update({
+    where: { id: item.id },
+    data: { quantity: { increment: delta } },
+    include: itemStockInclude
+  });
+};
+
+// CATALOG HELPERS
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+
+// Keys name a custom field in Item.custom_fields and in filters like
+// GET /api/items?cf[color]=red
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const ITEM_TAGS_MAX = 20;
+
+// Photos an item can have, with the extension each type is stored under
+const ITEM_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const ITEM_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Read sku / supplierSku / description / unit / tags from a request body
+// into item columns. Blank text clears a value; tags are stored lower-case.
+// Returns { data } or { error }.
+const parseCatalogFields = (body) => {
+  const data = {};
+  const textFields = [
+    ['sku', 'sku', 64],
+    ['supplierSku', 'supplier_sku', 64],
+    ['description', 'description', 2000]
+  ];
+
+  for (const [key, column, maxLength] of textFields) {
+    if (body[key] === undefined) {
+      continue;
+    }
+
+    const value = body[key] === null ? '' : String(body[key]).trim();
+    if (value.length > maxLength) {
+      return { error: `${key} must be at most ${maxLength} characters` };
+    }
+    data[column] = value || null;
+  }
+
+  if (body.unit !== undefined) {
+    const unit = String(body.unit || '').trim().toLowerCase();
+    if (!unit || unit.length > 20) {
+      return { error: 'unit must be 1-20 characters' };
+    }
+    data.unit = unit;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = body.tags === null ? [] : body.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be a list of text' };
+    }
+
+    data.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (data.tags.length > ITEM_TAGS_MAX || data.tags.some(tag => tag.length > 40)) {
+      return { error: `Items can have up to ${ITEM_TAGS_MAX} tags of at most 40 characters` };
+    }
+  }
+
+  return { data };
+};
+
+// Read packs ([{ name, quantity }], quantity being how many of the base
+// unit one pack holds) from a request body. Returns { packs }, which is
+// undefined when the body has none, or { error }.
+const parsePacks = (body, unit) => {
+  if (body.packs === undefined) {
+    return {};
+  }
+
+  if (!Array.isArray(body.packs)) {
+    return { error: 'packs must be a list' };
+  }
+
+  const packs = [];
+  for (const pack of body.packs) {
+    const name = String(pack?.name || '').trim().toLowerCase();
+    const quantity = Number(pack?.quantity);
+
+    if (!name || name.length > 20) {
+      return { error: 'Pack names must be 1-20 characters' };
+    }
+    if (name === unit) {
+      return { error: `A pack cannot have the base unit's name (${unit})` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 2) {
+      return { error: `A ${name} must hold a whole number of 2 or more ${unit}` };
+    }
+    if (packs.some(other => other.name === name)) {
+      return { error: `Pack ${name} is listed twice` };
+    }
+    packs.push({ name, quantity });
+  }
+
+  return { packs };
+};
+
+// How many base units quantity of unit is, unit being the item's base unit
+// (the default) or the name of one of its packs
+const toBaseUnits = async (tx, item, quantity, unit) => {
+  if (!unit || unit === item.unit) {
+    return quantity;
+  }
+
+  const packs = await tx.itemPack.findMany({ where: { item_id: item.id } });
+  const pack = packs.find(pack => pack.name === unit);
+
+  if (!pack) {
+    throw new HttpError(400, `Unit must be one of: ${[item.unit, ...packs.map(pack => pack.name)].join(', ')}`);
+  }
+
+  return quantity * pack.quantity;
+};
+
+// A custom field value coerced to the field's type (numbers, booleans,
+// YYYY-MM-DD date strings), or undefined when it is not valid for it
+const customFieldValue = (definition, value) => {
+  switch (definition.type) {
+    case 'text': {
+      const text = String(value).trim();
+      return text.length <= 500 ? text : undefined;
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      return value === false || value === 'false' ? false : undefined;
+    case 'date': {
+      const date = String(value).trim();
+      const parsed = new Date(`${date}T00:00:00Z`);
+      // Rejects days a month does not have, like 2025-02-30
+      return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(parsed) && parsed.toISOString().startsWith(date)
+        ? date
+        : undefined;
+    }
+    case 'select':
+      return definition.options.includes(String(value)) ? String(value) : undefined;
+    default:
+      return undefined;
+  }
+};
+
+const customFieldHint = (definition) => ({
+  text: 'text of at most 500 characters',
+  number: 'a number',
+  boolean: 'true or false',
+  date: 'a date (YYYY-MM-DD)',
+  select: `one of: ${definition.options.join(', ')}`
+})[definition.type];
+
+// Check custom field values ({ key: value }) against the company's
+// definitions, on top of the item's current values when updating; null or
+// '' clears a value. Returns { data }, the item's complete custom_fields,
+// or { error }.
+const parseCustomFields = (values, definitions, current = {}) => {
+  if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+    return { error: 'customFields must be an object of field values' };
+  }
+
+  const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const data = { ...current };
+
+  for (const [key, value] of Object.entries(values || {})) {
+    const definition = definitionsByKey.get(key);
+    if (!definition) {
+      return { error: `Unknown custom field ${key}` };
+    }
+
+    if (value === null || value === '') {
+      delete data[key];
+      continue;
+    }
+
+    const coerced = customFieldValue(definition, value);
+    if (coerced === undefined) {
+      return { error: `${definition.label} must be ${customFieldHint(definition)}` };
+    }
+    data[key] = coerced;
+  }
+
+  const missing = definitions.find(definition => definition.required && data[definition.key] === undefined);
+  if (missing) {
+    return { error: `${missing.label} is required` };
+  }
+
+  return { data };
+};
+
+// Item filters for GET /api/items?cf[key]=value, matching the stored value
+// exactly once coerced to the field's type. Returns { filters } or { error }.
+const customFieldFilters = (query, definitions) => {
+  if (query === undefined) {
+    return { filters: [] };
+  }
+
+  if (typeof query !== 'object' || Array.isArray(query)) {
+    return { error: 'Filter custom fields as cf[key]=value' };
+  }
+
+  const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const filters = [];
+
+  for (const [key, value] of Object.entries(query)) {
+    const definition = definitionsByKey.get(key);
+    if (!definition) {
+      return { error: `Unknown custom field ${key}` };
+    }
+
+    const coerced = customFieldValue(definition, value);
+    if (coerced === undefined) {
+      return { error: `${definition.label} must be ${customFieldHint(definition)}` };
+    }
+    filters.push({ custom_fields: { path: [key], equals: coerced } });
+  }
+
+  return { filters };
+};
+
+// Options of a select custom field: a list of distinct, non-empty values.
+// Other types have none. Returns { options } or { error }.
+const parseCustomFieldOptions = (type, options) => {
+  if (type !== 'select') {
+    return { options: [] };
+  }
+
+  if (!Array.isArray(options) || options.some(option => typeof option !== 'string')) {
+    return { error: 'Select fields need a list of options' };
+  }
+
+  const normalized = [...new Set(options.map(option => option.trim()).filter(Boolean))];
+  if (normalized.length === 0 || normalized.length > 100) {
+    return { error: 'Select fields need between 1 and 100 options' };
+  }
+
+  return { options: normalized };
+};
+
+const findCompanyCategory = async (tx, categoryId, companyId) => {
+  const category = await tx.category.findFirst({
+    where: { id: categoryId, company_id: companyId }
+  });
+
+  if (!category) {
+    throw new HttpError(404, 'Category not found');
+  }
+
+  return category;
+};
+
+// Ids of a category and every category below it, given all of the
+// company's categories
+const categoryBranchIds = (categories, categoryId) => {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parent_id === ids[i])
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+};
+
+// The category named path: a name, or the end of a path like
+// "Hardware > Fasteners" when the name alone is not unique, matched
+// case-insensitively. Returns { category } or { error }.
+const findCategoryByPath = (categories, path) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const names = path.split('>').map(name => name.trim().toLowerCase());
+
+  const matches = categories.filter(category => {
+    let current = category;
+    for (let i = names.length - 1; i >= 0; i--) {
+      if (!current || current.name.toLowerCase() !== names[i]) {
+        return false;
+      }
+      current = categoriesById.get(current.parent_id);
+    }
+    return true;
+  });
+
+  if (matches.length === 0) {
+    return { error: `Unknown category ${path}` };
+  }
+  if (matches.length > 1) {
+    return { error: `More than one category is called ${path}; give its path, like Parent > ${names[names.length - 1]}` };
+  }
+  return { category: matches[0] };
+};
+
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  parent_id: category.parent_id,
+  created_at: category.created_at.toISOString(),
+  updated_at: category.updated_at.toISOString()
+});
+
+const formatCustomField = (definition) => ({
+  id: definition.id,
+  key: definition.key,
+  label: definition.label,
+  type: definition.type,
+  options: definition.options,
+  required: definition.required,
+  created_at: definition.created_at.toISOString(),
+  updated_at: definition.updated_at.toISOString()
+});
+
+// Delete a stored file without failing the request that no longer needs
+// it; a leftover file only costs space
+const removeStoredFile = (key) => storage.remove(key)
+  .catch(error => console.error('❌ Remove stored file error:', error));
+
+// AUTH HELPERS
+
+// Random token for an emailed link or a refresh token; only its SHA-256
+// hash is stored
+const createSecretToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Access tokens are short-lived; the refresh token keeps the session going
+// and each use pushes the session's expiry out again
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionDevice = (req) => ({
+  user_agent: req.get('user-agent')?.slice(0, 500) ?? null,
+  ip: req.ip
+});
+
+// Token fields of a signed-in response; the access token stays under
+// `token` as older clients expect
+const sessionTokens = (user, session, refreshToken) => ({
+  token: jwt.sign(
+    { userId: user.id, companyId: user.company_id, role: user.role, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  ),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Start a session for user on the device making req
+const createSession = async (user, req) => {
+  const { token: refreshToken, tokenHash } = createSecretToken();
+
+  const session = await prisma.session.create({
+    data: {
+      refresh_token_hash: tokenHash,
+      expires_at: refreshTokenExpiry(),
+      user_id: user.id,
+      ...sessionDevice(req)
+    }
+  });
+
+  return sessionTokens(user, session, refreshToken);
+};
+
+// Sign out every still-active session matching where
+const revokeSessions = (db, where, reason) => db.session.updateMany({
+  where: { ...where, revoked_at: null },
+  data: { revoked_at: new Date(), revoked_reason: reason }
+});
+
+const activeSessionWhere = () => ({
+  revoked_at: null,
+  expires_at: { gt: new Date() }
+});
+
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  user_agent: session.user_agent,
+  ip: session.ip,
+  current: session.id === currentSessionId,
+  created_at: session.created_at.toISOString(),
+  last_used_at: session.last_used_at.toISOString(),
+  expires_at: session.expires_at.toISOString()
+});
+
+const formatAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: normalizeRole(user.role),
+  permissions: permissionsFor(user.role),
+  two_factor_enabled: Boolean(user.totp_enabled_at),
+  created_at: user.created_at.toISOString()
+});
+
+// Signed-in response shared by login, registration and accepting an
+// invitation; starts a new session for the requesting device
+const authPayload = async (user, company, req) => ({
+  success: true,
+  user: formatAuthUser(user),
+  company: {
+    id: company.id,
+    name: company.name,
+    code: company.code,
+    subscription_tier: company.subscription_tier,
+    max_users: company.max_users,
+    require_admin_2fa: company.require_admin_2fa
+  },
+  twoFactorSetupRequired: twoFactorSetupRequired(user, company),
+  ...(await createSession(user, req))
+});
+
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// TWO-FACTOR HELPERS
+
+// How long the challenge token from a password sign-in can be traded for
+// a session with a two-factor code
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Whether the company makes user set up two-factor sign-in before going on
+const twoFactorSetupRequired = (user, company) =>
+  Boolean(company.require_admin_2fa && isAdminRole(user.role) && !user.totp_enabled_at);
+
+const signTwoFactorChallenge = (user) => jwt.sign(
+  { userId: user.id, purpose: 'two_factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+);
+
+// The user id a challenge token was issued for, or null when it is invalid
+// or expired
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Accept an authenticator code for user. The matched time step is recorded
+// so the same code cannot be used again, even by a concurrent request.
+const useTotpCode = async (user, code) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.totp_secret, SECRETS_KEY), code, {
+    afterStep: user.totp_last_step ?? -1
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totp_last_step: null }, { totp_last_step: { lt: step } }]
+    },
+    data: { totp_last_step: step }
+  });
+
+  return claimed.count > 0;
+};
+
+// Accept one of user's recovery codes, which then stops working
+const useRecoveryCode = async (user, code) => {
+  const claimed = await prisma.recoveryCode.updateMany({
+    where: {
+      user_id: user.id,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+      used_at: null
+    },
+    data: { used_at: new Date() }
+  });
+
+  return claimed.count > 0;
+};
+
+// Accept { code } or { recoveryCode } from a request body
+const verifySecondFactor = (user, { code, recoveryCode }) =>
+  code ? useTotpCode(user, code) : useRecoveryCode(user, recoveryCode);
+
+// Replace user's recovery codes with a fresh set, returned in plain text
+// this once; only their hashes are stored
+const replaceRecoveryCodes = async (tx, userId) => {
+  const codes = generateRecoveryCodes();
+
+  await tx.recoveryCode.deleteMany({ where: { user_id: userId } });
+  await tx.recoveryCode.createMany({
+    data: codes.map(code => ({ user_id: userId, code_hash: hashToken(normalizeRecoveryCode(code)) }))
+  });
+
+  return codes;
+};
+
+// LOGIN THROTTLING HELPERS
+
+// Failed sign-ins allowed per account and per client address within the
+// window before further attempts are refused for the lockout period.
+// Reset requests are limited per address the same way.
+const LOGIN_THROTTLE = {
+  accountFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  ipFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  resetRequests: Number(process.env.PASSWORD_RESET_MAX_REQUESTS) || 5,
+  windowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+};
+
+// Seconds until none of keys is locked any more, or 0 when none is locked
+const throttleRetryAfter = async (keys) => {
+  const locked = await prisma.authThrottle.findMany({
+    where: { key: { in: keys }, locked_until: { gt: new Date() } }
+  });
+
+  if (locked.length === 0) {
+    return 0;
+  }
+
+  const lockedUntil = Math.max(...locked.map(throttle => throttle.locked_until.getTime()));
+  return Math.ceil((lockedUntil - Date.now()) / 1000);
+};
+
+// Count one attempt against key, starting a new window when the last one
+// has passed, and lock the key once limit attempts fall within a window
+const recordThrottleHit = async (key, limit) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_THROTTLE.windowMs);
+
+  const [{ failures }] = await prisma.$queryRaw`
+    INSERT INTO auth_throttles (key, failures, window_started_at)
+    VALUES (${key}, 1, ${now})
+    ON CONFLICT (key) DO UPDATE SET
+      failures = CASE WHEN auth_throttles.window_started_at < ${windowStart}
+        THEN 1 ELSE auth_throttles.failures + 1 END,
+      window_started_at = CASE WHEN auth_throttles.window_started_at < ${windowStart}
+        THEN ${now} ELSE auth_throttles.window_started_at END
+    RETURNING failures`;
+
+  if (failures >= limit) {
+    await prisma.authThrottle.update({
+      where: { key },
+      data: {
+        failures: 0,
+        window_started_at: now,
+        locked_until: new Date(now.getTime() + LOGIN_THROTTLE.lockoutMs)
+      }
+    });
+  }
+};
+
+const loginThrottleKeys = (req, email) => ({
+  account: `account:${email}`,
+  ip: `ip:${req.ip}`
+});
+
+const recordLoginFailure = (keys) => Promise.all([
+  recordThrottleHit(keys.account, LOGIN_THROTTLE.accountFailures),
+  recordThrottleHit(keys.ip, LOGIN_THROTTLE.ipFailures)
+]);
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
+};
+
+// USER HELPERS
+
+const formatTeamMember = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: normalizeRole(user.role),
+  isActive: user.isActive,
+  lastLogin: user.last_login?.toISOString(),
+  twoFactorEnabled: Boolean(user.totp_enabled_at),
+  created_at: user.created_at.toISOString()
+});
+
+// Lock the company row so changes to who holds a seat or an admin role are
+// applied one after another
+const lockCompany = (tx, companyId) =>
+  tx.$queryRaw`SELECT id FROM companies WHERE id = ${companyId} FOR UPDATE`;
+
+// Seats taken: active users plus pending invitations, which hold a seat
+// until they are accepted, revoked or expire
+const seatsInUse = async (db, companyId) => {
+  const [activeUsers, pendingInvitations] = await Promise.all([
+    db.user.count({ where: { company_id: companyId, isActive: true } }),
+    db.invitation.count({
+      where: {
+        company_id: companyId,
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { gt: new Date() }
+      }
+    })
+  ]);
+
+  return activeUsers + pendingInvitations;
+};
+
+// Refuse to add a user beyond the company's max_users (no limit when null).
+// Call inside the transaction that adds the user or invitation.
+const assertSeatAvailable = async (tx, company) => {
+  if (company.max_users === null) {
+    return;
+  }
+
+  await lockCompany(tx, company.id);
+
+  if (await seatsInUse(tx, company.id) >= company.max_users) {
+    throw new HttpError(403, `Your plan allows ${company.max_users} users; deactivate someone or upgrade to add more`, {
+      code: 'user_limit_reached',
+      max_users: company.max_users
+    });
+  }
+};
+
+// Refuse to demote, deactivate or delete userId when nobody else active
+// could administer the company afterwards
+const assertKeepsAdmin = async (tx, companyId, userId) => {
+  await lockCompany(tx, companyId);
+
+  const otherAdmins = await tx.user.findMany({
+    where: { company_id: companyId, isActive: true, id: { not: userId } },
+    select: { role: true }
+  });
+
+  if (!otherAdmins.some(other => isAdminRole(other.role))) {
+    throw new HttpError(400, 'The company needs at least one active owner or admin');
+  }
+};
+
+// INVITATION HELPERS
+
+// How long an emailed invitation link stays valid
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+const invitationExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const invitationStatus = (invitation) => {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (invitation.expires_at <= new Date()) return 'expired';
+  return 'pending';
+};
+
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  name: invitation.name,
+  role: invitation.role,
+  status: invitationStatus(invitation),
+  invited_by: invitation.invited_by?.name ?? null,
+  sent_count: invitation.sent_count,
+  last_sent_at: invitation.last_sent_at.toISOString(),
+  expires_at: invitation.expires_at.toISOString(),
+  accepted_at: invitation.accepted_at?.toISOString() ?? null,
+  created_at: invitation.created_at.toISOString()
+});
+
+// Email the invitation link. Delivery problems are reported rather than
+// thrown so the invitation is kept and the link can be shared by hand.
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const link = `${APP_URL}/?invite=${token}`;
+
+  try {
+    await mailer.send({
+      to: invitation.email,
+      ...invitationEmail({
+        name: invitation.name,
+        companyName: inviter.company.name,
+        inviterName: inviter.name,
+        role: invitation.role,
+        link,
+        expiresAt: invitation.expires_at
+      })
+    });
+  } catch (error) {
+    console.error('❌ Invitation email error:', error);
+    return { emailSent: false, emailMethod: mailer.transport, emailError: error.message, link };
+  }
+
+  if (!mailer.configured) {
+    return { emailSent: false, emailMethod: mailer.transport, emailError: 'Email delivery is not configured', link };
+  }
+
+  return { emailSent: true, emailMethod: mailer.transport, link };
+};
+
+// Response for a newly sent or resent invitation. The link itself is only
+// returned when the email did not go out, for the inviter to pass on.
+const invitationSentResponse = (invitation, delivery) => ({
+  success: true,
+  message: delivery.emailSent ? 'Invitation sent successfully' : 'Invitation created, but the email could not be sent',
+  invitationId: invitation.id,
+  invitation: formatInvitation(invitation),
+  emailSent: delivery.emailSent,
+  emailMethod: delivery.emailMethod,
+  ...(!delivery.emailSent && {
+    emailError: delivery.emailError,
+    invitationLink: delivery.link
+  })
+});
+
+// WEBHOOK HELPERS
+
+// How often the worker looks for deliveries that are due, and how long a
+// claimed delivery is held before another worker may pick it up again
+const WEBHOOK_POLL_INTERVAL_MS = 10 * 1000;
+const WEBHOOK_LEASE_MS = 60 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+
+const formatWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  is_active: webhook.is_active,
+  created_at: webhook.created_at.toISOString(),
+  updated_at: webhook.updated_at.toISOString()
+});
+
+const formatWebhookDelivery = (delivery) => ({
+  id: delivery.id,
+  webhook_id: delivery.webhook_id,
+  event: delivery.event,
+  payload: delivery.payload,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at?.toISOString() ?? null : null,
+  last_attempt_at: delivery.last_attempt_at?.toISOString() ?? null,
+  response_status: delivery.response_status,
+  error: delivery.error,
+  created_at: delivery.created_at.toISOString()
+});
+
+// Read { url, events, description } from a request body, on top of the
+// webhook's current values when updating. Resolves to { data } or
+// { error }.
+const parseWebhookInput = async (body, current = {}) => {
+  const data = {};
+
+  if (body.url !== undefined || !current.url) {
+    const urlError = await validateWebhookUrl(String(body.url || '').trim());
+    if (urlError) {
+      return { error: urlError };
+    }
+    data.url = String(body.url).trim();
+  }
+
+  if (body.events !== undefined || !current.events) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: 'Choose at least one event' };
+    }
+
+    const unknown = body.events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')}` };
+    }
+    data.events = [...new Set(body.events)];
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description ? String(body.description).trim() : null;
+  }
+
+  return { data };
+};
+
+// Queue one event per entry of dataList for every active webhook of the
+// company that subscribes to it. Pass the transaction making the change as
+// db, so nothing is sent for a change that is rolled back; the worker picks
+// deliveries up once committed.
+const queueWebhookEvents = async (db, companyId, event, dataList) => {
+  const webhooks = await db.webhook.findMany({
+    where: { company_id: companyId, is_active: true, events: { has: event } },
+    select: { id: true }
+  });
+
+  if (webhooks.length === 0 || dataList.length === 0) {
+    return;
+  }
+
+  const payloads = dataList.map(data => ({
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    company_id: companyId,
+    data
+  }));
+
+  await db.webhookDelivery.createMany({
+    data: payloads.flatMap(payload => webhooks.map(webhook => ({
+      event,
+      payload,
+      company_id: companyId,
+      webhook_id: webhook.id
+    })))
+  });
+};
+
+const queueWebhookEvent = (db, companyId, event, data) => queueWebhookEvents(db, companyId, event, [data]);
+
+// stock.changed for a change of an item's total quantity, and stock.low too
+// when it takes the item from above its reorder point to at or below it
+const queueStockEvents = async (db, before, after, details = {}) => {
+  if (after.quantity === before.quantity) {
+    return;
+  }
+
+  await queueWebhookEvent(db, after.company_id, 'stock.changed', {
+    item: formatItem(after),
+    previous_quantity: before.quantity,
+    change: after.quantity - before.quantity,
+    ...details
+  });
+
+  if (before.quantity > after.reorder_point && after.quantity <= after.reorder_point) {
+    await queueWebhookEvent(db, after.company_id, 'stock.low', { item: formatItem(after) });
+  }
+};
+
+// Send one claimed delivery and record the outcome, scheduling a retry
+// after a failure while attempts remain
+const attemptWebhookDelivery = async (deliveryId) => {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { webhook: true }
+  });
+
+  const result = await sendWebhook({
+    url: delivery.webhook.url,
+    secret: decryptSecret(delivery.webhook.secret, SECRETS_KEY),
+    event: delivery.event,
+    deliveryId: delivery.id,
+    body: JSON.stringify(delivery.payload)
+  });
+
+  const attempts = delivery.attempts + 1;
+  const status = result.ok ? 'succeeded' : attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status,
+      attempts,
+      last_attempt_at: new Date(),
+      next_attempt_at: status === 'pending' ? new Date(Date.now() + retryDelayMs(attempts)) : null,
+      response_status: result.status,
+      error: result.error
+    }
+  });
+};
+
+// Claim the deliveries that are due (skipping rows another worker holds,
+// so several API instances can share the queue) and send them
+const processWebhookQueue = async () => {
+  const now = new Date();
+
+  const claimed = await prisma.$queryRaw`
+    UPDATE webhook_deliveries
+    SET next_attempt_at = ${new Date(now.getTime() + WEBHOOK_LEASE_MS)}
+    WHERE id IN (
+      SELECT d.id
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ${now} AND w.is_active
+      ORDER BY d.next_attempt_at
+      LIMIT ${WEBHOOK_BATCH_SIZE}
+      FOR UPDATE OF d SKIP LOCKED
+    )
+    RETURNING id`;
+
+  for (const { id } of claimed) {
+    const delivery = await attemptWebhookDelivery(id);
+    if (delivery.status === 'failed') {
+      console.error(`❌ Webhook delivery ${delivery.id} (${delivery.event}) failed for good: ${delivery.error}`);
+    }
+  }
+
+  return claimed.length;
+};
+
+const startWebhookWorker = () => {
+  let running = false;
+
+  setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      // Keep going while full batches come back, so a backlog drains quickly
+      let claimed;
+      do {
+        claimed = await processWebhookQueue();
+      } while (claimed === WEBHOOK_BATCH_SIZE);
+    } catch (error) {
+      console.error('❌ Webhook worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, WEBHOOK_POLL_INTERVAL_MS).unref();
+};
+
+// NOTIFICATION HELPERS
+
+// Events users can be notified of. Everyone who can see items gets them in
+// the app; by email only roles that order stock, unless they choose otherwise.
+const NOTIFICATION_EVENTS = {
+  'stock.low': {
+    description: 'An item fell to or below its reorder point',
+    emailPermission: 'purchase_orders:manage'
+  },
+  'stock.out': {
+    description: 'An item ran out of stock',
+    emailPermission: 'purchase_orders:manage'
+  }
+};
+
+// How often new stock alerts are gathered into one email per user
+const STOCK_ALERT_DIGEST_INTERVAL_MS = (Number(process.env.STOCK_ALERT_DIGEST_MINUTES) || 60) * 60 * 1000;
+
+const formatNotification = (notification) => ({
+  id: notification.id,
+  event: notification.event,
+  title: notification.title,
+  body: notification.body,
+  item_id: notification.stock_alert?.item_id ?? null,
+  read_at: notification.read_at?.toISOString() ?? null,
+  created_at: notification.created_at.toISOString()
+});
+
+const formatStockAlert = (alert) => ({
+  id: alert.id,
+  kind: alert.kind,
+  item_id: alert.item_id,
+  item_name: alert.item.name,
+  quantity: alert.quantity,
+  reorder_point: alert.reorder_point,
+  current_quantity: alert.item.quantity,
+  created_at: alert.created_at.toISOString(),
+  resolved_at: alert.resolved_at?.toISOString() ?? null
+});
+
+// How user hears about event: { in_app, email }. preferences are the user's
+// saved NotificationPreference rows.
+const notificationChannels = (user, event, preferences) => {
+  const preference = preferences.find(saved => saved.event === event);
+
+  return preference
+    ? { in_app: preference.in_app, email: preference.email }
+    : { in_app: true, email: hasPermission(user.role, NOTIFICATION_EVENTS[event].emailPermission) };
+};
+
+// Active users of the company who hear about event through channel
+// ("in_app" or "email")
+const notificationRecipients = async (db, companyId, event, channel) => {
+  const users = await db.user.findMany({
+    where: { company_id: companyId, isActive: true, deleted_at: null },
+    include: { notification_preferences: { where: { event } } }
+  });
+
+  return users.filter(user => hasPermission(user.role, 'items:view') &&
+    notificationChannels(user, event, user.notification_preferences)[channel]);
+};
+
+// The alert an item's stock calls for, if any
+const stockAlertKind = (item) => {
+  if (item.quantity <= 0) {
+    return 'out';
+  }
+  return item.quantity <= item.reorder_point ? 'low' : null;
+};
+
+const stockAlertNotification = (alert, item) => (alert.kind === 'out'
+  ? { title: `${item.name} is out of stock`, body: `Reorder point is ${alert.reorder_point}` }
+  : { title: `${item.name} is running low`, body: `${alert.quantity} left, reorder point is ${alert.reorder_point}` });
+
+// Bring an item's stock alerts in line with its quantity after it is
+// created, moves stock or gets a new reorder point: resolve the ones no
+// longer true and raise a new one (notifying subscribers in the app) unless
+// the same kind is still open. Pass the transaction that made the change as
+// db; the item row is locked or was just created.
+const updateStockAlerts = async (db, item) => {
+  const kind = stockAlertKind(item);
+  const stillOpen = { out: ['low', 'out'], low: ['low'] }[kind] || [];
+
+  await db.stockAlert.updateMany({
+    where: { item_id: item.id, resolved_at: null, kind: { notIn: stillOpen } },
+    data: { resolved_at: new Date() }
+  });
+
+  if (!kind || await db.stockAlert.findFirst({ where: { item_id: item.id, kind, resolved_at: null } })) {
+    return;
+  }
+
+  const alert = await db.stockAlert.create({
+    data: {
+      kind,
+      quantity: item.quantity,
+      reorder_point: item.reorder_point,
+      company_id: item.company_id,
+      item_id: item.id
+    }
+  });
+
+  const event = `stock.${kind}`;
+  const recipients = await notificationRecipients(db, item.company_id, event, 'in_app');
+
+  await db.notification.createMany({
+    data: recipients.map(user => ({
+      event,
+      ...stockAlertNotification(alert, item),
+      user_id: user.id,
+      stock_alert_id: alert.id
+    }))
+  });
+};
+
+// Email each subscriber one digest of the stock alerts raised since the
+// last run. Alerts are claimed first so two API instances never send the
+// same one; alerts already resolved by then are left out.
+const sendStockAlertDigests = async () => {
+  const claimed = await prisma.$queryRaw`
+    UPDATE stock_alerts SET digested_at = ${new Date()}
+    WHERE digested_at IS NULL
+    RETURNING id`;
+
+  if (claimed.length === 0) {
+    return 0;
+  }
+
+  const alerts = await prisma.stockAlert.findMany({
+    where: { id: { in: claimed.map(row => row.id) }, resolved_at: null },
+    include: { item: true, company: true },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const alertsByCompany = new Map();
+  alerts.forEach(alert => {
+    alertsByCompany.set(alert.company_id, [...(alertsByCompany.get(alert.company_id) || []), alert]);
+  });
+
+  let sent = 0;
+  for (const [companyId, companyAlerts] of alertsByCompany) {
+    const alertsByUser = new Map();
+
+    for (const event of Object.keys(NOTIFICATION_EVENTS)) {
+      const eventAlerts = companyAlerts.filter(alert => `stock.${alert.kind}` === event);
+      if (eventAlerts.length === 0) {
+        continue;
+      }
+
+      const recipients = await notificationRecipients(prisma, companyId, event, 'email');
+      recipients.forEach(user => {
+        const entry = alertsByUser.get(user.id) || { user, alerts: [] };
+        entry.alerts.push(...eventAlerts);
+        alertsByUser.set(user.id, entry);
+      });
+    }
+
+    for (const { user, alerts: userAlerts } of alertsByUser.values()) {
+      try {
+        await mailer.send({
+          to: user.email,
+          ...stockAlertDigestEmail({
+            name: user.name,
+            companyName: userAlerts[0].company.name,
+            alerts: userAlerts.map(alert => ({
+              itemName: alert.item.name,
+              kind: alert.kind,
+              quantity: alert.quantity,
+              reorderPoint: alert.reorder_point
+            })),
+            link: APP_URL
+          })
+        });
+        sent++;
+      } catch (error) {
+        console.error('❌ Stock alert digest email error:', error);
+      }
+    }
+  }
+
+  return sent;
+};
+
+const startStockAlertDigests = () => {
+  setInterval(() => {
+    sendStockAlertDigests()
+      .then(sent => sent > 0 && console.log(`📬 Sent ${sent} stock alert digest(s)`))
+      .catch(error => console.error('❌ Stock alert digest error:', error));
+  }, STOCK_ALERT_DIGEST_INTERVAL_MS).unref();
+};
+
+// ANALYTICS HELPERS
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const VALUATION_METHODS = ['fifo', 'average'];
+
+// Whole UTC days for ?from=&to= (both inclusive), defaulting to the last 30
+// days. Returns { from, to, days } with to exclusive, or { error }.
+const parseAnalyticsRange = (query) => {
+  const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  const to = new Date(startOfDay(query.to ? new Date(query.to) : new Date()).getTime() + DAY_MS);
+  const from = query.from
+    ? startOfDay(new Date(query.from))
+    : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+
+  if (isNaN(from) || isNaN(to)) {
+    return { error: 'from and to must be dates' };
+  }
+
+  const days = Math.round((to - from) / DAY_MS);
+
+  if (days < 1) {
+    return { error: 'from cannot be after to' };
+  }
+
+  if (days > ANALYTICS_MAX_DAYS) {
+    return { error: `The range can be at most ${ANALYTICS_MAX_DAYS} days` };
+  }
+
+  return { from, to, days };
+};
+
+const formatAnalyticsRange = ({ from, to, days }) => ({
+  from: from.toISOString().slice(0, 10),
+  to: new Date(to.getTime() - DAY_MS).toISOString().slice(0, 10),
+  days
+});
+
+// How an activity changed its item's total quantity; transfers only move
+// stock between locations and deletes/restores leave it alone. Count
+// adjustments store their signed variance.
+const signedActivityQuantity = Prisma.sql`
+  CASE WHEN a.type IN ('created', 'added', 'received', 'count_adjustment') THEN a.quantity
+       WHEN a.type = 'removed' THEN -a.quantity
+       ELSE 0 END`;
+
+// Value of the stock on hand per item. Incoming stock (created, added and
+// received activities) forms cost layers, priced at the cost recorded on
+// the activity or else the item's unit_cost. FIFO assumes the oldest units
+// went out first, so what is left is the newest layers; average prices every
+// unit at the weighted average cost of all layers. value is null for items
+// with no known cost.
+const inventoryValuation = (companyId, method) => prisma.$queryRaw`
+  WITH layers AS (
+    SELECT a.item_id, a.quantity, i.quantity AS on_hand,
+      COALESCE(a.unit_cost, i.unit_cost) AS unit_cost,
+      SUM(a.quantity) OVER (PARTITION BY a.item_id ORDER BY a.created_at DESC, a.id DESC) AS newer_quantity
+    FROM activities a
+    JOIN items i ON i.id = a.item_id
+    WHERE a.company_id = ${companyId}
+      AND i.deleted_at IS NULL
+      AND a.type IN ('created', 'added', 'received')
+      AND a.quantity > 0
+  ),
+  remaining AS (
+    SELECT item_id, unit_cost, quantity,
+      GREATEST(0, LEAST(quantity, on_hand - (newer_quantity - quantity))) AS on_hand_quantity
+    FROM layers
+  ),
+  costs AS (
+    SELECT item_id,
+      SUM(on_hand_quantity * unit_cost) AS fifo_value,
+      SUM(on_hand_quantity) FILTER (WHERE unit_cost IS NOT NULL) AS fifo_costed_quantity,
+      SUM(quantity * unit_cost) / NULLIF(SUM(quantity) FILTER (WHERE unit_cost IS NOT NULL), 0) AS average_cost
+    FROM remaining
+    GROUP BY item_id
+  ),
+  valued AS (
+    SELECT i.id, i.name, i.barcode, i.quantity, i.unit_price,
+      ${method === 'average'
+        ? Prisma.sql`i.quantity * COALESCE(c.average_cost, i.unit_cost)`
+        // Stock older than the activity log is priced at the item's cost
+        : Prisma.sql`CASE
+            WHEN c.fifo_costed_quantity IS NULL AND i.unit_cost IS NULL THEN NULL
+            ELSE COALESCE(c.fifo_value, 0) +
+              COALESCE(GREATEST(0, i.quantity - COALESCE(c.fifo_costed_quantity, 0)) * i.unit_cost, 0)
+          END`} AS value
+    FROM items i
+    LEFT JOIN costs c ON c.item_id = i.id
+    WHERE i.company_id = ${companyId} AND i.deleted_at IS NULL
+  )
+  SELECT id, name, barcode, quantity,
+    ROUND(value / NULLIF(quantity, 0), 4)::float8 AS unit_cost,
+    ROUND(value, 2)::float8 AS value,
+    ROUND(quantity * unit_price, 2)::float8 AS retail_value
+  FROM valued
+  ORDER BY value DESC NULLS LAST, name`;
+
+// Units consumed (removed) per item over the range, the quantity on hand at
+// its start and end worked back from today's quantity, and from those the
+// turnover (consumed / average stock) and days of supply left at the
+// range's rate of consumption
+const inventoryTurnover = (companyId, { from, to, days }) => prisma.$queryRaw`
+  WITH movements AS (
+    SELECT a.item_id,
+      SUM(a.quantity) FILTER (WHERE a.type = 'removed' AND a.created_at < ${to}) AS consumed,
+      SUM(${signedActivityQuantity}) AS net_since_from,
+      SUM(${signedActivityQuantity}) FILTER (WHERE a.created_at >= ${to}) AS net_since_to
+    FROM activities a
+    WHERE a.company_id = ${companyId}
+      AND a.created_at >= ${from}
+      AND a.item_id IS NOT NULL
+    GROUP BY a.item_id
+  ),
+  levels AS (
+    SELECT i.id, i.name, i.barcode, i.quantity,
+      COALESCE(m.consumed, 0) AS consumed,
+      i.quantity - COALESCE(m.net_since_from, 0) AS opening_quantity,
+      i.quantity - COALESCE(m.net_since_to, 0) AS closing_quantity
+    FROM items i
+    LEFT JOIN movements m ON m.item_id = i.id
+    WHERE i.company_id = ${companyId} AND i.deleted_at IS NULL
+  )
+  SELECT id, name, barcode, quantity,
+    consumed::int AS consumed,
+    opening_quantity::int AS opening_quantity,
+    closing_quantity::int AS closing_quantity,
+    ROUND(consumed / NULLIF((opening_quantity + closing_quantity) / 2.0, 0), 2)::float8 AS turnover,
+    ROUND(quantity / NULLIF(consumed / ${days}::numeric, 0), 1)::float8 AS days_of_supply
+  FROM levels
+  ORDER BY turnover DESC NULLS LAST, name`;
+
+// Units removed per UTC day over the range, every day included, for one
+// item or the whole company
+const dailyConsumption = (companyId, { from, to }, itemId) => prisma.$queryRaw`
+  SELECT to_char(d.day, 'YYYY-MM-DD') AS date, COALESCE(SUM(a.quantity), 0)::int AS quantity
+  FROM generate_series(${from}::timestamp, ${to}::timestamp - interval '1 day', interval '1 day') AS d(day)
+  LEFT JOIN activities a
+    ON a.company_id = ${companyId}
+    AND a.type = 'removed'
+    AND a.created_at >= d.day
+    AND a.created_at < d.day + interval '1 day'
+    ${itemId ? Prisma.sql`AND a.item_id = ${itemId}` : Prisma.empty}
+  GROUP BY d.day
+  ORDER BY d.day`;
+
+// The items most consumed over the range
+const topMovers = (companyId, { from, to }, limit) => prisma.$queryRaw`
+  SELECT i.id, i.name, i.barcode, i.quantity, SUM(a.quantity)::int AS consumed
+  FROM activities a
+  JOIN items i ON i.id = a.item_id
+  WHERE a.company_id = ${companyId}
+    AND a.type = 'removed'
+    AND a.created_at >= ${from}
+    AND a.created_at < ${to}
+    AND i.deleted_at IS NULL
+  GROUP BY i.id
+  ORDER BY consumed DESC, i.name
+  LIMIT ${limit}`;
+
+// Items holding stock that nothing was taken from over the range, most
+// capital tied up first. Items created during the range are too new to tell.
+const deadStock = (companyId, { from }, limit) => prisma.$queryRaw`
+  SELECT i.id, i.name, i.barcode, i.quantity,
+    ROUND(i.quantity * i.unit_cost, 2)::float8 AS value,
+    last_removal.created_at AS last_removed_at
+  FROM items i
+  LEFT JOIN LATERAL (
+    SELECT MAX(a.created_at) AS created_at
+    FROM activities a
+    WHERE a.item_id = i.id AND a.type = 'removed'
+  ) last_removal ON true
+  WHERE i.company_id = ${companyId}
+    AND i.deleted_at IS NULL
+    AND i.quantity > 0
+    AND i.created_at < ${from}
+    AND (last_removal.created_at IS NULL OR last_removal.created_at < ${from})
+  ORDER BY value DESC NULLS LAST, i.quantity DESC, i.name
+  LIMIT ${limit}`;
+
+// FORECAST HELPERS
+
+// Days of consumption history forecasts learn from (13 full weeks)
+const FORECAST_HISTORY_DAYS = 91;
+
+// Defaults for how long an order takes to arrive and how many days of
+// demand beyond that it should cover; requests can override both
+const FORECAST_DEFAULTS = {
+  leadTimeDays: Number(process.env.FORECAST_LEAD_TIME_DAYS) || 7,
+  coverDays: Number(process.env.FORECAST_COVER_DAYS) || 14,
+  horizonDays: 30
+};
+
+// Read ?leadTimeDays=&coverDays=&horizonDays= on top of the defaults.
+// Returns { params } or { error }.
+const parseForecastParams = (query) => {
+  const params = { ...FORECAST_DEFAULTS };
+
+  for (const [key, min] of [['leadTimeDays', 0], ['coverDays', 1], ['horizonDays', 1]]) {
+    if (query[key] === undefined) {
+      continue;
+    }
+
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < min || value > 365) {
+      return { error: `${key} must be a whole number from ${min} to 365` };
+    }
+    params[key] = value;
+  }
+
+  return { params };
+};
+
+// Daily consumption (units removed) of each item over the forecast history,
+// every day included, by item id. An item's series starts on the day it was
+// created when that is within the history, so new items are not diluted by
+// days they did not exist.
+const consumptionSeries = async (companyId, items) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const from = new Date(today.getTime() - (FORECAST_HISTORY_DAYS - 1) * DAY_MS);
+
+  const rows = await prisma.$queryRaw`
+    SELECT a.item_id, to_char(a.created_at, 'YYYY-MM-DD') AS date, SUM(a.quantity)::int AS quantity
+    FROM activities a
+    WHERE a.company_id = ${companyId}
+      AND a.type = 'removed'
+      AND a.created_at >= ${from}
+      ${items.length === 1 ? Prisma.sql`AND a.item_id = ${items[0].id}` : Prisma.empty}
+    GROUP BY a.item_id, 2`;
+
+  const consumed = new Map(rows.map(row => [`${row.item_id}:${row.date}`, row.quantity]));
+
+  return new Map(items.map(item => {
+    const start = Math.max(from.getTime(), new Date(item.created_at.toISOString().slice(0, 10)).getTime());
+    const series = [];
+
+    for (let time = start; time <= today.getTime(); time += DAY_MS) {
+      const date = new Date(time).toISOString().slice(0, 10);
+      series.push({ date, quantity: consumed.get(`${item.id}:${date}`) || 0 });
+    }
+    return [item.id, series];
+  }));
+};
+
+// STOCKTAKE HELPERS
+
+// Stocktakes still being counted or reviewed; an item (at a location) can
+// only be in one of them at a time so its variance is posted once
+const OPEN_STOCKTAKE_STATUSES = ['counting', 'review'];
+
+// ABC classes rank items by what their consumption over the last year was
+// worth: those making up the first 80% of the value are A, the next 15% B
+// and the rest C. Each class is due for a cycle count this often.
+const ABC_CLASS_SHARES = { A: 0.8, B: 0.95 };
+const ABC_HISTORY_DAYS = 365;
+const CYCLE_COUNT_INTERVAL_DAYS = { A: 30, B: 90, C: 180 };
+const CYCLE_COUNT_DEFAULT_LIMIT = 50;
+
+const stocktakeInclude = {
+  location: true,
+  lines: { orderBy: { item_name: 'asc' } }
+};
+
+// Counters do not see expected quantities, so they count what is really
+// there rather than confirm the system's number
+const formatStocktakeLine = (line, showExpected) => {
+  const variance = line.counted_quantity === null ? null : line.counted_quantity - line.expected_quantity;
+
+  return {
+    id: line.id,
+    item_id: line.item_id,
+    item_name: line.item_name,
+    barcode: line.barcode,
+    counted_quantity: line.counted_quantity,
+    ...(showExpected && {
+      expected_quantity: line.expected_quantity,
+      variance,
+      variance_value: variance === null || line.unit_cost === null ? null : variance * Number(line.unit_cost)
+    })
+  };
+};
+
+// The stocktake with its lines when they were loaded (stocktakeInclude)
+const formatStocktake = (stocktake, showExpected) => {
+  const lines = stocktake.lines.map(line => formatStocktakeLine(line, showExpected));
+  const counted = lines.filter(line => line.counted_quantity !== null);
+
+  return {
+    id: stocktake.id,
+    name: stocktake.name,
+    status: stocktake.status,
+    scope: stocktake.scope,
+    location_id: stocktake.location_id,
+    location_name: stocktake.location?.name ?? null,
+    notes: stocktake.notes,
+    created_by_name: stocktake.created_by_name,
+    approved_by_name: stocktake.approved_by_name,
+    submitted_at: stocktake.submitted_at?.toISOString() || null,
+    posted_at: stocktake.posted_at?.toISOString() || null,
+    created_at: stocktake.created_at.toISOString(),
+    line_count: lines.length,
+    counted_count: counted.length,
+    ...(showExpected && {
+      variance_count: counted.filter(line => line.variance !== 0).length,
+      variance_value: counted.reduce((sum, line) => sum + (line.variance_value || 0), 0)
+    }),
+    lines
+  };
+};
+
+const findCompanyStocktake = async (tx, stocktakeId, companyId) => {
+  const stocktake = await tx.stocktake.findFirst({
+    where: { id: stocktakeId, company_id: companyId },
+    include: stocktakeInclude
+  });
+
+  if (!stocktake) {
+    throw new HttpError(404, 'Stocktake not found');
+  }
+
+  return stocktake;
+};
+
+// Lock the stocktake row so counts, submission and approval of the same
+// stocktake are applied one after another
+const lockStocktake = async (tx, stocktakeId, companyId) => {
+  await tx.$queryRaw`SELECT id FROM stocktakes WHERE id = ${stocktakeId} FOR UPDATE`;
+  return findCompanyStocktake(tx, stocktakeId, companyId);
+};
+
+// What the system expects to be counted of item: its stock at location, or
+// its whole quantity for stocktakes that are not tied to a location
+const expectedCountQuantity = async (tx, item, location) => {
+  if (!location) {
+    return item.quantity;
+  }
+
+  const level = await tx.stockLevel.findUnique({
+    where: { item_id_location_id: { item_id: item.id, location_id: location.id } }
+  });
+  return level ? level.quantity : 0;
+};
+
+const stocktakeLineData = (stocktakeId, item, expectedQuantity) => ({
+  item_name: item.name,
+  barcode: item.barcode,
+  expected_quantity: expectedQuantity,
+  unit_cost: item.unit_cost,
+  stocktake_id: stocktakeId,
+  item_id: item.id
+});
+
+// Open stocktake lines that would count the same stock as a new stocktake
+// of itemIds at location. Counts of two different locations do not overlap.
+const overlappingStocktakeLines = async (db, companyId, itemIds, location) => {
+  const lines = await db.stocktakeLine.findMany({
+    where: {
+      item_id: { in: itemIds },
+      stocktake: { company_id: companyId, status: { in: OPEN_STOCKTAKE_STATUSES } }
+    },
+    include: { stocktake: true }
+  });
+
+  return lines.filter(line => !location || !line.stocktake.location_id || line.stocktake.location_id === location.id);
+};
+
+// Every item with its ABC class and when its next cycle count is due
+// (counted items from their last count, others from when they were added),
+// most valuable first
+const abcClassification = async (db, companyId) => {
+  const since = new Date(Date.now() - ABC_HISTORY_DAYS * DAY_MS);
+
+  const rows = await db.$queryRaw`
+    SELECT i.id, i.name, i.barcode, i.quantity, i.last_counted_at, i.created_at,
+      COALESCE(SUM(a.quantity), 0)::int AS consumed,
+      ROUND(COALESCE(SUM(a.quantity), 0) * COALESCE(i.unit_cost, 0), 2)::float8 AS consumption_value
+    FROM items i
+    LEFT JOIN activities a
+      ON a.item_id = i.id
+      AND a.type = 'removed'
+      AND a.created_at >= ${since}
+    WHERE i.company_id = ${companyId} AND i.deleted_at IS NULL
+    GROUP BY i.id
+    ORDER BY consumption_value DESC, consumed DESC, i.name`;
+
+  // Without any costs entered, rank by units consumed instead
+  const byValue = rows.some(row => row.consumption_value > 0);
+  const measure = (row) => (byValue ? row.consumption_value : row.consumed);
+  const total = rows.reduce((sum, row) => sum + measure(row), 0);
+  const now = Date.now();
+
+  let running = 0;
+  return rows.map(row => {
+    const shareBefore = total > 0 ? running / total : 1;
+    running += measure(row);
+
+    let abcClass = 'C';
+    if (measure(row) > 0 && shareBefore < ABC_CLASS_SHARES.A) {
+      abcClass = 'A';
+    } else if (measure(row) > 0 && shareBefore < ABC_CLASS_SHARES.B) {
+      abcClass = 'B';
+    }
+
+    const due = new Date((row.last_counted_at || row.created_at).getTime() + CYCLE_COUNT_INTERVAL_DAYS[abcClass] * DAY_MS);
+
+    return {
+      item_id: row.id,
+      name: row.name,
+      barcode: row.barcode,
+      quantity: row.quantity,
+      abc_class: abcClass,
+      consumed: row.consumed,
+      consumption_value: row.consumption_value,
+      last_counted_at: row.last_counted_at?.toISOString() || null,
+      next_count_due: due.toISOString(),
+      overdue: due.getTime() <= now
+    };
+  });
+};
+
+// Post a count variance to an item locked with lockItem. Stocktakes of a
+// location correct the stock there; the others only know the item's total,
+// so a shortfall comes out of unassigned stock first and then the fullest
+// locations. Returns the updated item.
+const applyCountVariance = async (tx, item, variance, location) => {
+  if (location || variance >= 0) {
+    return applyStockChange(tx, item, variance, location);
+  }
+
+  let missing = -variance - Math.max(await getUnassignedQuantity(tx, item), 0);
+
+  if (missing > 0) {
+    const levels = await tx.stockLevel.findMany({
+      where: { item_id: item.id, quantity: { gt: 0 } },
+      orderBy: { quantity: 'desc' }
+    });
+
+    for (const level of levels) {
+      if (missing <= 0) {
+        break;
+      }
+
+      const taken = Math.min(level.quantity, missing);
+      await tx.stockLevel.update({
+        where: { id: level.id },
+        data: { quantity: { decrement: taken } }
+      });
+      missing -= taken;
+    }
+  }
+
+  return tx.item.update({
+    where: { id: item.id },
+    data: { quantity: { increment: variance } },
+    include: itemStockInclude
+  });
+};
+
+// SYNC HELPERS
+
+// Offline clients send at most this many movements per batch, recorded no
+// more than SYNC_MAX_AGE_DAYS ago. Idempotency keys are kept for longer
+// than that, so a movement can never be replayed after its key is gone.
+const SYNC_MAX_OPERATIONS = 500;
+const SYNC_MAX_AGE_DAYS = 7;
+const SYNC_KEY_RETENTION_DAYS = 30;
+
+// A movement that cannot be applied as recorded. code tells the client what
+// happened: invalid, item_not_found, item_deleted, location_not_found,
+// insufficient_stock or too_old; failed means the server could not apply it
+// this time and it can be sent again as it is.
+const syncConflict = (clientId, code, error, extra) => ({ client_id: clientId, status: 'conflict', code, error, ...extra });
+
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+// Apply one offline movement in its own transaction: { clientId, itemId or
+// barcode, delta, reason, locationId, occurredAt, resolution }. The activity
+// is dated when the movement happened. With resolution "clamp" a removal
+// larger than the stock left takes what there is instead of conflicting.
+// Never throws: anything that goes wrong comes back as a conflict for this
+// movement alone, so the rest of the batch still gets its results.
+const applySyncedMovement = async (req, operation) => {
+  const clientId = typeof operation.clientId === 'string' ? operation.clientId : '';
+  const delta = typeof operation.delta === 'number' || typeof operation.delta === 'string' ? Number(operation.delta) : NaN;
+  const occurredAt = operation.occurredAt == null
+    ? new Date()
+    : new Date(typeof operation.occurredAt === 'string' || typeof operation.occurredAt === 'number' ? operation.occurredAt : NaN);
+
+  if (!clientId || clientId.length > 100) {
+    return syncConflict(clientId || null, 'invalid', 'Each movement needs a clientId of up to 100 characters');
+  }
+  if (!isOptionalString(operation.itemId) || !isOptionalString(operation.barcode) || !isOptionalString(operation.locationId)) {
+    return syncConflict(clientId, 'invalid', 'itemId, barcode and locationId must be strings');
+  }
+  if (!Number.isInteger(delta) || delta === 0) {
+    return syncConflict(clientId, 'invalid', 'delta must be a non-zero whole number');
+  }
+  if (!STOCK_MOVEMENT_REASONS.includes(operation.reason)) {
+    return syncConflict(clientId, 'invalid', `Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`);
+  }
+  if (isNaN(occurredAt)) {
+    return syncConflict(clientId, 'invalid', 'occurredAt must be a date');
+  }
+  if (occurredAt < new Date(Date.now() - SYNC_MAX_AGE_DAYS * DAY_MS)) {
+    return syncConflict(clientId, 'too_old', `Movements older than ${SYNC_MAX_AGE_DAYS} days cannot be synced`);
+  }
+
+  try {
+    const replayed = await prisma.syncOperation.findUnique({
+      where: { company_id_client_id: { company_id: req.user.company_id, client_id: clientId } }
+    });
+    if (replayed) {
+      return { ...replayed.result, status: 'duplicate' };
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const found = await tx.item.findFirst({
+        where: {
+          company_id: req.user.company_id,
+          ...(operation.itemId ? { id: operation.itemId } : { barcode: String(operation.barcode || '').trim() })
+        }
+      });
+
+      if (!found) {
+        return syncConflict(clientId, 'item_not_found', 'Item not found');
+      }
+      if (found.deleted_at) {
+        return syncConflict(clientId, 'item_deleted', `${found.name} has been deleted`, { item_id: found.id });
+      }
+
+      const item = await lockItem(tx, found.id, req.user.company_id);
+      const location = operation.locationId
+        ? await tx.location.findFirst({ where: { id: operation.locationId, company_id: req.user.company_id } })
+        : null;
+
+      if (operation.locationId && !location) {
+        return syncConflict(clientId, 'location_not_found', 'Location not found', { item_id: item.id });
+      }
+
+      let applied = delta;
+      if (delta < 0) {
+        const level = location && await tx.stockLevel.findUnique({
+          where: { item_id_location_id: { item_id: item.id, location_id: location.id } }
+        });
+        const available = location ? (level?.quantity ?? 0) : await getUnassignedQuantity(tx, item);
+
+        if (available < -delta) {
+          if (operation.resolution !== 'clamp' || available <= 0) {
+            return syncConflict(clientId, 'insufficient_stock', `Only ${Math.max(available, 0)} of ${item.name} left${location ? ` at ${location.name}` : ''}`, {
+              item_id: item.id,
+              available: Math.max(available, 0)
+            });
+          }
+          applied = -available;
+        }
+      }
+
+      const updated = await applyStockChange(tx, item, applied, location);
+      const happenedAt = occurredAt > new Date() ? new Date() : occurredAt;
+
+      await recordAudit(tx, req, {
+        action: 'item.adjust',
+        entityType: 'item',
+        before: item,
+        after: updated,
+        metadata: {
+          reason: operation.reason,
+          delta: applied,
+          location_id: location?.id ?? null,
+          location_name: location?.name ?? null,
+          offline: true,
+          client_id: clientId,
+          occurred_at: happenedAt.toISOString()
+        }
+      });
+
+      await tx.activity.create({
+        data: {
+          type: applied > 0 ? 'added' : 'removed',
+          quantity: Math.abs(applied),
+          old_quantity: item.quantity,
+          ...(applied > 0 && { unit_cost: item.unit_cost }),
+          reason: operation.reason,
+          item_name: item.name,
+          user_name: req.user.name,
+          location_name: location?.name,
+          created_at: happenedAt,
+          company_id: req.user.company_id,
+          item_id: item.id,
+          user_id: req.user.id,
+          location_id: location?.id
+        }
+      });
+
+      await updateStockAlerts(tx, updated);
+
+      await queueStockEvents(tx, item, updated, {
+        reason: operation.reason,
+        location_id: location?.id ?? null,
+        location_name: location?.name ?? null,
+        occurred_at: happenedAt.toISOString()
+      });
+
+      const result = {
+        client_id: clientId,
+        status: 'applied',
+        delta: applied,
+        item: formatItem(updated)
+      };
+
+      // A batch sent twice at once gets a unique violation here and rolls
+      // back; the retry below then reports it as a duplicate
+      await tx.syncOperation.create({
+        data: { client_id: clientId, result, company_id: req.user.company_id }
+      });
+
+      return result;
+    });
+  } catch (error) {
+    // Deleted between the lookup and the lock
+    if (error instanceof HttpError && error.status === 404) {
+      return syncConflict(clientId, 'item_deleted', 'Item has been deleted');
+    }
+    if (error.code === 'P2002') {
+      const stored = await prisma.syncOperation.findUnique({
+        where: { company_id_client_id: { company_id: req.user.company_id, client_id: clientId } }
+      }).catch(() => null);
+      if (stored) {
+        return { ...stored.result, status: 'duplicate' };
+      }
+    }
+    console.error('❌ Sync movement error:', error);
+    return syncConflict(clientId, 'failed', 'The movement could not be applied; it will be sent again');
+  }
+};
+
+// Forget idempotency keys older than SYNC_KEY_RETENTION_DAYS
+const startSyncKeyCleanup = () => {
+  const run = () => prisma.syncOperation.deleteMany({
+    where: { created_at: { lt: new Date(Date.now() - SYNC_KEY_RETENTION_DAYS * DAY_MS) } }
+  }).catch(error => console.error('❌ Sync key cleanup error:', error));
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+// AUTH ENDPOINTS
+
+// Login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    
+    console.log('🔐 Login attempt for:', email);
+    
+    const normalizedEmail = email.toLowerCase().trim();
+    const throttleKeys = loginThrottleKeys(req, normalizedEmail);
+    
+    // Locked accounts and addresses are refused before the password is checked
+    const retryAfter = await throttleRetryAfter(Object.values(throttleKeys));
+    if (retryAfter) {
+      console.log('🔒 Login throttled for:', normalizedEmail, req.ip);
+      return tooManyAttempts(res, retryAfter);
+    }
+    
+    // Find user and include company
+    const user = await prisma.user.findFirst({
+      where: { 
+        email: normalizedEmail,
+        isActive: true 
+      },
+      include: { company: true }
+    });
+    
+    if (!user) {
+      await recordLoginFailure(throttleKeys);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // Check password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      await recordLoginFailure(throttleKeys);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // With two-factor sign-in on, the password only earns a short-lived
+    // challenge that POST /api/auth/login/2fa trades for a session
+    if (user.totp_enabled_at) {
+      console.log('🔐 Two-factor code required for:', user.email);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user)
+      });
+    }
+    
+    // A successful sign-in clears the account's failures, not the address's
+    await prisma.authThrottle.deleteMany({
+      where: { key: throttleKeys.account }
+    });
+    
+    // Update last login
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { last_login: new Date() }
+    });
+    
+    console.log('✅ Login successful for:', user.name);
+    
+    res.json(await authPayload(user, user.company, req));
+    
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Finish a sign-in that needs a second factor: { challengeToken, code } with
+// a code from the authenticator app, or { challengeToken, recoveryCode }
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a code are required' });
+    }
+    
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId && await prisma.user.findFirst({
+      where: { id: userId, isActive: true },
+      include: { company: true }
+    });
+    
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Sign-in has expired, please sign in again', code: 'challenge_expired' });
+    }
+    
+    // Wrong codes count against the same limits as wrong passwords
+    const throttleKeys = loginThrottleKeys(req, user.email);
+    const retryAfter = await throttleRetryAfter(Object.values(throttleKeys));
+    if (retryAfter) {
+      console.log('🔒 Two-factor sign-in throttled for:', user.email, req.ip);
+      return tooManyAttempts(res, retryAfter);
+    }
+    
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(throttleKeys);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    
+    await prisma.authThrottle.deleteMany({
+      where: { key: throttleKeys.account }
+    });
+    
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { last_login: new Date() }
+    });
+    
+    console.log(`✅ Login successful for: ${user.name}${recoveryCode ? ' (recovery code)' : ''}`);
+    
+    res.json(await authPayload(user, user.company, req));
+    
+  } catch (error) {
+    console.error('❌ Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Password rules for new passwords, for the apps to show as hints
+app.get('/api/auth/password-policy', (req, res) => {
+  res.json({
+    ...passwordPolicy,
+    rules: describePasswordPolicy(passwordPolicy)
+  });
+});
+
+// Request a password reset link by email. The answer is the same whether
+// or not the account exists, so it cannot be used to find accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const throttleKey = `reset:${req.ip}`;
+    const retryAfter = await throttleRetryAfter([throttleKey]);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+    await recordThrottleHit(throttleKey, LOGIN_THROTTLE.resetRequests);
+    
+    const user = await prisma.user.findFirst({
+      where: {
+        email: email.toLowerCase().trim(),
+        isActive: true
+      }
+    });
+    
+    if (user) {
+      const { token, tokenHash } = createSecretToken();
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      
+      await prisma.$transaction([
+        // Only the newest link works
+        prisma.passwordReset.updateMany({
+          where: { user_id: user.id, used_at: null },
+          data: { used_at: new Date() }
+        }),
+        prisma.passwordReset.create({
+          data: {
+            token_hash: tokenHash,
+            expires_at: expiresAt,
+            requested_ip: req.ip,
+            user_id: user.id
+          }
+        })
+      ]);
+      
+      try {
+        await mailer.send({
+          to: user.email,
+          ...passwordResetEmail({
+            name: user.name,
+            link: `${APP_URL}/?reset=${token}`,
+            expiresAt
+          })
+        });
+        console.log('✅ Password reset requested for:', user.email);
+      } catch (error) {
+        console.error('❌ Password reset email error:', error);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent to it'
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password with an emailed reset token: { token, password }.
+// Also lifts a sign-in lockout on the account and ends all its sessions.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Reset token and password are required' });
+    }
+    
+    const reset = await prisma.passwordReset.findUnique({
+      where: { token_hash: hashToken(token) },
+      include: { user: true }
+    });
+    
+    if (!reset || reset.used_at || reset.expires_at <= new Date() || !reset.user.isActive) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    const passwordError = validatePassword(password, passwordPolicy, { email: reset.user.email });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 12);
+    
+    await prisma.$transaction(async (tx) => {
+      // Claim the link; a second use of it finds used_at already set
+      const claimed = await tx.passwordReset.updateMany({
+        where: { id: reset.id, used_at: null },
+        data: { used_at: new Date() }
+      });
+      
+      if (claimed.count === 0) {
+        throw new HttpError(400, 'This reset link is invalid or has expired');
+      }
+      
+      const updatedUser = await tx.user.update({
+        where: { id: reset.user_id },
+        data: { password: hashedPassword }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'user.reset_password',
+        entityType: 'user',
+        before: reset.user,
+        after: updatedUser,
+        actor: reset.user
+      });
+      
+      await tx.authThrottle.deleteMany({
+        where: { key: `account:${reset.user.email}` }
+      });
+      
+      // Whoever knew the old password is signed out everywhere
+      await revokeSessions(tx, { user_id: reset.user_id }, 'password_reset');
+    });
+    
+    console.log('✅ Password reset for:', reset.user.email);
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Swap a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; presenting it again revokes the
+// whole session, since only a copy of it can still be around.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    const session = await prisma.session.findFirst({
+      where: {
+        OR: [
+          { refresh_token_hash: tokenHash },
+          { previous_token_hash: tokenHash }
+        ]
+      },
+      include: { user: { include: { company: true } } }
+    });
+    
+    if (!session || session.revoked_at || session.expires_at <= new Date() || !session.user.isActive) {
+      return res.status(401).json({ error: 'Session has ended, please sign in again', code: 'session_expired' });
+    }
+    
+    if (session.previous_token_hash === tokenHash) {
+      await revokeSessions(prisma, { id: session.id }, 'refresh_token_reused');
+      console.log('🚨 Refresh token reused, session revoked:', session.id);
+      return res.status(401).json({ error: 'Session has ended, please sign in again', code: 'session_expired' });
+    }
+    
+    const { token: nextRefreshToken, tokenHash: nextTokenHash } = createSecretToken();
+    
+    // Only rotates if nobody else rotated this token in the meantime
+    const rotated = await prisma.session.updateMany({
+      where: { id: session.id, refresh_token_hash: tokenHash, revoked_at: null },
+      data: {
+        refresh_token_hash: nextTokenHash,
+        previous_token_hash: tokenHash,
+        last_used_at: new Date(),
+        expires_at: refreshTokenExpiry(),
+        ...sessionDevice(req)
+      }
+    });
+    
+    if (rotated.count === 0) {
+      return res.status(401).json({ error: 'Session has ended, please sign in again', code: 'session_expired' });
+    }
+    
+    res.json({
+      success: true,
+      user: formatAuthUser(session.user),
+      ...sessionTokens(session.user, session, nextRefreshToken)
+    });
+  } catch (error) {
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Sign out this device
+app.post('/api/auth/logout', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    await revokeSessions(prisma, { id: req.authSession.id }, 'logout');
+    
+    console.log('✅ Logged out:', req.user.email);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Sign out every device of the current user, this one included
+app.post('/api/auth/logout-all', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(prisma, { user_id: req.user.id }, 'logout_all');
+    
+    console.log(`✅ Logged out ${revoked.count} session(s) of:`, req.user.email);
+    
+    res.json({ success: true, revoked: revoked.count });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out all devices' });
+  }
+});
+
+// Get the current user's active sessions, most recently used first
+app.get('/api/auth/sessions', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { user_id: req.user.id, ...activeSessionWhere() },
+      orderBy: { last_used_at: 'desc' }
+    });
+    
+    res.json(sessions.map(session => formatSession(session, req.authSession.id)));
+  } catch (error) {
+    console.error('❌ Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out one of the current user's other devices
+app.delete('/api/auth/sessions', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    
+    const revoked = await revokeSessions(prisma, { id: sessionId, user_id: req.user.id }, 'logout');
+    
+    if (revoked.count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// TWO-FACTOR ENDPOINTS
+
+// Get the current user's two-factor status
+app.get('/api/auth/2fa', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { user_id: req.user.id, used_at: null }
+    });
+    
+    res.json({
+      enabled: Boolean(req.user.totp_enabled_at),
+      enabled_at: req.user.totp_enabled_at?.toISOString() ?? null,
+      required: Boolean(req.user.company.require_admin_2fa && isAdminRole(req.user.role)),
+      recovery_codes_remaining: recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('❌ Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start setting up two-factor sign-in: returns a new secret as an otpauth://
+// URI and a QR code of it for the authenticator app. Nothing changes until
+// a code from the app is confirmed with POST /api/auth/2fa/enable.
+app.post('/api/auth/2fa/setup', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+    
+    const secret = generateTotpSecret();
+    const uri = otpauthUri({ secret, accountName: req.user.email, issuer: 'Inventory Pro' });
+    
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { totp_pending_secret: encryptSecret(secret, SECRETS_KEY) }
+    });
+    
+    res.json({
+      secret,
+      otpauth_uri: uri,
+      qr_svg: qrCodeSvg(uri)
+    });
+  } catch (error) {
+    console.error('❌ Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Turn two-factor sign-in on with the first code from the app: { code }.
+// Returns the recovery codes, which are only ever shown this once.
+app.post('/api/auth/2fa/enable', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+    
+    if (!req.user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    
+    const step = verifyTotp(decryptSecret(req.user.totp_pending_secret, SECRETS_KEY), code);
+    
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+    
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: req.user.id },
+        data: {
+          totp_secret: req.user.totp_pending_secret,
+          totp_pending_secret: null,
+          totp_enabled_at: new Date(),
+          totp_last_step: step
+        }
+      });
+      
+      await recordAudit(tx, req, { action: 'user.enable_2fa', entityType: 'user', before: req.user, after: updatedUser });
+      
+      return replaceRecoveryCodes(tx, req.user.id);
+    });
+    
+    console.log('✅ Two-factor authentication enabled for:', req.user.email);
+    
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ Enable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn two-factor sign-in off: { password, code } or { password, recoveryCode }
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and a code are required' });
+    }
+    
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+    
+    if (req.user.company.require_admin_2fa && isAdminRole(req.user.role)) {
+      return res.status(400).json({ error: 'Your company requires two-factor authentication for administrators' });
+    }
+    
+    const validPassword = await bcrypt.compare(password, req.user.password);
+    if (!validPassword || !await verifySecondFactor(req.user, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid password or two-factor code' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: req.user.id },
+        data: {
+          totp_secret: null,
+          totp_pending_secret: null,
+          totp_enabled_at: null,
+          totp_last_step: null
+        }
+      });
+      
+      await tx.recoveryCode.deleteMany({ where: { user_id: req.user.id } });
+      await recordAudit(tx, req, { action: 'user.disable_2fa', entityType: 'user', before: req.user, after: updatedUser });
+    });
+    
+    console.log('✅ Two-factor authentication disabled for:', req.user.email);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Disable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes with a new set: { code } from the app
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+    
+    if (!await useTotpCode(req.user, code)) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    
+    const recoveryCodes = await prisma.$transaction(tx => replaceRecoveryCodes(tx, req.user.id));
+    
+    console.log('✅ Recovery codes replaced for:', req.user.email);
+    
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ Replace recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to replace recovery codes' });
+  }
+});
+
+// Register Company
+app.post('/api/companies/register', async (req, res) => {
+  try {
+    const { companyName, adminEmail, adminPassword, adminName } = req.body;
+    
+    // Validation
+    if (!companyName || !adminEmail || !adminPassword || !adminName) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+    
+    const passwordError = validatePassword(adminPassword, passwordPolicy, { email: adminEmail });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    const email = adminEmail.toLowerCase().trim();
+    
+    // Check if user already exists
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+    
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+    
+    // Hash password
+    const hashedPassword = await bcrypt.hash(adminPassword, 12);
+    
+    // Generate company code
+    const companyCode = companyName.substring(0, 3).toUpperCase() + Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    
+    // Check if company code exists
+    const existingCompany = await prisma.company.findUnique({
+      where: { code: companyCode }
+    });
+    
+    const finalCompanyCode = existingCompany 
+      ? companyCode + Math.floor(Math.random() * 100)
+      : companyCode;
+    
+    // Create company and admin user in transaction
+    const result = await prisma.$transaction(async (prisma) => {
+      const company = await prisma.company.create({
+        data: {
+          name: companyName.trim(),
+          code: finalCompanyCode,
+          subscription_tier: 'trial',
+          max_users: 50
+        }
+      });
+      
+      const user = await prisma.user.create({
+        data: {
+          email,
+          name: adminName.trim(),
+          password: hashedPassword,
+          role: 'owner',
+          company_id: company.id
+        }
+      });
+      
+      await recordAudit(prisma, req, { action: 'company.create', entityType: 'company', after: company, actor: user, companyId: company.id });
+      await recordAudit(prisma, req, { action: 'user.create', entityType: 'user', after: user, actor: user });
+      
+      return { company, user };
+    });
+    
+    console.log('✅ Company registered:', result.company.name);
+    
+    res.status(201).json(await authPayload(result.user, result.company, req));
+    
+  } catch (error) {
+    console.error('❌ Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// ITEMS ENDPOINTS
+
+// Get items (quantity is the total, locations the per-location breakdown).
+// Filters: ?q= name/barcode/SKU search, ?status=out|low|ok|overstock,
+// ?sku= exact SKU, ?tag=, ?categoryId= (including subcategories) and
+// ?cf[key]=value for custom fields.
+// Paging: 100 at a time (?limit= up to 500) with the next page's cursor in
+// X-Next-Cursor, sorted by ?sort=&order=.
+app.get('/api/items', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const { status, q, sku, tag, categoryId } = req.query;
+    
+    if (status && !STOCK_STATUS_FILTERS[status]) {
+      return res.status(400).json({ error: `Status must be one of: ${Object.keys(STOCK_STATUS_FILTERS).join(', ')}` });
+    }
+    
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at', 'updated_at', 'name', 'quantity'],
+      defaultSort: 'created_at',
+      defaultLimit: 100
+    });
+    
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    const customFields = req.query.cf === undefined
+      ? { filters: [] }
+      : customFieldFilters(req.query.cf, await prisma.customFieldDefinition.findMany({
+          where: { company_id: req.user.company_id }
+        }));
+    
+    if (customFields.error) {
+      return res.status(400).json({ error: customFields.error });
+    }
+    
+    // Substring match served by the trigram indexes on name, barcode and SKU
+    const search = q && q.trim() && {
+      OR: [
+        { name: { contains: q.trim(), mode: 'insensitive' } },
+        { barcode: { contains: q.trim(), mode: 'insensitive' } },
+        { sku: { contains: q.trim(), mode: 'insensitive' } }
+      ]
+    };
+    
+    // A category matches the items in it and in every category below it
+    let categoryIds;
+    if (categoryId) {
+      const categories = await prisma.category.findMany({
+        where: { company_id: req.user.company_id }
+      });
+      
+      if (!categories.some(category => category.id === categoryId)) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      categoryIds = categoryBranchIds(categories, categoryId);
+    }
+    
+    const items = await prisma.item.findMany({
+      where: {
+        company_id: req.user.company_id,
+        deleted_at: null,
+        ...(sku && { sku: sku.trim() }),
+        ...(tag && { tags: { has: tag.trim().toLowerCase() } }),
+        ...(categoryIds && { category_id: { in: categoryIds } }),
+        // Kept apart, as the status filter and the search each bring an OR
+        AND: [
+          ...(status ? [STOCK_STATUS_FILTERS[status]] : []),
+          ...(search ? [search] : []),
+          ...customFields.filters
+        ]
+      },
+      include: itemStockInclude,
+      ...page.args
+    });
+    
+    res.json(pageRows(res, items, page.limit).map(formatItem));
+  } catch (error) {
+    console.error('❌ Get items error:', error);
+    res.status(500).json({ error: 'Failed to fetch items' });
+  }
+});
+
+// Create item
+app.post('/api/items', authenticateToken, requirePermission('items:create'), async (req, res) => {
+  try {
+    const { name, quantity, locationId } = req.body;
+    const barcode = req.body.barcode ? req.body.barcode.trim() : null;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    
+    if (barcode && !isCode128Text(barcode)) {
+      return res.status(400).json({ error: 'Barcode must be 1-48 printable ASCII characters' });
+    }
+    
+    const reorder = parseReorderSettings(req.body);
+    if (reorder.error) {
+      return res.status(400).json({ error: reorder.error });
+    }
+    
+    const prices = parseItemPrices(req.body);
+    if (prices.error) {
+      return res.status(400).json({ error: prices.error });
+    }
+    
+    const catalog = parseCatalogFields(req.body);
+    if (catalog.error) {
+      return res.status(400).json({ error: catalog.error });
+    }
+    
+    const packs = parsePacks(req.body, catalog.data.unit || 'each');
+    if (packs.error) {
+      return res.status(400).json({ error: packs.error });
+    }
+    
+    const customFields = parseCustomFields(req.body.customFields, await prisma.customFieldDefinition.findMany({
+      where: { company_id: req.user.company_id }
+    }));
+    if (customFields.error) {
+      return res.status(400).json({ error: customFields.error });
+    }
+    
+    if (req.body.supplierId && !await findCompanySupplier(req.body.supplierId, req.user.company_id)) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    
+    if (req.body.categoryId) {
+      await findCompanyCategory(prisma, req.body.categoryId, req.user.company_id);
+    }
+    
+    if (catalog.data.sku) {
+      const existingItem = await prisma.item.findUnique({
+        where: { company_id_sku: { company_id: req.user.company_id, sku: catalog.data.sku } }
+      });
+      
+      if (existingItem) {
+        return res.status(400).json({
+          error: existingItem.deleted_at
+            ? 'SKU belongs to an item in the trash; restore it instead'
+            : 'SKU already exists'
+        });
+      }
+    }
+    
+    // Check if barcode already exists
+    if (barcode) {
+      const existingItem = await prisma.item.findUnique({
+        where: { company_id_barcode: { company_id: req.user.company_id, barcode } }
+      });
+      
+      if (existingItem) {
+        return res.status(400).json({
+          error: existingItem.deleted_at
+            ? 'Barcode belongs to an item in the trash; restore it instead'
+            : 'Barcode already exists'
+        });
+      }
+    }
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const location = locationId
+        ? await findCompanyLocation(tx, locationId, req.user.company_id)
+        : null;
+      
+      // Without a barcode the next one from the company's scheme is used
+      const [itemBarcode] = barcode ? [barcode] : await reserveBarcodes(tx, req.user.company_id, 1);
+      
+      const created = await tx.item.create({
+        data: {
+          name: name.trim(),
+          quantity: Math.max(0, parseInt(quantity) || 0),
+          barcode: itemBarcode,
+          ...reorder.data,
+          ...prices.data,
+          ...catalog.data,
+          custom_fields: customFields.data,
+          supplier_id: req.body.supplierId || null,
+          category_id: req.body.categoryId || null,
+          company_id: req.user.company_id,
+          ...(packs.packs && { packs: { create: packs.packs } })
+        }
+      });
+      
+      // Initial stock goes straight into the given location
+      if (location && created.quantity > 0) {
+        await tx.stockLevel.create({
+          data: {
+            item_id: created.id,
+            location_id: location.id,
+            quantity: created.quantity
+          }
+        });
+      }
+      
+      await recordAudit(tx, req, {
+        action: 'item.create',
+        entityType: 'item',
+        after: created,
+        metadata: location && { location_id: location.id, location_name: location.name }
+      });
+      
+      // Log activity
+      await tx.activity.create({
+        data: {
+          type: 'created',
+          quantity: created.quantity,
+          unit_cost: created.unit_cost,
+          item_name: created.name,
+          user_name: req.user.name,
+          location_name: location?.name,
+          company_id: req.user.company_id,
+          item_id: created.id,
+          user_id: req.user.id,
+          location_id: location?.id
+        }
+      });
+      
+      const item = await tx.item.findUnique({
+        where: { id: created.id },
+        include: itemStockInclude
+      });
+      
+      await updateStockAlerts(tx, item);
+      
+      await queueWebhookEvent(tx, req.user.company_id, 'item.created', { item: formatItem(item) });
+      
+      return item;
+    });
+    
+    console.log('✅ Item created:', item.name);
+    
+    res.status(201).json(formatItem(item));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    // Same barcode or SKU created concurrently by another request
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: error.meta?.target?.includes('sku') ? 'SKU already exists' : 'Barcode already exists' });
+    }
+    console.error('❌ Create item error:', error);
+    res.status(500).json({ error: 'Failed to create item' });
+  }
+});
+
+// Update item quantity. With a locationId the quantity is the new stock
+// level at that location and the item total moves by the difference.
+app.put('/api/items', authenticateToken, requirePermission('stock:adjust'), async (req, res) => {
+  try {
+    const { id, quantity, locationId } = req.body;
+    
+    if (!id || quantity === undefined) {
+      return res.status(400).json({ error: 'ID and quantity are required' });
+    }
+    
+    const newQuantity = Math.max(0, parseInt(quantity));
+    
+    if (isNaN(newQuantity)) {
+      return res.status(400).json({ error: 'Quantity must be a number' });
+    }
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const existingItem = await lockItem(tx, id, req.user.company_id);
+      assertItemVersion(req, existingItem);
+      
+      let change;
+      let location = null;
+      
+      if (locationId) {
+        location = await findCompanyLocation(tx, locationId, req.user.company_id);
+        
+        const level = await tx.stockLevel.findUnique({
+          where: { item_id_location_id: { item_id: id, location_id: location.id } }
+        });
+        change = newQuantity - (level?.quantity || 0);
+        
+        await tx.stockLevel.upsert({
+          where: { item_id_location_id: { item_id: id, location_id: location.id } },
+          create: { item_id: id, location_id: location.id, quantity: newQuantity },
+          update: { quantity: newQuantity }
+        });
+      } else {
+        // Without a location only the unassigned stock can be changed
+        const unassigned = await getUnassignedQuantity(tx, existingItem);
+        const assigned = existingItem.quantity - unassigned;
+        
+        if (newQuantity < assigned) {
+          throw new HttpError(400, `${assigned} units are held in locations; adjust them by location`);
+        }
+        change = newQuantity - existingItem.quantity;
+      }
+      
+      const updated = await tx.item.update({
+        where: { id },
+        data: { quantity: existingItem.quantity + change },
+        include: itemStockInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.adjust',
+        entityType: 'item',
+        before: existingItem,
+        after: updated,
+        metadata: location && { location_id: location.id, location_name: location.name }
+      });
+      
+      // Log activity; setting the quantity it already had moves nothing
+      if (change !== 0) {
+        await tx.activity.create({
+          data: {
+            type: change > 0 ? 'added' : 'removed',
+            quantity: Math.abs(change),
+            old_quantity: existingItem.quantity,
+            ...(change > 0 && { unit_cost: existingItem.unit_cost }),
+            item_name: updated.name,
+            user_name: req.user.name,
+            location_name: location?.name,
+            company_id: req.user.company_id,
+            item_id: updated.id,
+            user_id: req.user.id,
+            location_id: location?.id
+          }
+        });
+      }
+      
+      await updateStockAlerts(tx, updated);
+      
+      await queueStockEvents(tx, existingItem, updated, {
+        location_id: location?.id ?? null,
+        location_name: location?.name ?? null
+      });
+      
+      return updated;
+    });
+    
+    res.set('ETag', itemEtag(item));
+    res.json(formatItem(item));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Update item error:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// Update item details (name, catalog details, supplier, prices and reorder
+// settings); packs, when given, replace the item's packs. Stock changes go
+// through PUT /api/items or POST /api/stock/movements.
+app.patch('/api/items', authenticateToken, requirePermission('items:update'), async (req, res) => {
+  try {
+    const { id, name } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+    
+    const existingItem = await prisma.item.findFirst({
+      where: { 
+        id,
+        company_id: req.user.company_id,
+        deleted_at: null
+      }
+    });
+    
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const reorder = parseReorderSettings(req.body, existingItem);
+    if (reorder.error) {
+      return res.status(400).json({ error: reorder.error });
+    }
+    
+    const prices = parseItemPrices(req.body);
+    if (prices.error) {
+      return res.status(400).json({ error: prices.error });
+    }
+    
+    const catalog = parseCatalogFields(req.body);
+    if (catalog.error) {
+      return res.status(400).json({ error: catalog.error });
+    }
+    
+    const packs = parsePacks(req.body, catalog.data.unit || existingItem.unit);
+    if (packs.error) {
+      return res.status(400).json({ error: packs.error });
+    }
+    
+    // Required fields are only enforced once custom fields are edited, so
+    // items created before a field was added can still be changed
+    const customFields = req.body.customFields === undefined
+      ? {}
+      : parseCustomFields(req.body.customFields, await prisma.customFieldDefinition.findMany({
+          where: { company_id: req.user.company_id }
+        }), existingItem.custom_fields);
+    if (customFields.error) {
+      return res.status(400).json({ error: customFields.error });
+    }
+    
+    if (req.body.supplierId && !await findCompanySupplier(req.body.supplierId, req.user.company_id)) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    
+    if (req.body.categoryId) {
+      await findCompanyCategory(prisma, req.body.categoryId, req.user.company_id);
+    }
+    
+    if (catalog.data.sku && catalog.data.sku !== existingItem.sku) {
+      const skuItem = await prisma.item.findUnique({
+        where: { company_id_sku: { company_id: req.user.company_id, sku: catalog.data.sku } }
+      });
+      
+      if (skuItem) {
+        return res.status(400).json({
+          error: skuItem.deleted_at ? 'SKU belongs to an item in the trash' : 'SKU already exists'
+        });
+      }
+    }
+    
+    // Alerts follow the reorder point, so a new one can raise or clear them
+    const reorderPointChanged = reorder.data.reorder_point !== undefined
+      && reorder.data.reorder_point !== existingItem.reorder_point;
+    
+    const item = await prisma.$transaction(async (tx) => {
+      if (reorderPointChanged) {
+        await lockItem(tx, id, req.user.company_id);
+      }
+      
+      if (packs.packs) {
+        await tx.itemPack.deleteMany({ where: { item_id: id } });
+        await tx.itemPack.createMany({
+          data: packs.packs.map(pack => ({ ...pack, item_id: id }))
+        });
+      }
+      
+      const updated = await tx.item.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name: String(name).trim() }),
+          ...(req.body.supplierId !== undefined && { supplier_id: req.body.supplierId || null }),
+          ...(req.body.categoryId !== undefined && { category_id: req.body.categoryId || null }),
+          ...(customFields.data && { custom_fields: customFields.data }),
+          ...catalog.data,
+          ...reorder.data,
+          ...prices.data
+        },
+        include: itemStockInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.update',
+        entityType: 'item',
+        before: existingItem,
+        after: updated
+      });
+      
+      if (reorderPointChanged) {
+        await updateStockAlerts(tx, updated);
+      }
+      
+      return updated;
+    });
+    
+    res.set('ETag', itemEtag(item));
+    res.json(formatItem(item));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    // Same SKU given to another item concurrently
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'SKU already exists' });
+    }
+    console.error('❌ Update item details error:', error);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// Delete item
+app.delete('/api/items', authenticateToken, requirePermission('items:delete'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const item = await prisma.item.findFirst({
+      where: { 
+        id,
+        company_id: req.user.company_id,
+        deleted_at: null
+      }
+    });
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    // Deleted items go to the trash and can be restored until purged
+    const deletedItem = await prisma.$transaction(async (tx) => {
+      const trashed = await tx.item.update({
+        where: { id },
+        data: { deleted_at: new Date() }
+      });
+      
+      await tx.stockAlert.updateMany({
+        where: { item_id: id, resolved_at: null },
+        data: { resolved_at: trashed.deleted_at }
+      });
+      
+      await tx.activity.create({
+        data: {
+          type: 'deleted',
+          quantity: item.quantity,
+          item_name: item.name,
+          user_name: req.user.name,
+          company_id: req.user.company_id,
+          user_id: req.user.id,
+          item_id: item.id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.delete',
+        entityType: 'item',
+        before: item,
+        after: trashed
+      });
+      
+      return trashed;
+    });
+    
+    console.log('✅ Item moved to trash:', item.name);
+    
+    res.json({ success: true, purge_at: trashPurgeDate(deletedItem.deleted_at).toISOString() });
+  } catch (error) {
+    console.error('❌ Delete item error:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// Items in the trash, most recently deleted first, with when each is purged
+app.get('/api/items/trash', authenticateToken, requirePermission('items:delete'), async (req, res) => {
+  try {
+    const items = await prisma.item.findMany({
+      where: {
+        company_id: req.user.company_id,
+        deleted_at: { not: null }
+      },
+      orderBy: { deleted_at: 'desc' }
+    });
+    
+    res.json(items.map(item => formatTrashEntry(item, {
+      barcode: item.barcode,
+      quantity: item.quantity
+    })));
+  } catch (error) {
+    console.error('❌ Get item trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore an item from the trash
+app.post('/api/items/restore', authenticateToken, requirePermission('items:delete'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const restored = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM items WHERE id = ${id} FOR UPDATE`;
+      
+      const item = await tx.item.findFirst({
+        where: { id, company_id: req.user.company_id }
+      });
+      
+      if (!item) {
+        throw new HttpError(404, 'Item not found');
+      }
+      
+      if (!item.deleted_at) {
+        throw new HttpError(400, 'Item is not in the trash');
+      }
+      
+      const updated = await tx.item.update({
+        where: { id },
+        data: { deleted_at: null },
+        include: itemStockInclude
+      });
+      
+      await tx.activity.create({
+        data: {
+          type: 'restored',
+          quantity: updated.quantity,
+          item_name: updated.name,
+          user_name: req.user.name,
+          company_id: req.user.company_id,
+          user_id: req.user.id,
+          item_id: updated.id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.restore',
+        entityType: 'item',
+        before: item,
+        after: updated
+      });
+      
+      await queueWebhookEvent(tx, req.user.company_id, 'item.restored', { item: formatItem(updated) });
+      
+      return updated;
+    });
+    
+    console.log('✅ Item restored:', restored.name);
+    
+    res.json(formatItem(restored));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Restore item error:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// Search item by barcode
+app.get('/api/items/search', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const { barcode } = req.query;
+    
+    if (!barcode) {
+      return res.status(400).json({ error: 'Barcode parameter is required' });
+    }
+    
+    const item = await prisma.item.findFirst({
+      where: { 
+        barcode: barcode.trim(),
+        company_id: req.user.company_id,
+        deleted_at: null
+      },
+      include: itemStockInclude
+    });
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    res.set('ETag', itemEtag(item));
+    res.json(formatItem(item));
+  } catch (error) {
+    console.error('❌ Search item error:', error);
+    res.status(500).json({ error: 'Failed to search item' });
+  }
+});
+
+// Get an item's history with its quantity before and after every change,
+// oldest first. Works for deleted items too, since the audit log keeps their
+// entries; changes from before the audit log existed come from the activity
+// log while the item still exists.
+app.get('/api/items/:id/history', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const [entries, item] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: { company_id: req.user.company_id, entity_type: 'item', entity_id: id },
+        orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+      }),
+      prisma.item.findFirst({
+        where: { id, company_id: req.user.company_id }
+      })
+    ]);
+    
+    if (entries.length === 0 && !item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const activities = item
+      ? await prisma.activity.findMany({
+          where: {
+            company_id: req.user.company_id,
+            item_id: id,
+            ...(entries.length > 0 && { created_at: { lt: entries[0].created_at } })
+          },
+          orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+        })
+      : [];
+    
+    const history = [
+      ...activities.map(activity => ({
+        id: activity.id,
+        source: 'activity',
+        action: activity.type,
+        quantity_before: activity.type === 'created' ? null : activity.old_quantity,
+        quantity_after: activityQuantityAfter(activity),
+        reason: activity.reason,
+        location_name: activity.location_name,
+        actor_name: activity.user_name,
+        created_at: activity.created_at.toISOString()
+      })),
+      ...entries.map(entry => ({
+        id: entry.id,
+        source: 'audit',
+        action: entry.action,
+        quantity_before: entry.before?.quantity ?? null,
+        quantity_after: entry.after?.quantity ?? null,
+        reason: entry.metadata?.reason ?? null,
+        location_name: entry.metadata?.location_name ?? null,
+        actor_name: entry.actor_name,
+        created_at: entry.created_at.toISOString()
+      }))
+    ];
+    
+    const lastEntry = entries[entries.length - 1];
+    const lastKnown = item || lastEntry.after || lastEntry.before;
+    
+    res.json({
+      item: {
+        id,
+        name: lastKnown.name,
+        barcode: lastKnown.barcode,
+        quantity: item ? item.quantity : null,
+        deleted: !item || Boolean(item.deleted_at),
+        in_trash: Boolean(item?.deleted_at)
+      },
+      history
+    });
+  } catch (error) {
+    console.error('❌ Get item history error:', error);
+    res.status(500).json({ error: 'Failed to fetch item history' });
+  }
+});
+
+// Bulk import items from a CSV or XLSX upload (form field "file") with
+// name, quantity and barcode columns plus optional location code,
+// reorder_point / reorder_quantity / max_stock, sku, description, unit,
+// comma-separated tags, supplier_sku, category (a name or a path like
+// "Hardware > Screws"), packs ("box=12, case=144") and cf:<key> custom
+// field columns. Custom fields are checked like POST /api/items checks
+// them, so rows missing a required field are refused.
+// Rows without a barcode get the next one from the company's scheme.
+// With ?dryRun=true the rows are only validated; otherwise the whole file is
+// imported in one transaction, or nothing is if any row has an error.
+app.post('/api/items/import', authenticateToken, requirePermission('items:import'), acceptUpload('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+    }
+    
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const { headers, rows } = await readSpreadsheet(req.file).catch(() => {
+      throw new HttpError(400, 'Could not read file; upload a CSV or XLSX spreadsheet');
+    });
+    
+    const missingColumns = ['name'].filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ error: `Missing required columns: ${missingColumns.join(', ')}` });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'File contains no items' });
+    }
+    
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Files are limited to ${IMPORT_MAX_ROWS} items` });
+    }
+    
+    const [locations, categories, customFieldDefinitions] = await Promise.all([
+      prisma.location.findMany({ where: { company_id: req.user.company_id } }),
+      prisma.category.findMany({ where: { company_id: req.user.company_id } }),
+      prisma.customFieldDefinition.findMany({ where: { company_id: req.user.company_id } })
+    ]);
+    const locationsByCode = new Map(locations.map(location => [location.code, location]));
+    
+    const customFieldKeys = headers
+      .filter(header => header.startsWith('cf:'))
+      .map(header => header.slice('cf:'.length));
+    const unknownKeys = customFieldKeys.filter(key => !customFieldDefinitions.some(definition => definition.key === key));
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({ error: `Unknown custom field columns: ${unknownKeys.map(key => `cf:${key}`).join(', ')}` });
+    }
+    
+    // Validate each row on its own and against the rest of the file
+    const errors = [];
+    const firstRowByBarcode = new Map();
+    const firstRowBySku = new Map();
+    
+    const items = rows.map(row => {
+      const quantity = row.quantity === undefined || row.quantity === '' ? 0 : Number(row.quantity);
+      const locationCode = (row.location || '').toUpperCase();
+      const barcode = row.barcode || '';
+      
+      if (!row.name) {
+        errors.push({ row: row.row, field: 'name', message: 'Name is required' });
+      }
+      
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        errors.push({ row: row.row, field: 'quantity', message: 'Quantity must be a whole number of 0 or more' });
+      }
+      
+      if (barcode && !isCode128Text(barcode)) {
+        errors.push({ row: row.row, field: 'barcode', message: 'Barcode must be 1-48 printable ASCII characters' });
+      } else if (barcode && firstRowByBarcode.has(barcode)) {
+        errors.push({ row: row.row, field: 'barcode', message: `Duplicate barcode (also on row ${firstRowByBarcode.get(barcode)})` });
+      } else if (barcode) {
+        firstRowByBarcode.set(barcode, row.row);
+      }
+      
+      if (locationCode && !locationsByCode.has(locationCode)) {
+        errors.push({ row: row.row, field: 'location', message: `Unknown location code ${locationCode}` });
+      }
+      
+      // Optional reorder columns, blank meaning the default
+      const reorder = parseReorderSettings({
+        reorderPoint: row.reorder_point || undefined,
+        reorderQuantity: row.reorder_quantity || undefined,
+        maxStock: row.max_stock || undefined
+      });
+      
+      if (reorder.error) {
+        errors.push({ row: row.row, field: 'reorder', message: reorder.error });
+      }
+      
+      // Optional catalog columns, blank meaning none (or "each" for unit)
+      const catalog = parseCatalogFields({
+        sku: row.sku || undefined,
+        description: row.description || undefined,
+        unit: row.unit || undefined,
+        supplierSku: row.supplier_sku || undefined,
+        tags: row.tags ? row.tags.split(',') : undefined
+      });
+      const sku = catalog.data?.sku;
+      
+      if (catalog.error) {
+        errors.push({ row: row.row, field: 'catalog', message: catalog.error });
+      } else if (sku && firstRowBySku.has(sku)) {
+        errors.push({ row: row.row, field: 'sku', message: `Duplicate SKU (also on row ${firstRowBySku.get(sku)})` });
+      } else if (sku) {
+        firstRowBySku.set(sku, row.row);
+      }
+      
+      const packs = parsePacks({
+        packs: row.packs
+          ? row.packs.split(',').filter(pack => pack.trim()).map(pack => {
+              const [name, quantity] = pack.split('=');
+              return { name, quantity };
+            })
+          : undefined
+      }, catalog.data?.unit || 'each');
+      
+      if (packs.error) {
+        errors.push({ row: row.row, field: 'packs', message: packs.error });
+      }
+      
+      const category = row.category ? findCategoryByPath(categories, row.category) : {};
+      
+      if (category.error) {
+        errors.push({ row: row.row, field: 'category', message: category.error });
+      }
+      
+      const customFields = parseCustomFields(
+        Object.fromEntries(customFieldKeys.map(key => [key, row[`cf:${key}`]])),
+        customFieldDefinitions
+      );
+      
+      if (customFields.error) {
+        errors.push({ row: row.row, field: 'custom_fields', message: customFields.error });
+      }
+      
+      return {
+        row: row.row,
+        name: row.name,
+        quantity,
+        barcode,
+        reorder: reorder.data || {},
+        catalog: catalog.data || {},
+        packs: packs.packs || [],
+        category: category.category,
+        customFields: customFields.data || {},
+        location: locationsByCode.get(locationCode)
+      };
+    });
+    
+    const existingItems = await prisma.item.findMany({
+      where: {
+        company_id: req.user.company_id,
+        barcode: { in: [...firstRowByBarcode.keys()] }
+      },
+      select: { barcode: true, deleted_at: true }
+    });
+    
+    existingItems.forEach(item => {
+      errors.push({
+        row: firstRowByBarcode.get(item.barcode),
+        field: 'barcode',
+        message: item.deleted_at ? 'Barcode belongs to an item in the trash' : 'Barcode already exists'
+      });
+    });
+    
+    const existingSkuItems = await prisma.item.findMany({
+      where: {
+        company_id: req.user.company_id,
+        sku: { in: [...firstRowBySku.keys()] }
+      },
+      select: { sku: true, deleted_at: true }
+    });
+    
+    existingSkuItems.forEach(item => {
+      errors.push({
+        row: firstRowBySku.get(item.sku),
+        field: 'sku',
+        message: item.deleted_at ? 'SKU belongs to an item in the trash' : 'SKU already exists'
+      });
+    });
+    
+    errors.sort((a, b) => a.row - b.row);
+    
+    const summary = {
+      dryRun,
+      total: items.length,
+      valid: items.length - new Set(errors.map(error => error.row)).size,
+      errors
+    };
+    
+    if (dryRun) {
+      return res.json(summary);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Import has errors; no items were imported', ...summary });
+    }
+    
+    const created = await prisma.$transaction(async (tx) => {
+      const generated = await reserveBarcodes(tx, req.user.company_id, items.filter(item => !item.barcode).length);
+      items.filter(item => !item.barcode).forEach((item, i) => {
+        item.barcode = generated[i];
+      });
+      
+      const created = await tx.item.createManyAndReturn({
+        data: items.map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          barcode: item.barcode,
+          ...item.reorder,
+          ...item.catalog,
+          custom_fields: item.customFields,
+          category_id: item.category?.id ?? null,
+          company_id: req.user.company_id
+        }))
+      });
+      const createdByBarcode = new Map(created.map(item => [item.barcode, item]));
+      
+      await tx.itemPack.createMany({
+        data: items.flatMap(item => item.packs.map(pack => ({
+          ...pack,
+          item_id: createdByBarcode.get(item.barcode).id
+        })))
+      });
+      
+      await tx.stockLevel.createMany({
+        data: items
+          .filter(item => item.location && item.quantity > 0)
+          .map(item => ({
+            item_id: createdByBarcode.get(item.barcode).id,
+            location_id: item.location.id,
+            quantity: item.quantity
+          }))
+      });
+      
+      await tx.activity.createMany({
+        data: items.map(item => ({
+          type: 'created',
+          quantity: item.quantity,
+          item_name: item.name,
+          user_name: req.user.name,
+          location_name: item.location?.name,
+          company_id: req.user.company_id,
+          item_id: createdByBarcode.get(item.barcode).id,
+          user_id: req.user.id,
+          location_id: item.location?.id
+        }))
+      });
+      
+      await tx.auditLog.createMany({
+        data: created.map(item => auditEntry(req, {
+          action: 'item.import',
+          entityType: 'item',
+          after: item,
+          metadata: { file: req.file.originalname }
+        }))
+      });
+      
+      // New items have no alerts yet, so only the ones starting low need a look
+      for (const item of created.filter(stockAlertKind)) {
+        await updateStockAlerts(tx, item);
+      }
+      
+      await queueWebhookEvents(tx, req.user.company_id, 'item.created', created.map(item => ({
+        item: formatItem(item)
+      })));
+      
+      return created;
+    }, { timeout: 60000 });
+    
+    console.log(`✅ Imported ${created.length} items`);
+    
+    res.status(201).json({ ...summary, imported: created.length });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Import items error:', error);
+    res.status(500).json({ error: 'Failed to import items' });
+  }
+});
+
+// Export items as CSV (default) or XLSX with ?format=xlsx
+app.get('/api/items/export', authenticateToken, requirePermission('data:export'), async (req, res) => {
+  try {
+    const items = await prisma.item.findMany({
+      where: { company_id: req.user.company_id, deleted_at: null },
+      include: itemStockInclude,
+      orderBy: { name: 'asc' }
+    });
+    
+    await sendSpreadsheet(res, {
+      filename: `items-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Items',
+      format: req.query.format,
+      columns: [
+        { header: 'name', key: 'name', width: 32 },
+        { header: 'quantity', key: 'quantity', width: 10 },
+        { header: 'barcode', key: 'barcode', width: 20 },
+        { header: 'sku', key: 'sku', width: 16 },
+        { header: 'description', key: 'description', width: 40 },
+        { header: 'category', key: 'category_name', width: 20 },
+        { header: 'tags', key: 'tags', width: 24 },
+        { header: 'unit', key: 'unit', width: 8 },
+        { header: 'supplier_sku', key: 'supplier_sku', width: 16 },
+        { header: 'reorder_point', key: 'reorder_point', width: 14 },
+        { header: 'reorder_quantity', key: 'reorder_quantity', width: 16 },
+        { header: 'max_stock', key: 'max_stock', width: 10 },
+        { header: 'locations', key: 'locations', width: 32 },
+        { header: 'updated_at', key: 'updated_at', width: 24 }
+      ],
+      records: items.map(formatItem).map(item => ({
+        ...item,
+        tags: item.tags.join(', '),
+        locations: item.locations
+          .map(level => `${level.location_code}: ${level.quantity}`)
+          .join('; ')
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Export items error:', error);
+    res.status(500).json({ error: 'Failed to export items' });
+  }
+});
+
+// Render printable labels for items: { ids, format: 'pdf' | 'svg',
+// symbology, copies, skip }. PDFs are Avery 5160 sheets; skip leaves the
+// first positions of a partly used sheet empty.
+app.post('/api/items/labels', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const { ids, format = 'pdf' } = req.body;
+    const copies = parseInt(req.body.copies) || 1;
+    const skip = parseInt(req.body.skip) || 0;
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Item IDs are required' });
+    }
+    
+    if (ids.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'Item IDs must be non-empty strings' });
+    }
+    
+    if (!['pdf', 'svg'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be pdf or svg' });
+    }
+    
+    if (copies < 1 || ids.length * copies > LABELS_MAX) {
+      return res.status(400).json({ error: `Between 1 and ${LABELS_MAX} labels can be printed at once` });
+    }
+    
+    const perSheet = LABEL_LAYOUTS.avery5160.columns * LABEL_LAYOUTS.avery5160.rows;
+    if (skip < 0 || skip >= perSheet) {
+      return res.status(400).json({ error: `Skip must be between 0 and ${perSheet - 1}` });
+    }
+    
+    // Default to the symbology matching the company's barcode scheme
+    const symbology = req.body.symbology
+      || (['ean13', 'upca'].includes(req.user.company.barcode_format) ? req.user.company.barcode_format : 'code128');
+    
+    if (!LABEL_SYMBOLOGIES.includes(symbology)) {
+      return res.status(400).json({ error: `Symbology must be one of: ${LABEL_SYMBOLOGIES.join(', ')}` });
+    }
+    
+    const items = await prisma.item.findMany({
+      where: {
+        id: { in: ids },
+        company_id: req.user.company_id,
+        deleted_at: null
+      }
+    });
+    
+    if (items.length !== new Set(ids).size) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const invalid = items
+      .map(item => symbologyError(symbology, item.barcode))
+      .filter(Boolean);
+    
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: invalid[0], errors: invalid });
+    }
+    
+    // Keep the order the items were asked for
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const labels = ids.flatMap(id => Array(copies).fill({
+      name: itemsById.get(id).name,
+      barcode: itemsById.get(id).barcode
+    }));
+    
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(renderLabelsSvg(labels, symbology));
+    }
+    
+    const pdf = await renderLabelsPdf(labels, symbology, { skip });
+    
+    res.set('Content-Disposition', 'inline; filename="labels.pdf"');
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('❌ Render labels error:', error);
+    res.status(500).json({ error: 'Failed to render labels' });
+  }
+});
+
+// Upload an item's photo (form field "image", with the item's id in "id"),
+// replacing any photo it had
+app.post('/api/items/image', authenticateToken, requirePermission('items:update'), acceptUpload('image'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id || !req.file) {
+      return res.status(400).json({ error: 'ID and an image file are required' });
+    }
+    
+    const extension = ITEM_IMAGE_TYPES[req.file.mimetype];
+    if (!extension) {
+      return res.status(400).json({ error: 'Image must be a JPEG, PNG, WebP or GIF file' });
+    }
+    
+    if (req.file.size > ITEM_IMAGE_MAX_BYTES) {
+      return res.status(400).json({ error: `Images are limited to ${ITEM_IMAGE_MAX_BYTES / 1024 / 1024} MB` });
+    }
+    
+    const existingItem = await prisma.item.findFirst({
+      where: { id, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    // Every upload gets a new key, so the old file can be removed once the
+    // item points at the new one
+    const key = `${req.user.company_id}/items/${id}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+    await storage.put(key, req.file.buffer, req.file.mimetype);
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const updated = await tx.item.update({
+        where: { id },
+        data: { image_key: key, image_content_type: req.file.mimetype },
+        include: itemStockInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.update',
+        entityType: 'item',
+        before: existingItem,
+        after: updated,
+        metadata: { image: 'uploaded' }
+      });
+      
+      return updated;
+    }).catch(error => {
+      removeStoredFile(key);
+      throw error;
+    });
+    
+    if (existingItem.image_key) {
+      removeStoredFile(existingItem.image_key);
+    }
+    
+    console.log('✅ Item image uploaded:', item.name);
+    
+    res.set('ETag', itemEtag(item));
+    res.json(formatItem(item));
+  } catch (error) {
+    console.error('❌ Upload item image error:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// Get an item's photo
+app.get('/api/items/image', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const { id } = req.query;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'id parameter is required' });
+    }
+    
+    const item = await prisma.item.findFirst({
+      where: { id, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    const image = item?.image_key && await storage.get(item.image_key);
+    
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    // Revalidated on every use (against Express's ETag), since a new photo
+    // is served from the same address
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(item.image_content_type).send(image);
+  } catch (error) {
+    console.error('❌ Get item image error:', error);
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+// Remove an item's photo
+app.delete('/api/items/image', authenticateToken, requirePermission('items:update'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const existingItem = await prisma.item.findFirst({
+      where: { id, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    if (!existingItem.image_key) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const updated = await tx.item.update({
+        where: { id },
+        data: { image_key: null, image_content_type: null },
+        include: itemStockInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.update',
+        entityType: 'item',
+        before: existingItem,
+        after: updated,
+        metadata: { image: 'removed' }
+      });
+      
+      return updated;
+    });
+    
+    removeStoredFile(existingItem.image_key);
+    
+    res.set('ETag', itemEtag(item));
+    res.json(formatItem(item));
+  } catch (error) {
+    console.error('❌ Delete item image error:', error);
+    res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
+// CATALOG ENDPOINTS
+
+// Get categories, each with the number of items directly in it
+app.get('/api/categories', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      prisma.category.findMany({
+        where: { company_id: req.user.company_id },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.item.groupBy({
+        by: ['category_id'],
+        where: { company_id: req.user.company_id, deleted_at: null, category_id: { not: null } },
+        _count: { _all: true }
+      })
+    ]);
+    
+    const countsByCategory = new Map(counts.map(count => [count.category_id, count._count._all]));
+    
+    res.json(categories.map(category => ({
+      ...formatCategory(category),
+      item_count: countsByCategory.get(category.id) || 0
+    })));
+  } catch (error) {
+    console.error('❌ Get categories error:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// Create category, at the top level or under parentId
+app.post('/api/categories', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const parentId = req.body.parentId || null;
+    
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'Name must be 1-80 characters' });
+    }
+    
+    if (parentId) {
+      await findCompanyCategory(prisma, parentId, req.user.company_id);
+    }
+    
+    const sibling = await prisma.category.findFirst({
+      where: {
+        company_id: req.user.company_id,
+        parent_id: parentId,
+        name: { equals: name, mode: 'insensitive' }
+      }
+    });
+    
+    if (sibling) {
+      return res.status(400).json({ error: 'A category with this name already exists here' });
+    }
+    
+    const category = await prisma.$transaction(async (tx) => {
+      const created = await tx.category.create({
+        data: {
+          name,
+          parent_id: parentId,
+          company_id: req.user.company_id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'category.create',
+        entityType: 'category',
+        after: created
+      });
+      
+      return created;
+    });
+    
+    console.log('✅ Category created:', category.name);
+    
+    res.status(201).json(formatCategory(category));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Rename a category or move it (with everything below it) under another
+// parent; parentId null moves it to the top level
+app.put('/api/categories', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const categories = await prisma.category.findMany({
+      where: { company_id: req.user.company_id }
+    });
+    const category = categories.find(category => category.id === id);
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    const name = req.body.name === undefined ? category.name : String(req.body.name).trim();
+    const parentId = req.body.parentId === undefined ? category.parent_id : req.body.parentId || null;
+    
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'Name must be 1-80 characters' });
+    }
+    
+    if (parentId && !categories.some(other => other.id === parentId)) {
+      return res.status(404).json({ error: 'Parent category not found' });
+    }
+    
+    if (parentId && categoryBranchIds(categories, id).includes(parentId)) {
+      return res.status(400).json({ error: 'A category cannot be moved into itself or its subcategories' });
+    }
+    
+    const sibling = categories.find(other => other.id !== id
+      && other.parent_id === parentId
+      && other.name.toLowerCase() === name.toLowerCase());
+    
+    if (sibling) {
+      return res.status(400).json({ error: 'A category with this name already exists here' });
+    }
+    
+    const saved = await prisma.$transaction(async (tx) => {
+      const updated = await tx.category.update({
+        where: { id },
+        data: { name, parent_id: parentId }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'category.update',
+        entityType: 'category',
+        before: category,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    res.json(formatCategory(saved));
+  } catch (error) {
+    console.error('❌ Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete a category without subcategories; its items become uncategorized
+app.delete('/api/categories', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const category = await prisma.category.findFirst({
+      where: { id, company_id: req.user.company_id },
+      include: { _count: { select: { children: true } } }
+    });
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    if (category._count.children > 0) {
+      return res.status(400).json({ error: 'Category still contains other categories' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.category.delete({ where: { id } });
+      
+      await recordAudit(tx, req, {
+        action: 'category.delete',
+        entityType: 'category',
+        before: category
+      });
+    });
+    
+    console.log('✅ Category deleted:', category.name);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Get the company's custom item fields
+app.get('/api/custom-fields', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const definitions = await prisma.customFieldDefinition.findMany({
+      where: { company_id: req.user.company_id },
+      orderBy: { created_at: 'asc' }
+    });
+    
+    res.json(definitions.map(formatCustomField));
+  } catch (error) {
+    console.error('❌ Get custom fields error:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+// Add a custom item field: { key, label, type, options (select only),
+// required }
+app.post('/api/custom-fields', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const { key, type, required = false } = req.body;
+    const label = String(req.body.label || '').trim();
+    
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(key || '')) {
+      return res.status(400).json({ error: 'Key must start with a lower-case letter and use only a-z, 0-9 and _ (up to 40 characters)' });
+    }
+    
+    if (!label || label.length > 80) {
+      return res.status(400).json({ error: 'Label must be 1-80 characters' });
+    }
+    
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` });
+    }
+    
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'Required must be true or false' });
+    }
+    
+    const options = parseCustomFieldOptions(type, req.body.options);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    const existing = await prisma.customFieldDefinition.findUnique({
+      where: { company_id_key: { company_id: req.user.company_id, key } }
+    });
+    
+    if (existing) {
+      return res.status(400).json({ error: 'A custom field with this key already exists' });
+    }
+    
+    const definition = await prisma.$transaction(async (tx) => {
+      const created = await tx.customFieldDefinition.create({
+        data: {
+          key,
+          label,
+          type,
+          options: options.options,
+          required,
+          company_id: req.user.company_id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'custom_field.create',
+        entityType: 'custom_field',
+        after: created
+      });
+      
+      return created;
+    });
+    
+    console.log('✅ Custom field created:', definition.key);
+    
+    res.status(201).json(formatCustomField(definition));
+  } catch (error) {
+    console.error('❌ Create custom field error:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+// Change a custom field's label, options or whether it is required. The key
+// and type cannot change; values stored before options changed are kept.
+app.put('/api/custom-fields', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const { id, required } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const existing = await prisma.customFieldDefinition.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    
+    const label = req.body.label === undefined ? existing.label : String(req.body.label).trim();
+    
+    if (!label || label.length > 80) {
+      return res.status(400).json({ error: 'Label must be 1-80 characters' });
+    }
+    
+    if (required !== undefined && typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'Required must be true or false' });
+    }
+    
+    const options = req.body.options === undefined
+      ? { options: existing.options }
+      : parseCustomFieldOptions(existing.type, req.body.options);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    const definition = await prisma.$transaction(async (tx) => {
+      const updated = await tx.customFieldDefinition.update({
+        where: { id },
+        data: {
+          label,
+          options: options.options,
+          ...(required !== undefined && { required })
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'custom_field.update',
+        entityType: 'custom_field',
+        before: existing,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    res.json(formatCustomField(definition));
+  } catch (error) {
+    console.error('❌ Update custom field error:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+// Delete a custom field along with its value on every item
+app.delete('/api/custom-fields', authenticateToken, requirePermission('catalog:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const existing = await prisma.customFieldDefinition.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`
+        UPDATE items SET custom_fields = custom_fields - ${existing.key}::text, updated_at = NOW()
+        WHERE company_id = ${req.user.company_id} AND custom_fields ? ${existing.key}::text
+      `;
+      
+      await tx.customFieldDefinition.delete({ where: { id } });
+      
+      await recordAudit(tx, req, {
+        action: 'custom_field.delete',
+        entityType: 'custom_field',
+        before: existing
+      });
+    });
+    
+    console.log('✅ Custom field deleted:', existing.key);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete custom field error:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+});
+
+// LOCATIONS ENDPOINTS
+
+// Get locations with the total units stored directly in each
+app.get('/api/locations', authenticateToken, requirePermission('locations:view'), async (req, res) => {
+  try {
+    const [locations, totals] = await Promise.all([
+      prisma.location.findMany({
+        where: { company_id: req.user.company_id },
+        orderBy: { code: 'asc' }
+      }),
+      prisma.stockLevel.groupBy({
+        by: ['location_id'],
+        where: { location: { company_id: req.user.company_id } },
+        _sum: { quantity: true }
+      })
+    ]);
+    
+    const totalsByLocation = new Map(
+      totals.map(total => [total.location_id, total._sum.quantity || 0])
+    );
+    
+    res.json(locations.map(location => ({
+      ...formatLocation(location),
+      quantity: totalsByLocation.get(location.id) || 0
+    })));
+  } catch (error) {
+    console.error('❌ Get locations error:', error);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
+// Create location
+app.post('/api/locations', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { name, code, type = 'warehouse', parentId } = req.body;
+    
+    if (!name || !code) {
+      return res.status(400).json({ error: 'Name and code are required' });
+    }
+    
+    if (typeof name !== 'string' || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Name and code must be text' });
+    }
+    
+    if (!LOCATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${LOCATION_TYPES.join(', ')}` });
+    }
+    
+    const parentType = LOCATION_PARENT_TYPES[type];
+    let parent = null;
+    
+    if (parentType) {
+      if (!parentId) {
+        return res.status(400).json({ error: `A ${type} must belong to a ${parentType}` });
+      }
+      
+      parent = await prisma.location.findFirst({
+        where: { id: parentId, company_id: req.user.company_id }
+      });
+      
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent location not found' });
+      }
+      
+      if (parent.type !== parentType) {
+        return res.status(400).json({ error: `A ${type} must belong to a ${parentType}` });
+      }
+    } else if (parentId) {
+      return res.status(400).json({ error: 'A warehouse cannot have a parent location' });
+    }
+    
+    const normalizedCode = code.trim().toUpperCase();
+    
+    const existingLocation = await prisma.location.findUnique({
+      where: { company_id_code: { company_id: req.user.company_id, code: normalizedCode } }
+    });
+    
+    if (existingLocation) {
+      return res.status(400).json({ error: 'Location code already exists' });
+    }
+    
+    const location = await prisma.$transaction(async (tx) => {
+      const created = await tx.location.create({
+        data: {
+          name: name.trim(),
+          code: normalizedCode,
+          type,
+          parent_id: parent?.id,
+          company_id: req.user.company_id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'location.create',
+        entityType: 'location',
+        after: created
+      });
+      
+      return created;
+    });
+    
+    console.log('✅ Location created:', location.code);
+    
+    res.status(201).json(formatLocation(location));
+  } catch (error) {
+    console.error('❌ Create location error:', error);
+    res.status(500).json({ error: 'Failed to create location' });
+  }
+});
+
+// Rename location
+app.put('/api/locations', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { id, name, code } = req.body;
+    
+    if (!id || (!name && !code)) {
+      return res.status(400).json({ error: 'ID and a name or code are required' });
+    }
+    
+    if ((name && typeof name !== 'string') || (code && typeof code !== 'string')) {
+      return res.status(400).json({ error: 'Name and code must be text' });
+    }
+    
+    const location = await prisma.location.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    
+    const normalizedCode = code ? code.trim().toUpperCase() : location.code;
+    
+    if (normalizedCode !== location.code) {
+      const existingLocation = await prisma.location.findUnique({
+        where: { company_id_code: { company_id: req.user.company_id, code: normalizedCode } }
+      });
+      
+      if (existingLocation) {
+        return res.status(400).json({ error: 'Location code already exists' });
+      }
+    }
+    
+    const saved = await prisma.$transaction(async (tx) => {
+      const updated = await tx.location.update({
+        where: { id },
+        data: {
+          name: name ? name.trim() : location.name,
+          code: normalizedCode
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'location.update',
+        entityType: 'location',
+        before: location,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    res.json(formatLocation(saved));
+  } catch (error) {
+    console.error('❌ Update location error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Delete location (only once it is empty)
+app.delete('/api/locations', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const location = await prisma.location.findFirst({
+      where: { id, company_id: req.user.company_id },
+      include: { _count: { select: { children: true } } }
+    });
+    
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    
+    if (location._count.children > 0) {
+      return res.status(400).json({ error: 'Location still contains other locations' });
+    }
+    
+    const stock = await prisma.stockLevel.aggregate({
+      where: { location_id: id },
+      _sum: { quantity: true }
+    });
+    
+    if (stock._sum.quantity > 0) {
+      return res.status(400).json({ error: 'Location still holds stock; transfer it out first' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.stockLevel.deleteMany({ where: { location_id: id } });
+      await tx.location.delete({ where: { id } });
+      
+      await recordAudit(tx, req, {
+        action: 'location.delete',
+        entityType: 'location',
+        before: location
+      });
+    });
+    
+    console.log('✅ Location deleted:', location.code);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete location error:', error);
+    res.status(500).json({ error: 'Failed to delete location' });
+  }
+});
+
+// Get the items stored in a location and everything below it
+app.get('/api/locations/stock', authenticateToken, requirePermission('locations:view'), async (req, res) => {
+  try {
+    const { locationId } = req.query;
+    
+    if (!locationId) {
+      return res.status(400).json({ error: 'locationId parameter is required' });
+    }
+    
+    const locations = await prisma.location.findMany({
+      where: { company_id: req.user.company_id }
+    });
+    
+    if (!locations.some(location => location.id === locationId)) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    
+    // Walk down the tree collecting the location and its descendants
+    const locationIds = [locationId];
+    for (let i = 0; i < locationIds.length; i++) {
+      locations
+        .filter(location => location.parent_id === locationIds[i])
+        .forEach(location => locationIds.push(location.id));
+    }
+    
+    const levels = await prisma.stockLevel.findMany({
+      where: {
+        location_id: { in: locationIds },
+        quantity: { gt: 0 },
+        item: { deleted_at: null }
+      },
+      include: { item: true, location: true },
+      orderBy: [{ item: { name: 'asc' } }, { location: { code: 'asc' } }]
+    });
+    
+    res.json(levels.map(level => ({
+      item_id: level.item_id,
+      item_name: level.item.name,
+      barcode: level.item.barcode,
+      location_id: level.location_id,
+      location_name: level.location.name,
+      location_code: level.location.code,
+      quantity: level.quantity
+    })));
+  } catch (error) {
+    console.error('❌ Get location stock error:', error);
+    res.status(500).json({ error: 'Failed to fetch location stock' });
+  }
+});
+
+// Apply a signed stock change. The item row is locked for the duration of
+// the transaction, so concurrent scanners never overwrite each other. The
+// delta is in the item's base unit unless unit names one of its packs.
+app.post('/api/stock/movements', authenticateToken, requirePermission('stock:adjust'), async (req, res) => {
+  try {
+    const { itemId, reason, locationId } = req.body;
+    const delta = Number(req.body.delta);
+    
+    if (!itemId || typeof itemId !== 'string' || !Number.isInteger(delta) || delta === 0) {
+      return res.status(400).json({ error: 'Item ID and a non-zero whole number delta are required' });
+    }
+    
+    if (!STOCK_MOVEMENT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}` });
+    }
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const item = await lockItem(tx, itemId, req.user.company_id);
+      assertItemVersion(req, item);
+      
+      const change = await toBaseUnits(tx, item, delta, req.body.unit);
+      
+      const location = locationId
+        ? await findCompanyLocation(tx, locationId, req.user.company_id)
+        : null;
+      
+      const updated = await applyStockChange(tx, item, change, location);
+      
+      await recordAudit(tx, req, {
+        action: 'item.adjust',
+        entityType: 'item',
+        before: item,
+        after: updated,
+        metadata: { reason, delta: change, location_id: location?.id ?? null, location_name: location?.name ?? null }
+      });
+      
+      await tx.activity.create({
+        data: {
+          type: change > 0 ? 'added' : 'removed',
+          quantity: Math.abs(change),
+          old_quantity: item.quantity,
+          ...(change > 0 && { unit_cost: item.unit_cost }),
+          reason,
+          item_name: item.name,
+          user_name: req.user.name,
+          location_name: location?.name,
+          company_id: req.user.company_id,
+          item_id: item.id,
+          user_id: req.user.id,
+          location_id: location?.id
+        }
+      });
+      
+      await updateStockAlerts(tx, updated);
+      
+      await queueStockEvents(tx, item, updated, {
+        reason,
+        location_id: location?.id ?? null,
+        location_name: location?.name ?? null
+      });
+      
+      return updated;
+    });
+    
+    res.set('ETag', itemEtag(item));
+    res.status(201).json(formatItem(item));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Stock movement error:', error);
+    res.status(500).json({ error: 'Failed to record stock movement' });
+  }
+});
+
+// Move stock between two locations. A missing from/to location means the
+// item's unassigned stock, so existing stock can be put away into bins.
+app.post('/api/stock/transfer', authenticateToken, requirePermission('stock:transfer'), async (req, res) => {
+  try {
+    const { itemId, fromLocationId, toLocationId } = req.body;
+    const quantity = Number(req.body.quantity);
+    
+    if (!itemId || !Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Item ID and a positive whole quantity are required' });
+    }
+    
+    if (!fromLocationId && !toLocationId) {
+      return res.status(400).json({ error: 'A source or destination location is required' });
+    }
+    
+    if (fromLocationId === toLocationId) {
+      return res.status(400).json({ error: 'Source and destination must differ' });
+    }
+    
+    const item = await prisma.$transaction(async (tx) => {
+      const item = await lockItem(tx, itemId, req.user.company_id);
+      
+      const fromLocation = fromLocationId
+        ? await findCompanyLocation(tx, fromLocationId, req.user.company_id)
+        : null;
+      const toLocation = toLocationId
+        ? await findCompanyLocation(tx, toLocationId, req.user.company_id)
+        : null;
+      
+      if (fromLocation) {
+        const taken = await tx.stockLevel.updateMany({
+          where: {
+            item_id: item.id,
+            location_id: fromLocation.id,
+            quantity: { gte: quantity }
+          },
+          data: { quantity: { decrement: quantity } }
+        });
+        
+        if (taken.count === 0) {
+          throw new HttpError(400, `Insufficient stock at ${fromLocation.name}`);
+        }
+      } else if (await getUnassignedQuantity(tx, item) < quantity) {
+        throw new HttpError(400, 'Insufficient unassigned stock');
+      }
+      
+      if (toLocation) {
+        await tx.stockLevel.upsert({
+          where: { item_id_location_id: { item_id: item.id, location_id: toLocation.id } },
+          create: { item_id: item.id, location_id: toLocation.id, quantity },
+          update: { quantity: { increment: quantity } }
+        });
+      }
+      
+      // Log both sides of the move; the item total does not change
+      const activity = {
+        quantity,
+        old_quantity: item.quantity,
+        item_name: item.name,
+        user_name: req.user.name,
+        company_id: req.user.company_id,
+        item_id: item.id,
+        user_id: req.user.id
+      };
+      
+      await tx.activity.createMany({
+        data: [
+          {
+            ...activity,
+            type: 'transfer_out',
+            location_id: fromLocation?.id,
+            location_name: fromLocation?.name
+          },
+          {
+            ...activity,
+            type: 'transfer_in',
+            location_id: toLocation?.id,
+            location_name: toLocation?.name
+          }
+        ]
+      });
+      
+      // Touch the item so clients holding the old breakdown see a new version
+      const updated = await tx.item.update({
+        where: { id: item.id },
+        data: { updated_at: new Date() },
+        include: itemStockInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'item.transfer',
+        entityType: 'item',
+        before: item,
+        after: updated,
+        metadata: {
+          quantity,
+          from_location_id: fromLocation?.id ?? null,
+          from_location_name: fromLocation?.name ?? null,
+          to_location_id: toLocation?.id ?? null,
+          to_location_name: toLocation?.name ?? null
+        }
+      });
+      
+      return updated;
+    });
+    
+    res.set('ETag', itemEtag(item));
+    console.log(`✅ Transferred ${quantity} x ${item.name}`);
+    
+    res.json(formatItem(item));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Transfer stock error:', error);
+    res.status(500).json({ error: 'Failed to transfer stock' });
+  }
+});
+
+// SUPPLIERS ENDPOINTS
+
+// Get suppliers
+app.get('/api/suppliers', authenticateToken, requirePermission('suppliers:view'), async (req, res) => {
+  try {
+    const suppliers = await prisma.supplier.findMany({
+      where: { company_id: req.user.company_id },
+      orderBy: { name: 'asc' }
+    });
+    
+    res.json(suppliers.map(formatSupplier));
+  } catch (error) {
+    console.error('❌ Get suppliers error:', error);
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+// Create supplier
+app.post('/api/suppliers', authenticateToken, requirePermission('suppliers:manage'), async (req, res) => {
+  try {
+    const { name, contactName, email, phone, notes } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    
+    const supplier = await prisma.supplier.create({
+      data: {
+        name: name.trim(),
+        contact_name: contactName?.trim() || null,
+        email: email?.toLowerCase().trim() || null,
+        phone: phone?.trim() || null,
+        notes: notes?.trim() || null,
+        company_id: req.user.company_id
+      }
+    });
+    
+    console.log('✅ Supplier created:', supplier.name);
+    
+    res.status(201).json(formatSupplier(supplier));
+  } catch (error) {
+    console.error('❌ Create supplier error:', error);
+    res.status(500).json({ error: 'Failed to create supplier' });
+  }
+});
+
+// Update supplier
+app.put('/api/suppliers', authenticateToken, requirePermission('suppliers:manage'), async (req, res) => {
+  try {
+    const { id, name, contactName, email, phone, notes } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+    
+    const existingSupplier = await prisma.supplier.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!existingSupplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    
+    const supplier = await prisma.supplier.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name: String(name).trim() }),
+        ...(contactName !== undefined && { contact_name: contactName?.trim() || null }),
+        ...(email !== undefined && { email: email?.toLowerCase().trim() || null }),
+        ...(phone !== undefined && { phone: phone?.trim() || null }),
+        ...(notes !== undefined && { notes: notes?.trim() || null })
+      }
+    });
+    
+    res.json(formatSupplier(supplier));
+  } catch (error) {
+    console.error('❌ Update supplier error:', error);
+    res.status(500).json({ error: 'Failed to update supplier' });
+  }
+});
+
+// Delete supplier (only one without purchase orders)
+app.delete('/api/suppliers', authenticateToken, requirePermission('suppliers:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const supplier = await prisma.supplier.findFirst({
+      where: { id, company_id: req.user.company_id },
+      include: { _count: { select: { purchase_orders: true } } }
+    });
+    
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    
+    if (supplier._count.purchase_orders > 0) {
+      return res.status(400).json({ error: 'Supplier has purchase orders and cannot be deleted' });
+    }
+    
+    await prisma.supplier.delete({
+      where: { id }
+    });
+    
+    console.log('✅ Supplier deleted:', supplier.name);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete supplier error:', error);
+    res.status(500).json({ error: 'Failed to delete supplier' });
+  }
+});
+
+// PURCHASE ORDERS ENDPOINTS
+
+// Get purchase orders, optionally filtered by ?status=
+app.get('/api/purchase-orders', authenticateToken, requirePermission('purchase_orders:view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+    }
+    
+    const purchaseOrders = await prisma.purchaseOrder.findMany({
+      where: {
+        company_id: req.user.company_id,
+        ...(status && { status })
+      },
+      include: purchaseOrderInclude,
+      orderBy: { created_at: 'desc' }
+    });
+    
+    res.json(purchaseOrders.map(formatPurchaseOrder));
+  } catch (error) {
+    console.error('❌ Get purchase orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+// Get one purchase order
+app.get('/api/purchase-orders/:id', authenticateToken, requirePermission('purchase_orders:view'), async (req, res) => {
+  try {
+    const purchaseOrder = await prisma.purchaseOrder.findFirst({
+      where: { id: req.params.id, company_id: req.user.company_id },
+      include: purchaseOrderInclude
+    });
+    
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    
+    res.json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    console.error('❌ Get purchase order error:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+// Create a draft purchase order:
+// { supplierId, expectedAt, notes, lines: [{ itemId, quantity, unitCost }] }
+app.post('/api/purchase-orders', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const { supplierId, expectedAt, notes, lines } = req.body;
+    
+    if (!supplierId) {
+      return res.status(400).json({ error: 'Supplier ID is required' });
+    }
+    
+    const expected = expectedAt ? new Date(expectedAt) : null;
+    if (expected && isNaN(expected)) {
+      return res.status(400).json({ error: 'expectedAt must be a valid date' });
+    }
+    
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      const supplier = await tx.supplier.findFirst({
+        where: { id: supplierId, company_id: req.user.company_id }
+      });
+      
+      if (!supplier) {
+        throw new HttpError(404, 'Supplier not found');
+      }
+      
+      const lineData = await parsePurchaseOrderLines(tx, lines, req.user.company_id);
+      
+      return tx.purchaseOrder.create({
+        data: {
+          number: await nextPurchaseOrderNumber(tx, req.user.company_id),
+          expected_at: expected,
+          notes: notes?.trim() || null,
+          company_id: req.user.company_id,
+          supplier_id: supplier.id,
+          lines: { create: lineData }
+        },
+        include: purchaseOrderInclude
+      });
+    });
+    
+    console.log('✅ Purchase order created:', purchaseOrder.number);
+    
+    res.status(201).json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Create purchase order error:', error);
+    res.status(500).json({ error: 'Failed to create purchase order' });
+  }
+});
+
+// Update a draft purchase order; lines, when given, replace the existing ones
+app.put('/api/purchase-orders', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const { id, supplierId, expectedAt, notes, lines } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const expected = expectedAt ? new Date(expectedAt) : null;
+    if (expected && isNaN(expected)) {
+      return res.status(400).json({ error: 'expectedAt must be a valid date' });
+    }
+    
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      const existing = await findCompanyPurchaseOrder(tx, id, req.user.company_id);
+      
+      if (existing.status !== 'draft') {
+        throw new HttpError(400, 'Only draft purchase orders can be edited');
+      }
+      
+      if (supplierId) {
+        const supplier = await tx.supplier.findFirst({
+          where: { id: supplierId, company_id: req.user.company_id }
+        });
+        
+        if (!supplier) {
+          throw new HttpError(404, 'Supplier not found');
+        }
+      }
+      
+      if (lines !== undefined) {
+        const lineData = await parsePurchaseOrderLines(tx, lines, req.user.company_id);
+        await tx.purchaseOrderLine.deleteMany({ where: { purchase_order_id: id } });
+        await tx.purchaseOrderLine.createMany({
+          data: lineData.map(line => ({ ...line, purchase_order_id: id }))
+        });
+      }
+      
+      return tx.purchaseOrder.update({
+        where: { id },
+        data: {
+          ...(supplierId && { supplier_id: supplierId }),
+          ...(expectedAt !== undefined && { expected_at: expected }),
+          ...(notes !== undefined && { notes: notes?.trim() || null })
+        },
+        include: purchaseOrderInclude
+      });
+    });
+    
+    res.json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Update purchase order error:', error);
+    res.status(500).json({ error: 'Failed to update purchase order' });
+  }
+});
+
+// Delete a draft purchase order
+app.delete('/api/purchase-orders', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const purchaseOrder = await prisma.purchaseOrder.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be deleted; close it instead' });
+    }
+    
+    await prisma.purchaseOrder.delete({
+      where: { id }
+    });
+    
+    console.log('✅ Purchase order deleted:', purchaseOrder.number);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete purchase order error:', error);
+    res.status(500).json({ error: 'Failed to delete purchase order' });
+  }
+});
+
+// Mark a draft purchase order as sent to the supplier
+app.post('/api/purchase-orders/send', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const sent = await prisma.purchaseOrder.updateMany({
+      where: { id, company_id: req.user.company_id, status: 'draft' },
+      data: { status: 'sent', sent_at: new Date() }
+    });
+    
+    if (sent.count === 0) {
+      return res.status(400).json({ error: 'Only draft purchase orders can be sent' });
+    }
+    
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: purchaseOrderInclude
+    });
+    
+    console.log('✅ Purchase order sent:', purchaseOrder.number);
+    
+    res.json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    console.error('❌ Send purchase order error:', error);
+    res.status(500).json({ error: 'Failed to send purchase order' });
+  }
+});
+
+// Receive goods against a sent purchase order:
+// { id, lines: [{ lineId, quantity, locationId }] }. Stock goes up per line
+// and each line logs a `received` Activity linked to the order, which
+// closes once every line is fully received.
+app.post('/api/purchase-orders/receive', authenticateToken, requirePermission('purchase_orders:receive'), async (req, res) => {
+  try {
+    const { id, lines } = req.body;
+    
+    if (!id || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'ID and received lines are required' });
+    }
+    
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      // Serialize receipts against the same order
+      await tx.$queryRaw`SELECT id FROM purchase_orders WHERE id = ${id} FOR UPDATE`;
+      const existing = await findCompanyPurchaseOrder(tx, id, req.user.company_id);
+      
+      if (!['sent', 'partially_received'].includes(existing.status)) {
+        throw new HttpError(400, 'Only sent purchase orders can be received');
+      }
+      
+      const linesById = new Map(existing.lines.map(line => [line.id, line]));
+      const receipts = lines.map(received => {
+        const line = linesById.get(received.lineId);
+        const quantity = Number(received.quantity);
+        
+        if (!line) {
+          throw new HttpError(404, 'Purchase order line not found');
+        }
+        if (!line.item_id) {
+          throw new HttpError(400, `${line.item_name} has been deleted and cannot be received`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new HttpError(400, 'Received quantities must be whole numbers of 1 or more');
+        }
+        if (quantity > line.quantity_ordered - line.quantity_received) {
+          throw new HttpError(400, `Cannot receive more ${line.item_name} than is outstanding`);
+        }
+        
+        return { line, quantity, locationId: received.locationId };
+      });
+      
+      if (new Set(receipts.map(receipt => receipt.line.id)).size !== receipts.length) {
+        throw new HttpError(400, 'Each line can only be received once per request');
+      }
+      
+      // Lock items in a fixed order so concurrent receipts cannot deadlock
+      receipts.sort((a, b) => a.line.item_id.localeCompare(b.line.item_id));
+      
+      for (const { line, quantity, locationId } of receipts) {
+        const item = await lockItem(tx, line.item_id, req.user.company_id);
+        const location = locationId
+          ? await findCompanyLocation(tx, locationId, req.user.company_id)
+          : null;
+        
+        const updated = await applyStockChange(tx, item, quantity, location);
+        
+        await recordAudit(tx, req, {
+          action: 'item.receive',
+          entityType: 'item',
+          before: item,
+          after: updated,
+          metadata: {
+            purchase_order_id: existing.id,
+            purchase_order_number: existing.number,
+            location_id: location?.id ?? null,
+            location_name: location?.name ?? null
+          }
+        });
+        
+        await tx.purchaseOrderLine.update({
+          where: { id: line.id },
+          data: { quantity_received: { increment: quantity } }
+        });
+        
+        await tx.activity.create({
+          data: {
+            type: 'received',
+            quantity,
+            old_quantity: item.quantity,
+            unit_cost: line.unit_cost ?? item.unit_cost,
+            reason: 'receipt',
+            item_name: item.name,
+            user_name: req.user.name,
+            location_name: location?.name,
+            company_id: req.user.company_id,
+            item_id: item.id,
+            user_id: req.user.id,
+            location_id: location?.id,
+            purchase_order_id: existing.id
+          }
+        });
+        
+        await updateStockAlerts(tx, updated);
+        
+        await queueStockEvents(tx, item, updated, {
+          reason: 'receipt',
+          purchase_order_id: existing.id,
+          location_id: location?.id ?? null,
+          location_name: location?.name ?? null
+        });
+      }
+      
+      const outstanding = await tx.purchaseOrderLine.count({
+        where: {
+          purchase_order_id: id,
+          quantity_received: { lt: prisma.purchaseOrderLine.fields.quantity_ordered }
+        }
+      });
+      
+      return tx.purchaseOrder.update({
+        where: { id },
+        data: outstanding === 0
+          ? { status: 'closed', closed_at: new Date() }
+          : { status: 'partially_received' },
+        include: purchaseOrderInclude
+      });
+    });
+    
+    console.log(`✅ Received against ${purchaseOrder.number} (${purchaseOrder.status})`);
+    
+    res.json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Receive purchase order error:', error);
+    res.status(500).json({ error: 'Failed to receive purchase order' });
+  }
+});
+
+// Close a purchase order that will not be delivered in full
+app.post('/api/purchase-orders/close', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const closed = await prisma.purchaseOrder.updateMany({
+      where: {
+        id,
+        company_id: req.user.company_id,
+        status: { in: ['sent', 'partially_received'] }
+      },
+      data: { status: 'closed', closed_at: new Date() }
+    });
+    
+    if (closed.count === 0) {
+      return res.status(400).json({ error: 'Only sent purchase orders can be closed' });
+    }
+    
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: purchaseOrderInclude
+    });
+    
+    console.log('✅ Purchase order closed:', purchaseOrder.number);
+    
+    res.json(formatPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    console.error('❌ Close purchase order error:', error);
+    res.status(500).json({ error: 'Failed to close purchase order' });
+  }
+});
+
+// Draft purchase orders, one per preferred supplier, for every item at or
+// below its reorder point that is not already covered by an open order
+app.post('/api/purchase-orders/auto-draft', authenticateToken, requirePermission('purchase_orders:manage'), async (req, res) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const lowItems = await tx.item.findMany({
+        where: {
+          company_id: req.user.company_id,
+          deleted_at: null,
+          quantity: { lte: prisma.item.fields.reorder_point }
+        },
+        orderBy: { name: 'asc' }
+      });
+      
+      const onOrder = await onOrderQuantities(tx, lowItems.map(item => item.id));
+      
+      const skipped = [];
+      const linesBySupplier = new Map();
+      
+      lowItems.forEach(item => {
+        if (item.quantity + (onOrder.get(item.id) || 0) > item.reorder_point) {
+          return;
+        }
+        
+        if (!item.supplier_id) {
+          skipped.push({ item_id: item.id, item_name: item.name, reason: 'No preferred supplier' });
+          return;
+        }
+        
+        const supplierLines = linesBySupplier.get(item.supplier_id) || [];
+        supplierLines.push({
+          item_id: item.id,
+          item_name: item.name,
+          quantity_ordered: suggestedReorderQuantity(item)
+        });
+        linesBySupplier.set(item.supplier_id, supplierLines);
+      });
+      
+      const created = [];
+      for (const [supplierId, lines] of linesBySupplier) {
+        created.push(await tx.purchaseOrder.create({
+          data: {
+            number: await nextPurchaseOrderNumber(tx, req.user.company_id),
+            notes: 'Drafted automatically for items below their reorder point',
+            company_id: req.user.company_id,
+            supplier_id: supplierId,
+            lines: { create: lines }
+          },
+          include: purchaseOrderInclude
+        }));
+      }
+      
+      return { created, skipped };
+    });
+    
+    console.log(`✅ Auto-drafted ${result.created.length} purchase orders`);
+    
+    res.status(result.created.length > 0 ? 201 : 200).json({
+      created: result.created.map(formatPurchaseOrder),
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('❌ Auto-draft purchase orders error:', error);
+    res.status(500).json({ error: 'Failed to draft purchase orders' });
+  }
+});
+
+// STOCKTAKES ENDPOINTS
+
+// Get stocktakes, newest first; ?status= narrows to one status
+app.get('/api/stocktakes', authenticateToken, requirePermission('stocktakes:count'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 50
+    });
+    
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    const stocktakes = await prisma.stocktake.findMany({
+      where: {
+        company_id: req.user.company_id,
+        ...(status && { status })
+      },
+      include: stocktakeInclude,
+      ...page.args
+    });
+    
+    const showExpected = hasPermission(req.user.role, 'stocktakes:manage');
+    
+    // Lines are left out of the list; fetch a stocktake for them
+    res.json(pageRows(res, stocktakes, page.limit).map(stocktake => {
+      const { lines, ...summary } = formatStocktake(stocktake, showExpected);
+      return summary;
+    }));
+  } catch (error) {
+    console.error('❌ Get stocktakes error:', error);
+    res.status(500).json({ error: 'Failed to fetch stocktakes' });
+  }
+});
+
+// Every item's ABC class and when its next cycle count is due.
+// ?due=true leaves out items that are not due yet; ?class= narrows to A, B
+// or C.
+app.get('/api/stocktakes/cycle-schedule', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { due, class: abcClass } = req.query;
+    
+    if (abcClass && !CYCLE_COUNT_INTERVAL_DAYS[abcClass]) {
+      return res.status(400).json({ error: 'class must be A, B or C' });
+    }
+    
+    const schedule = await abcClassification(prisma, req.user.company_id);
+    
+    res.json({
+      interval_days: CYCLE_COUNT_INTERVAL_DAYS,
+      items: schedule.filter(item =>
+        (due !== 'true' || item.overdue) && (!abcClass || item.abc_class === abcClass))
+    });
+  } catch (error) {
+    console.error('❌ Get cycle count schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch cycle count schedule' });
+  }
+});
+
+// Get a stocktake with its lines. Expected quantities and variances are
+// only shown to those who review stocktakes.
+app.get('/api/stocktakes/:id', authenticateToken, requirePermission('stocktakes:count'), async (req, res) => {
+  try {
+    const stocktake = await findCompanyStocktake(prisma, req.params.id, req.user.company_id);
+    
+    res.json(formatStocktake(stocktake, hasPermission(req.user.role, 'stocktakes:manage')));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Get stocktake error:', error);
+    res.status(500).json({ error: 'Failed to fetch stocktake' });
+  }
+});
+
+// Start a stocktake, freezing the expected quantities of what it counts:
+// { name, notes } with one of
+//   { locationId }     the stock at one location
+//   { itemIds }        chosen items
+//   { cycle: true }    items due for a cycle count (at most limit, 50 by
+//                      default), class A first, most overdue first
+// or none of them for every item.
+app.post('/api/stocktakes', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { name, notes, locationId, itemIds, cycle } = req.body;
+    const limit = req.body.limit === undefined ? CYCLE_COUNT_DEFAULT_LIMIT : Number(req.body.limit);
+    
+    if ([locationId, itemIds, cycle].filter(Boolean).length > 1) {
+      return res.status(400).json({ error: 'Choose one of locationId, itemIds or cycle' });
+    }
+    
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.length === 0)) {
+      return res.status(400).json({ error: 'itemIds must be a non-empty array' });
+    }
+    
+    if (cycle && (!Number.isInteger(limit) || limit < 1 || limit > PAGE_MAX_LIMIT)) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${PAGE_MAX_LIMIT}` });
+    }
+    
+    let scope = 'full';
+    if (locationId) {
+      scope = 'location';
+    } else if (itemIds) {
+      scope = 'items';
+    } else if (cycle) {
+      scope = 'cycle';
+    }
+    
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const location = locationId
+        ? await findCompanyLocation(tx, locationId, req.user.company_id)
+        : null;
+      
+      let snapshot;
+      if (location) {
+        const levels = await tx.stockLevel.findMany({
+          where: { location_id: location.id, quantity: { gt: 0 }, item: { deleted_at: null } },
+          include: { item: true }
+        });
+        snapshot = levels.map(level => ({ item: level.item, expected: level.quantity }));
+      } else {
+        const items = await tx.item.findMany({
+          where: {
+            company_id: req.user.company_id,
+            deleted_at: null,
+            ...(itemIds && { id: { in: itemIds.map(String) } })
+          }
+        });
+        snapshot = items.map(item => ({ item, expected: item.quantity }));
+      }
+      
+      if (itemIds && snapshot.length !== new Set(itemIds).size) {
+        throw new HttpError(404, 'Item not found');
+      }
+      
+      const overlapping = await overlappingStocktakeLines(tx, req.user.company_id, snapshot.map(entry => entry.item.id), location);
+      
+      if (cycle) {
+        // Items being counted elsewhere are left for the next cycle count
+        const busy = new Set(overlapping.map(line => line.item_id));
+        const classRank = { A: 0, B: 1, C: 2 };
+        const due = (await abcClassification(tx, req.user.company_id))
+          .filter(entry => entry.overdue && !busy.has(entry.item_id))
+          .sort((a, b) => classRank[a.abc_class] - classRank[b.abc_class] ||
+            a.next_count_due.localeCompare(b.next_count_due))
+          .slice(0, limit);
+        const dueIds = new Set(due.map(entry => entry.item_id));
+        
+        snapshot = snapshot.filter(entry => dueIds.has(entry.item.id));
+      } else if (overlapping.length > 0) {
+        throw new HttpError(409, `${overlapping[0].item_name} is already being counted in ${overlapping[0].stocktake.name}`, {
+          stocktake_id: overlapping[0].stocktake_id,
+          item_ids: [...new Set(overlapping.map(line => line.item_id))]
+        });
+      }
+      
+      if (snapshot.length === 0) {
+        throw new HttpError(400, cycle ? 'No items are due for a cycle count' : 'There is nothing to count');
+      }
+      
+      const today = new Date().toISOString().slice(0, 10);
+      const created = await tx.stocktake.create({
+        data: {
+          name: name?.trim() || `${cycle ? 'Cycle count' : 'Stocktake'} ${today}${location ? ` – ${location.name}` : ''}`,
+          scope,
+          notes: notes?.trim() || null,
+          created_by_name: req.user.name,
+          company_id: req.user.company_id,
+          location_id: location?.id
+        }
+      });
+      
+      await tx.stocktakeLine.createMany({
+        data: snapshot.map(entry => stocktakeLineData(created.id, entry.item, entry.expected))
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'stocktake.create',
+        entityType: 'stocktake',
+        after: created,
+        metadata: { scope, line_count: snapshot.length, location_name: location?.name ?? null }
+      });
+      
+      return findCompanyStocktake(tx, created.id, req.user.company_id);
+    });
+    
+    console.log(`✅ Stocktake started: ${stocktake.name} (${stocktake.lines.length} items)`);
+    
+    res.status(201).json(formatStocktake(stocktake, true));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Create stocktake error:', error);
+    res.status(500).json({ error: 'Failed to start stocktake' });
+  }
+});
+
+// Record counts: { id, counts: [{ barcode or itemId, quantity }] }. Counts
+// of an item add up, so several people can count different shelves; a
+// negative quantity takes back a miscount. Items found that the stocktake
+// did not expect are added to it. Each count refreshes the line's expected
+// quantity to the stock the system holds at that moment; see approval.
+app.post('/api/stocktakes/counts', authenticateToken, requirePermission('stocktakes:count'), async (req, res) => {
+  try {
+    const { id, counts } = req.body;
+    
+    if (!id || !Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ error: 'ID and counts are required' });
+    }
+    
+    const lines = await prisma.$transaction(async (tx) => {
+      const stocktake = await lockStocktake(tx, id, req.user.company_id);
+      
+      if (stocktake.status !== 'counting') {
+        throw new HttpError(400, 'Counting has finished for this stocktake');
+      }
+      
+      const linesByItem = new Map(stocktake.lines.map(line => [line.item_id, line]));
+      const countedLines = new Map();
+      
+      for (const count of counts) {
+        const quantity = Number(count.quantity);
+        
+        if (!Number.isInteger(quantity)) {
+          throw new HttpError(400, 'Counted quantities must be whole numbers');
+        }
+        
+        if (!count.barcode && !count.itemId) {
+          throw new HttpError(400, 'Each count needs a barcode or itemId');
+        }
+        
+        // Scanned barcodes are looked up like /api/items/search does
+        const item = await tx.item.findFirst({
+          where: {
+            company_id: req.user.company_id,
+            deleted_at: null,
+            ...(count.barcode ? { barcode: String(count.barcode).trim() } : { id: count.itemId })
+          }
+        });
+        
+        if (!item) {
+          throw new HttpError(404, count.barcode ? `No item has barcode ${count.barcode}` : 'Item not found');
+        }
+        
+        let line = linesByItem.get(item.id);
+        
+        if (!line) {
+          const [overlapping] = await overlappingStocktakeLines(tx, req.user.company_id, [item.id], stocktake.location);
+          if (overlapping) {
+            throw new HttpError(409, `${item.name} is being counted in ${overlapping.stocktake.name}`);
+          }
+          
+          line = await tx.stocktakeLine.create({
+            data: stocktakeLineData(stocktake.id, item, await expectedCountQuantity(tx, item, stocktake.location))
+          });
+        }
+        
+        const total = (line.counted_quantity ?? 0) + quantity;
+        
+        if (total < 0) {
+          throw new HttpError(400, `The count of ${item.name} cannot go below zero`);
+        }
+        
+        line = await tx.stocktakeLine.update({
+          where: { id: line.id },
+          data: {
+            counted_quantity: total,
+            expected_quantity: await expectedCountQuantity(tx, item, stocktake.location)
+          }
+        });
+        
+        await tx.stocktakeCount.create({
+          data: {
+            quantity,
+            user_name: req.user.name,
+            line_id: line.id,
+            user_id: req.user.id
+          }
+        });
+        
+        linesByItem.set(item.id, line);
+        countedLines.set(item.id, line);
+      }
+      
+      return [...countedLines.values()];
+    });
+    
+    console.log(`✅ Recorded ${counts.length} count(s) for stocktake ${id}`);
+    
+    const showExpected = hasPermission(req.user.role, 'stocktakes:manage');
+    res.status(201).json(lines.map(line => formatStocktakeLine(line, showExpected)));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Record stocktake counts error:', error);
+    res.status(500).json({ error: 'Failed to record counts' });
+  }
+});
+
+// Finish counting and send a stocktake for review
+app.post('/api/stocktakes/submit', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const existing = await lockStocktake(tx, id, req.user.company_id);
+      
+      if (existing.status !== 'counting') {
+        throw new HttpError(400, 'Only stocktakes being counted can be submitted');
+      }
+      
+      if (!existing.lines.some(line => line.counted_quantity !== null)) {
+        throw new HttpError(400, 'Nothing has been counted yet');
+      }
+      
+      const updated = await tx.stocktake.update({
+        where: { id },
+        data: { status: 'review', submitted_at: new Date() },
+        include: stocktakeInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'stocktake.submit',
+        entityType: 'stocktake',
+        before: existing,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    console.log('✅ Stocktake submitted:', stocktake.name);
+    
+    res.json(formatStocktake(stocktake, true));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Submit stocktake error:', error);
+    res.status(500).json({ error: 'Failed to submit stocktake' });
+  }
+});
+
+// Send a stocktake in review back for recounting
+app.post('/api/stocktakes/reopen', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const existing = await lockStocktake(tx, id, req.user.company_id);
+      
+      if (existing.status !== 'review') {
+        throw new HttpError(400, 'Only stocktakes in review can be reopened');
+      }
+      
+      const updated = await tx.stocktake.update({
+        where: { id },
+        data: { status: 'counting', submitted_at: null },
+        include: stocktakeInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'stocktake.reopen',
+        entityType: 'stocktake',
+        before: existing,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    console.log('✅ Stocktake reopened:', stocktake.name);
+    
+    res.json(formatStocktake(stocktake, true));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Reopen stocktake error:', error);
+    res.status(500).json({ error: 'Failed to reopen stocktake' });
+  }
+});
+
+// Abandon a stocktake without posting anything
+app.post('/api/stocktakes/cancel', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const existing = await lockStocktake(tx, id, req.user.company_id);
+      
+      if (!OPEN_STOCKTAKE_STATUSES.includes(existing.status)) {
+        throw new HttpError(400, `A ${existing.status} stocktake cannot be cancelled`);
+      }
+      
+      const updated = await tx.stocktake.update({
+        where: { id },
+        data: { status: 'cancelled' },
+        include: stocktakeInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'stocktake.cancel',
+        entityType: 'stocktake',
+        before: existing,
+        after: updated
+      });
+      
+      return updated;
+    });
+    
+    console.log('✅ Stocktake cancelled:', stocktake.name);
+    
+    res.json(formatStocktake(stocktake, true));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Cancel stocktake error:', error);
+    res.status(500).json({ error: 'Failed to cancel stocktake' });
+  }
+});
+
+// Approve a reviewed stocktake and post every variance as a
+// count_adjustment activity. Items nobody counted are left as they are.
+// A variance is the count less the stock the system held when the item was
+// last counted, and is added to the stock as it is now: movements made
+// before the count are already in what was counted, and those made since
+// are kept on top of it.
+app.post('/api/stocktakes/approve', authenticateToken, requirePermission('stocktakes:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    const { stocktake, adjusted } = await prisma.$transaction(async (tx) => {
+      const existing = await lockStocktake(tx, id, req.user.company_id);
+      
+      if (existing.status !== 'review') {
+        throw new HttpError(400, 'Only stocktakes in review can be approved');
+      }
+      
+      if (existing.scope === 'location' && !existing.location) {
+        throw new HttpError(400, 'The counted location has been deleted; cancel this stocktake');
+      }
+      
+      const location = existing.location;
+      const counted = existing.lines.filter(line => line.counted_quantity !== null);
+      
+      // Lock items in a fixed order so concurrent postings cannot deadlock
+      const variances = counted
+        .filter(line => line.counted_quantity !== line.expected_quantity)
+        .sort((a, b) => a.item_id.localeCompare(b.item_id));
+      
+      let adjusted = 0;
+      for (const line of variances) {
+        await tx.$queryRaw`SELECT id FROM items WHERE id = ${line.item_id} FOR UPDATE`;
+        const item = await tx.item.findFirst({
+          where: { id: line.item_id, company_id: req.user.company_id, deleted_at: null }
+        });
+        
+        // Items deleted since they were counted have no stock to correct
+        if (!item) {
+          continue;
+        }
+        
+        // Stock taken out since the count may already account for some of
+        // a shortfall; never take the counted stock below zero
+        const variance = Math.max(
+          line.counted_quantity - line.expected_quantity,
+          -(await expectedCountQuantity(tx, item, location))
+        );
+        if (variance === 0) {
+          continue;
+        }
+        
+        const updated = await applyCountVariance(tx, item, variance, location);
+        
+        await recordAudit(tx, req, {
+          action: 'item.count',
+          entityType: 'item',
+          before: item,
+          after: updated,
+          metadata: {
+            stocktake_id: existing.id,
+            stocktake_name: existing.name,
+            expected_quantity: line.expected_quantity,
+            counted_quantity: line.counted_quantity,
+            location_id: location?.id ?? null,
+            location_name: location?.name ?? null
+          }
+        });
+        
+        await tx.activity.create({
+          data: {
+            type: 'count_adjustment',
+            quantity: variance,
+            old_quantity: item.quantity,
+            item_name: item.name,
+            user_name: req.user.name,
+            location_name: location?.name,
+            company_id: req.user.company_id,
+            item_id: item.id,
+            user_id: req.user.id,
+            location_id: location?.id,
+            stocktake_id: existing.id
+          }
+        });
+        
+        await updateStockAlerts(tx, updated);
+        
+        await queueStockEvents(tx, item, updated, {
+          reason: 'count_adjustment',
+          stocktake_id: existing.id,
+          location_id: location?.id ?? null,
+          location_name: location?.name ?? null
+        });
+        
+        adjusted++;
+      }
+      
+      const postedAt = new Date();
+      
+      await tx.item.updateMany({
+        where: { id: { in: counted.map(line => line.item_id) }, company_id: req.user.company_id },
+        data: { last_counted_at: postedAt }
+      });
+      
+      const updated = await tx.stocktake.update({
+        where: { id },
+        data: {
+          status: 'posted',
+          posted_at: postedAt,
+          approved_by_name: req.user.name
+        },
+        include: stocktakeInclude
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'stocktake.approve',
+        entityType: 'stocktake',
+        before: existing,
+        after: updated,
+        metadata: {
+          counted: counted.length,
+          uncounted: existing.lines.length - counted.length,
+          adjusted
+        }
+      });
+      
+      return { stocktake: updated, adjusted };
+    });
+    
+    console.log(`✅ Stocktake posted: ${stocktake.name} (${adjusted} adjustment(s))`);
+    
+    res.json({ ...formatStocktake(stocktake, true), adjusted_count: adjusted });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Approve stocktake error:', error);
+    res.status(500).json({ error: 'Failed to approve stocktake' });
+  }
+});
+
+// SYNC ENDPOINTS
+
+// Apply stock movements recorded offline: { operations: [...] } as
+// described at applySyncedMovement, in the order given. Each is applied on
+// its own, so one conflict does not hold back the rest; movements already
+// applied under the same clientId come back as duplicates.
+app.post('/api/sync/movements', authenticateToken, requirePermission('stock:adjust'), async (req, res) => {
+  try {
+    const { operations } = req.body;
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'operations must be a non-empty array' });
+    }
+    
+    if (operations.length > SYNC_MAX_OPERATIONS) {
+      return res.status(400).json({ error: `At most ${SYNC_MAX_OPERATIONS} operations can be synced at once` });
+    }
+    
+    const results = [];
+    for (const operation of operations) {
+      results.push(await applySyncedMovement(req, operation || {}));
+    }
+    
+    const count = (status) => results.filter(result => result.status === status).length;
+    
+    console.log(`✅ Synced ${operations.length} offline movement(s) for ${req.user.email}`);
+    
+    res.json({
+      applied: count('applied'),
+      duplicates: count('duplicate'),
+      conflicts: count('conflict'),
+      results
+    });
+  } catch (error) {
+    console.error('❌ Sync movements error:', error);
+    res.status(500).json({ error: 'Failed to sync movements' });
+  }
+});
+
+// ACTIVITIES ENDPOINTS
+
+// Get activities, newest first, 100 at a time (?limit= up to 500) with the
+// next page's cursor in X-Next-Cursor. Filters: ?type=, ?userId=, ?itemId=,
+// ?from=&to= dates.
+app.get('/api/activities', authenticateToken, requirePermission('activities:view'), async (req, res) => {
+  try {
+    const { type, userId, itemId, from, to } = req.query;
+    
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 100
+    });
+    
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    const createdAt = parseDateRange(from, to);
+    if (!createdAt) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    const activities = await prisma.activity.findMany({
+      where: {
+        company_id: req.user.company_id,
+        created_at: createdAt,
+        ...(type && { type }),
+        ...(userId && { user_id: userId }),
+        ...(itemId && { item_id: itemId })
+      },
+      ...page.args
+    });
+    
+    const formattedActivities = pageRows(res, activities, page.limit).map(activity => ({
+      id: activity.id,
+      type: activity.type,
+      quantity: activity.quantity,
+      old_quantity: activity.old_quantity,
+      item_name: activity.item_name,
+      user_name: activity.user_name,
+      location_name: activity.location_name,
+      reason: activity.reason,
+      purchase_order_id: activity.purchase_order_id,
+      created_at: activity.created_at.toISOString()
+    }));
+    
+    res.json(formattedActivities);
+  } catch (error) {
+    console.error('❌ Get activities error:', error);
+    res.status(500).json({ error: 'Failed to fetch activities' });
+  }
+});
+
+// Export the full activity history as CSV (default) or XLSX with
+// ?format=xlsx, optionally limited to a ?from=&to= date range
+app.get('/api/activities/export', authenticateToken, requirePermission('data:export'), async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    
+    const createdAt = parseDateRange(from, to);
+    if (!createdAt) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    const activities = await prisma.activity.findMany({
+      where: {
+        company_id: req.user.company_id,
+        created_at: createdAt
+      },
+      orderBy: { created_at: 'asc' }
+    });
+    
+    await sendSpreadsheet(res, {
+      filename: `activities-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Activities',
+      format,
+      columns: [
+        { header: 'date', key: 'created_at', width: 24 },
+        { header: 'type', key: 'type', width: 14 },
+        { header: 'reason', key: 'reason', width: 18 },
+        { header: 'item', key: 'item_name', width: 32 },
+        { header: 'quantity', key: 'quantity', width: 10 },
+        { header: 'old_quantity', key: 'old_quantity', width: 12 },
+        { header: 'location', key: 'location_name', width: 20 },
+        { header: 'user', key: 'user_name', width: 24 }
+      ],
+      records: activities.map(activity => ({
+        ...activity,
+        created_at: activity.created_at.toISOString()
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Export activities error:', error);
+    res.status(500).json({ error: 'Failed to export activities' });
+  }
+});
+
+// AUDIT LOG ENDPOINTS
+
+// Get the audit log, newest first, 100 entries at a time (?limit= up to
+// 500) with the next page's cursor in X-Next-Cursor. Filters: ?entityType=,
+// ?entityId=, ?actorId=, ?action=, ?from=&to= dates.
+app.get('/api/audit-log', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { entityType, entityId, actorId, action, from, to } = req.query;
+    
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 100
+    });
+    
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    const createdAt = parseDateRange(from, to);
+    if (!createdAt) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    const entries = await prisma.auditLog.findMany({
+      where: {
+        company_id: req.user.company_id,
+        created_at: createdAt,
+        ...(entityType && { entity_type: entityType }),
+        ...(entityId && { entity_id: entityId }),
+        ...(actorId && { actor_id: actorId }),
+        ...(action && { action })
+      },
+      ...page.args
+    });
+    
+    res.json(pageRows(res, entries, page.limit).map(formatAuditEntry));
+  } catch (error) {
+    console.error('❌ Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// USERS ENDPOINTS
+
+// Get users
+app.get('/api/users', authenticateToken, requirePermission('users:view'), async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: { company_id: req.user.company_id, deleted_at: null },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isActive: true,
+        last_login: true,
+        totp_enabled_at: true,
+        created_at: true
+      },
+      orderBy: { created_at: 'asc' }
+    });
+    
+    res.json(users.map(formatTeamMember));
+  } catch (error) {
+    console.error('❌ Get users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Invite a user by email. Their account is created once they accept the
+// invitation and choose a password (POST /api/invitations/accept).
+app.post('/api/users/invite', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+    
+    if (!email || !name || !role) {
+      return res.status(400).json({ error: 'Email, name, and role are required' });
+    }
+    
+    const userRole = normalizeRole(role);
+    
+    if (!userRole) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    if (!canAssignRole(req.user.role, userRole)) {
+      return res.status(403).json({ error: `You cannot invite users with the ${userRole} role` });
+    }
+    
+    const normalizedEmail = email.toLowerCase().trim();
+    
+    // Check if user already exists
+    const existingUser = await prisma.user.findUnique({
+      where: { email: normalizedEmail }
+    });
+    
+    if (existingUser) {
+      return res.status(400).json({
+        error: existingUser.deleted_at && existingUser.company_id === req.user.company_id
+          ? 'This user was removed and is in the trash; restore them instead'
+          : 'User with this email already exists'
+      });
+    }
+    
+    const pendingInvitation = await prisma.invitation.findFirst({
+      where: {
+        company_id: req.user.company_id,
+        email: normalizedEmail,
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { gt: new Date() }
+      }
+    });
+    
+    if (pendingInvitation) {
+      return res.status(400).json({ error: 'This email already has a pending invitation; resend it instead' });
+    }
+    
+    const { token, tokenHash } = createSecretToken();
+    
+    const invitation = await prisma.$transaction(async (tx) => {
+      // A pending invitation holds a seat, so the limit is checked here
+      await assertSeatAvailable(tx, req.user.company);
+      
+      const created = await tx.invitation.create({
+        data: {
+          email: normalizedEmail,
+          name: name.trim(),
+          role: userRole,
+          token_hash: tokenHash,
+          expires_at: invitationExpiry(),
+          company_id: req.user.company_id,
+          invited_by_id: req.user.id
+        },
+        include: { invited_by: { select: { name: true } } }
+      });
+      
+      await queueWebhookEvent(tx, req.user.company_id, 'user.invited', { invitation: formatInvitation(created) });
+      
+      return created;
+    });
+    
+    const delivery = await sendInvitationEmail(invitation, token, req.user);
+    
+    console.log('✅ User invited:', invitation.email);
+    
+    res.json(invitationSentResponse(invitation, delivery));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Invite user error:', error);
+    res.status(500).json({ error: 'Failed to invite user' });
+  }
+});
+
+// Delete user
+app.delete('/api/users/delete', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Cannot delete yourself' });
+    }
+    
+    const userToDelete = await prisma.user.findFirst({
+      where: { 
+        id: userId,
+        company_id: req.user.company_id,
+        deleted_at: null
+      }
+    });
+    
+    if (!userToDelete) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!canManageRole(req.user.role, userToDelete.role)) {
+      return res.status(403).json({ error: 'You cannot remove a user with a higher role than yours' });
+    }
+    
+    if (normalizeRole(userToDelete.role) === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership before removing the owner' });
+    }
+    
+    const deletedUser = await prisma.$transaction(async (tx) => {
+      if (isAdminRole(userToDelete.role)) {
+        await assertKeepsAdmin(tx, req.user.company_id, userToDelete.id);
+      }
+      
+      // Removed users go to the trash: they cannot sign in, do not hold a
+      // seat and can be restored until purged
+      const trashed = await tx.user.update({
+        where: { id: userId },
+        data: { deleted_at: new Date(), isActive: false }
+      });
+      
+      await revokeSessions(tx, { user_id: userId }, 'deleted');
+      
+      await recordAudit(tx, req, { action: 'user.delete', entityType: 'user', before: userToDelete, after: trashed });
+      
+      return trashed;
+    });
+    
+    console.log('✅ User moved to trash:', userToDelete.email);
+    
+    res.json({ success: true, purge_at: trashPurgeDate(deletedUser.deleted_at).toISOString() });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Delete user error:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Removed users in the trash, most recently removed first
+app.get('/api/users/trash', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: {
+        company_id: req.user.company_id,
+        deleted_at: { not: null }
+      },
+      orderBy: { deleted_at: 'desc' }
+    });
+    
+    res.json(users.map(user => formatTrashEntry(user, {
+      email: user.email,
+      role: normalizeRole(user.role)
+    })));
+  } catch (error) {
+    console.error('❌ Get user trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore a removed user from the trash. They come back active, so they
+// need a free seat, and sign in with their old password.
+app.post('/api/users/restore', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    const restored = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+      
+      const member = await tx.user.findFirst({
+        where: { id: userId, company_id: req.user.company_id }
+      });
+      
+      if (!member) {
+        throw new HttpError(404, 'User not found');
+      }
+      
+      if (!member.deleted_at) {
+        throw new HttpError(400, 'User is not in the trash');
+      }
+      
+      if (!canManageRole(req.user.role, member.role)) {
+        throw new HttpError(403, 'You cannot restore a user with a higher role than yours');
+      }
+      
+      await assertSeatAvailable(tx, req.user.company);
+      
+      const updated = await tx.user.update({
+        where: { id: member.id },
+        data: { deleted_at: null, isActive: true }
+      });
+      
+      await recordAudit(tx, req, { action: 'user.restore', entityType: 'user', before: member, after: updated });
+      
+      return updated;
+    });
+    
+    console.log('✅ User restored:', restored.email);
+    
+    res.json(formatTeamMember(restored));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Restore user error:', error);
+    res.status(500).json({ error: 'Failed to restore user' });
+  }
+});
+
+// Update a team member: { userId, name, role, isActive }, each optional.
+// Deactivated users are signed out everywhere and can no longer sign in;
+// the owner's role only changes through POST /api/users/transfer-ownership.
+app.put('/api/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId, name, role, isActive } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    const member = await prisma.user.findFirst({
+      where: { id: userId, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const isSelf = member.id === req.user.id;
+    
+    if (!isSelf && !canManageRole(req.user.role, member.role)) {
+      return res.status(403).json({ error: 'You cannot change a user with a higher role than yours' });
+    }
+    
+    const data = {};
+    
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      data.name = name.trim();
+    }
+    
+    if (role !== undefined) {
+      const newRole = normalizeRole(role);
+      
+      if (!newRole) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      
+      if (isSelf) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+      
+      if (normalizeRole(member.role) === 'owner') {
+        return res.status(400).json({ error: 'Transfer ownership to change the owner\'s role' });
+      }
+      
+      if (!canAssignRole(req.user.role, newRole)) {
+        return res.status(403).json({ error: `You cannot give users the ${newRole} role` });
+      }
+      
+      data.role = newRole;
+    }
+    
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be true or false' });
+      }
+      
+      if (isSelf && !isActive) {
+        return res.status(400).json({ error: 'You cannot deactivate yourself' });
+      }
+      
+      if (!isActive && normalizeRole(member.role) === 'owner') {
+        return res.status(400).json({ error: 'Transfer ownership before deactivating the owner' });
+      }
+      
+      data.isActive = isActive;
+    }
+    
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      const losesAdmin = isAdminRole(member.role) &&
+        (data.isActive === false || (data.role && !isAdminRole(data.role)));
+      
+      if (losesAdmin) {
+        await assertKeepsAdmin(tx, req.user.company_id, member.id);
+      }
+      
+      if (data.isActive && !member.isActive) {
+        await assertSeatAvailable(tx, req.user.company);
+      }
+      
+      if (data.isActive === false) {
+        await revokeSessions(tx, { user_id: member.id }, 'deactivated');
+      }
+      
+      const updated = await tx.user.update({
+        where: { id: member.id },
+        data
+      });
+      
+      const action = data.isActive === false && member.isActive ? 'user.deactivate'
+        : data.isActive && !member.isActive ? 'user.reactivate'
+        : 'user.update';
+      await recordAudit(tx, req, { action, entityType: 'user', before: member, after: updated });
+      
+      return updated;
+    });
+    
+    console.log('✅ User updated:', updatedUser.email);
+    
+    res.json(formatTeamMember(updatedUser));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Hand the company over to another active member: { userId, password }.
+// Only the owner can do this; they stay on as an admin.
+app.post('/api/users/transfer-ownership', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId, password } = req.body;
+    
+    if (!userId || !password) {
+      return res.status(400).json({ error: 'User ID and your password are required' });
+    }
+    
+    if (normalizeRole(req.user.role) !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can transfer ownership' });
+    }
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You already own this company' });
+    }
+    
+    const validPassword = await bcrypt.compare(password, req.user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+    
+    const newOwner = await prisma.$transaction(async (tx) => {
+      await lockCompany(tx, req.user.company_id);
+      
+      const member = await tx.user.findFirst({
+        where: { id: userId, company_id: req.user.company_id, deleted_at: null }
+      });
+      
+      if (!member) {
+        throw new HttpError(404, 'User not found');
+      }
+      
+      if (!member.isActive) {
+        throw new HttpError(400, 'Ownership can only go to an active user');
+      }
+      
+      const previousOwner = await tx.user.update({
+        where: { id: req.user.id },
+        data: { role: 'admin' }
+      });
+      
+      const owner = await tx.user.update({
+        where: { id: member.id },
+        data: { role: 'owner' }
+      });
+      
+      await recordAudit(tx, req, { action: 'user.transfer_ownership', entityType: 'user', before: req.user, after: previousOwner });
+      await recordAudit(tx, req, { action: 'user.transfer_ownership', entityType: 'user', before: member, after: owner });
+      
+      return owner;
+    });
+    
+    console.log(`✅ Ownership of ${req.user.company.name} transferred to:`, newOwner.email);
+    
+    res.json({ success: true, owner: formatTeamMember(newOwner) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Transfer ownership error:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+});
+
+// Get a team member's active sessions
+app.get('/api/users/sessions', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.query;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    const member = await prisma.user.findFirst({
+      where: { id: userId, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const sessions = await prisma.session.findMany({
+      where: { user_id: member.id, ...activeSessionWhere() },
+      orderBy: { last_used_at: 'desc' }
+    });
+    
+    res.json(sessions.map(session => formatSession(session, req.authSession.id)));
+  } catch (error) {
+    console.error('❌ Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign a team member out: { userId, sessionId } ends one session, without
+// sessionId every session of the user ends
+app.delete('/api/users/sessions', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId, sessionId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    const member = await prisma.user.findFirst({
+      where: { id: userId, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!member) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (member.id !== req.user.id && !canManageRole(req.user.role, member.role)) {
+      return res.status(403).json({ error: 'You cannot sign out a user with a higher role than yours' });
+    }
+    
+    const revoked = await revokeSessions(
+      prisma,
+      sessionId ? { id: sessionId, user_id: member.id } : { user_id: member.id },
+      'revoked_by_admin'
+    );
+    
+    if (sessionId && revoked.count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    console.log(`✅ Revoked ${revoked.count} session(s) of:`, member.email);
+    
+    res.json({ success: true, revoked: revoked.count });
+  } catch (error) {
+    console.error('❌ Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// INVITATIONS ENDPOINTS
+
+// Get the company's invitations, newest first, with their status
+// (pending, expired, accepted or revoked)
+app.get('/api/invitations', authenticateToken, requirePermission('users:view'), async (req, res) => {
+  try {
+    const invitations = await prisma.invitation.findMany({
+      where: { company_id: req.user.company_id },
+      include: { invited_by: { select: { name: true } } },
+      orderBy: { created_at: 'desc' }
+    });
+    
+    res.json(invitations.map(formatInvitation));
+  } catch (error) {
+    console.error('❌ Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Send an invitation again with a new link and a fresh expiry; the link
+// from earlier emails stops working
+app.post('/api/invitations/resend', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'Invitation ID is required' });
+    }
+    
+    const invitation = await prisma.invitation.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    
+    const status = invitationStatus(invitation);
+    if (status === 'accepted' || status === 'revoked') {
+      return res.status(400).json({ error: `Cannot resend an invitation that was ${status}` });
+    }
+    
+    const { token, tokenHash } = createSecretToken();
+    
+    const updatedInvitation = await prisma.$transaction(async (tx) => {
+      // An expired invitation gave up its seat; resending takes one again
+      if (status === 'expired') {
+        await assertSeatAvailable(tx, req.user.company);
+      }
+      
+      return tx.invitation.update({
+        where: { id },
+        data: {
+          token_hash: tokenHash,
+          expires_at: invitationExpiry(),
+          sent_count: { increment: 1 },
+          last_sent_at: new Date()
+        },
+        include: { invited_by: { select: { name: true } } }
+      });
+    });
+    
+    const delivery = await sendInvitationEmail(updatedInvitation, token, req.user);
+    
+    console.log('✅ Invitation resent:', updatedInvitation.email);
+    
+    res.json(invitationSentResponse(updatedInvitation, delivery));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('❌ Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+// Revoke an invitation so its link can no longer be used
+app.post('/api/invitations/revoke', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        companyId: user.company_id,
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    console.log('✅ Login successful for:', user.name);
+    if (!id) {
+      return res.status(400).json({ error: 'Invitation ID is required' });
+    }
     
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        created_at: user.created_at.toISOString()
-      },
-      company: {
-        id: user.company.id,
-        name: user.company.name,
-        code: user.company.code,
-        subscription_tier: user.company.subscription_tier,
-        max_users: user.company.max_users
+    const revoked = await prisma.invitation.updateMany({
+      where: {
+        id,
+        company_id: req.user.company_id,
+        accepted_at: null,
+        revoked_at: null
       },
-      token
+      data: { revoked_at: new Date() }
     });
     
+    if (revoked.count === 0) {
+      const invitation = await prisma.invitation.findFirst({
+        where: { id, company_id: req.user.company_id }
+      });
+      
+      return invitation
+        ? res.status(400).json({ error: `Invitation was already ${invitationStatus(invitation)}` })
+        : res.status(404).json({ error: 'Invitation not found' });
+    }
+    
+    console.log('✅ Invitation revoked:', id);
+    
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('❌ Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
   }
 });
 
-// Register Company
-app.post('/api/companies/register', async (req, res) => {
+// Look up an invitation by its emailed token, for the accept screen
+app.get('/api/invitations/lookup', async (req, res) => {
   try {
-    const { companyName, adminEmail, adminPassword, adminName } = req.body;
+    const { token } = req.query;
     
-    // Validation
-    if (!companyName || !adminEmail || !adminPassword || !adminName) {
-      return res.status(400).json({ error: 'All fields are required' });
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
     }
     
-    if (adminPassword.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
+    const invitation = await prisma.invitation.findUnique({
+      where: { token_hash: hashToken(token) },
+      include: { company: { select: { name: true } } }
+    });
     
-    const email = adminEmail.toLowerCase().trim();
+    if (!invitation || invitationStatus(invitation) !== 'pending') {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
     
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      company_name: invitation.company.name,
+      expires_at: invitation.expires_at.toISOString()
     });
+  } catch (error) {
+    console.error('❌ Lookup invitation error:', error);
+    res.status(500).json({ error: 'Failed to look up invitation' });
+  }
+});
+
+// Accept an invitation: { token, password, name }. Creates the account with
+// the invited role and signs the new user in. Each link works once.
+app.post('/api/invitations/accept', async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
     
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Invitation token and password are required' });
     }
     
-    // Hash password
-    const hashedPassword = await bcrypt.hash(adminPassword, 12);
+    const invitation = await prisma.invitation.findUnique({
+      where: { token_hash: hashToken(token) },
+      include: { company: true }
+    });
     
-    // Generate company code
-    const companyCode = companyName.substring(0, 3).toUpperCase() + Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    if (!invitation || invitationStatus(invitation) !== 'pending') {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
     
-    // Check if company code exists
-    const existingCompany = await prisma.company.findUnique({
-      where: { code: companyCode }
-    });
+    const passwordError = validatePassword(password, passwordPolicy, { email: invitation.email });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
     
-    const finalCompanyCode = existingCompany 
-      ? companyCode + Math.floor(Math.random() * 100)
-      : companyCode;
+    const hashedPassword = await bcrypt.hash(password, 12);
     
-    // Create company and admin user in transaction
-    const result = await prisma.$transaction(async (prisma) => {
-      const company = await prisma.company.create({
-        data: {
-          name: companyName.trim(),
-          code: finalCompanyCode,
-          subscription_tier: 'trial',
-          max_users: 50
-        }
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the invitation first; a second accept of the same link (or a
+      // resend or revoke in the meantime) leaves nothing to claim
+      const claimed = await tx.invitation.updateMany({
+        where: {
+          id: invitation.id,
+          token_hash: invitation.token_hash,
+          accepted_at: null,
+          revoked_at: null
+        },
+        data: { accepted_at: new Date() }
       });
       
-      const user = await prisma.user.create({
+      if (claimed.count === 0) {
+        throw new HttpError(404, 'This invitation is invalid or has expired');
+      }
+      
+      const existingUser = await tx.user.findUnique({
+        where: { email: invitation.email }
+      });
+      
+      if (existingUser) {
+        throw new HttpError(409, 'An account with this email already exists');
+      }
+      
+      // The claim above released the seat this invitation held; taking it
+      // back fails only if the limit was lowered since it was sent
+      await assertSeatAvailable(tx, invitation.company);
+      
+      const user = await tx.user.create({
         data: {
-          email,
-          name: adminName.trim(),
+          email: invitation.email,
+          name: (typeof name === 'string' && name.trim()) || invitation.name,
           password: hashedPassword,
-          role: 'admin',
-          company_id: company.id
+          role: invitation.role,
+          company_id: invitation.company_id,
+          isActive: true,
+          last_login: new Date()
         }
       });
       
-      return { company, user };
+      await tx.invitation.update({
+        where: { id: invitation.id },
+        data: { user_id: user.id }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'user.create',
+        entityType: 'user',
+        after: user,
+        actor: user,
+        metadata: { invitation_id: invitation.id, invited_by_id: invitation.invited_by_id }
+      });
+      
+      return { user, company: invitation.company };
     });
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        userId: result.user.id, 
-        companyId: result.company.id,
-        role: result.user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    console.log('✅ Invitation accepted:', result.user.email);
     
-    console.log('✅ Company registered:', result.company.name);
+    res.status(201).json(await authPayload(result.user, result.company, req));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    console.error('❌ Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Check the mail transport, so the apps can warn that invitations will
+// have to be shared by hand
+app.post('/api/test/email', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const verifyError = mailer.configured ? await mailer.verify() : 'Email delivery is not configured';
     
-    res.status(201).json({
+    res.json({
       success: true,
-      user: {
-        id: result.user.id,
-        email: result.user.email,
-        name: result.user.name,
-        role: result.user.role,
-        created_at: result.user.created_at.toISOString()
-      },
-      company: {
-        id: result.company.id,
-        name: result.company.name,
-        code: result.company.code,
-        subscription_tier: result.company.subscription_tier,
-        max_users: result.company.max_users
-      },
-      token
+      emailConfigured: !verifyError,
+      transport: mailer.transport,
+      message: verifyError || `Email is sent via ${mailer.transport}`
     });
-    
   } catch (error) {
-    console.error('❌ Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('❌ Test email error:', error);
+    res.status(500).json({ error: 'Failed to check email configuration' });
   }
 });
 
-// ITEMS ENDPOINTS
+// NOTIFICATIONS ENDPOINTS
 
-// Get all items
-app.get('/api/items', authenticateToken, async (req, res) => {
+// The signed-in user's notifications, newest first. ?unread=true leaves out
+// read ones; X-Unread-Count always has the number of unread notifications.
+app.get('/api/notifications', authenticateToken, async (req, res) => {
   try {
-    const items = await prisma.item.findMany({
-      where: { company_id: req.user.company_id },
-      orderBy: { created_at: 'desc' }
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 50
     });
     
-    const formattedItems = items.map(item => ({
-      id: item.id,
-      name: item.name,
-      quantity: item.quantity,
-      barcode: item.barcode,
-      updated_at: item.updated_at.toISOString()
-    }));
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    const [notifications, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where: {
+          user_id: req.user.id,
+          ...(req.query.unread === 'true' && { read_at: null })
+        },
+        include: { stock_alert: { select: { item_id: true } } },
+        ...page.args
+      }),
+      prisma.notification.count({
+        where: { user_id: req.user.id, read_at: null }
+      })
+    ]);
     
-    res.json(formattedItems);
+    res.set('X-Unread-Count', String(unreadCount));
+    res.json(pageRows(res, notifications, page.limit).map(formatNotification));
   } catch (error) {
-    console.error('❌ Get items error:', error);
-    res.status(500).json({ error: 'Failed to fetch items' });
+    console.error('❌ Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
   }
 });
 
-// Create item
-app.post('/api/items', authenticateToken, async (req, res) => {
+// Mark notifications read: { ids } or { all: true }
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
   try {
-    const { name, quantity, barcode } = req.body;
-    
-    if (!name || !barcode) {
-      return res.status(400).json({ error: 'Name and barcode are required' });
-    }
-    
-    // Check if barcode already exists
-    const existingItem = await prisma.item.findUnique({
-      where: { barcode }
-    });
+    const { ids, all } = req.body;
     
-    if (existingItem) {
-      return res.status(400).json({ error: 'Barcode already exists' });
+    if (all !== true && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ error: 'Provide ids or all: true' });
     }
     
-    const item = await prisma.item.create({
-      data: {
-        name: name.trim(),
-        quantity: parseInt(quantity) || 0,
-        barcode: barcode.trim(),
-        company_id: req.user.company_id
-      }
+    const updated = await prisma.notification.updateMany({
+      where: {
+        user_id: req.user.id,
+        read_at: null,
+        ...(all !== true && { id: { in: ids.map(String) } })
+      },
+      data: { read_at: new Date() }
     });
     
-    // Log activity
-    await prisma.activity.create({
-      data: {
-        type: 'created',
-        quantity: item.quantity,
-        item_name: item.name,
-        user_name: req.user.name,
-        company_id: req.user.company_id,
-        item_id: item.id,
-        user_id: req.user.id
-      }
+    res.json({ success: true, updated: updated.count });
+  } catch (error) {
+    console.error('❌ Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+// How the signed-in user hears about each event
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await prisma.notificationPreference.findMany({
+      where: { user_id: req.user.id }
     });
     
-    console.log('✅ Item created:', item.name);
-    
-    res.status(201).json({
-      id: item.id,
-      name: item.name,
-      quantity: item.quantity,
-      barcode: item.barcode,
-      updated_at: item.updated_at.toISOString()
-    });
+    res.json(Object.entries(NOTIFICATION_EVENTS).map(([event, { description }]) => ({
+      event,
+      description,
+      ...notificationChannels(req.user, event, preferences)
+    })));
   } catch (error) {
-    console.error('❌ Create item error:', error);
-    res.status(500).json({ error: 'Failed to create item' });
+    console.error('❌ Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
   }
 });
 
-// Update item quantity
-app.put('/api/items', authenticateToken, async (req, res) => {
+// Change preferences: { preferences: [{ event, inApp, email }] }. Events
+// left out keep their current setting.
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
   try {
-    const { id, quantity } = req.body;
+    const { preferences } = req.body;
     
-    if (!id || quantity === undefined) {
-      return res.status(400).json({ error: 'ID and quantity are required' });
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({ error: 'preferences must be a non-empty array' });
     }
     
-    const existingItem = await prisma.item.findFirst({
-      where: { 
-        id,
-        company_id: req.user.company_id 
+    for (const { event, inApp, email } of preferences) {
+      if (!NOTIFICATION_EVENTS[event]) {
+        return res.status(400).json({ error: `Unknown event: ${event}` });
+      }
+      if (typeof inApp !== 'boolean' || typeof email !== 'boolean') {
+        return res.status(400).json({ error: 'inApp and email must be true or false' });
       }
-    });
-    
-    if (!existingItem) {
-      return res.status(404).json({ error: 'Item not found' });
     }
     
-    const newQuantity = Math.max(0, parseInt(quantity));
+    await prisma.$transaction(preferences.map(({ event, inApp, email }) =>
+      prisma.notificationPreference.upsert({
+        where: { user_id_event: { user_id: req.user.id, event } },
+        create: { event, in_app: inApp, email, user_id: req.user.id },
+        update: { in_app: inApp, email }
+      })));
     
-    const item = await prisma.item.update({
-      where: { id },
-      data: { quantity: newQuantity }
+    const saved = await prisma.notificationPreference.findMany({
+      where: { user_id: req.user.id }
     });
     
-    // Log activity
-    const change = newQuantity - existingItem.quantity;
-    const activityType = change > 0 ? 'added' : 'removed';
+    console.log('✅ Notification preferences updated:', req.user.email);
     
-    await prisma.activity.create({
-      data: {
-        type: activityType,
-        quantity: Math.abs(change),
-        old_quantity: existingItem.quantity,
-        item_name: item.name,
-        user_name: req.user.name,
-        company_id: req.user.company_id,
-        item_id: item.id,
-        user_id: req.user.id
-      }
-    });
-    
-    res.json({
-      id: item.id,
-      name: item.name,
-      quantity: item.quantity,
-      barcode: item.barcode,
-      updated_at: item.updated_at.toISOString()
-    });
+    res.json(Object.entries(NOTIFICATION_EVENTS).map(([event, { description }]) => ({
+      event,
+      description,
+      ...notificationChannels(req.user, event, saved)
+    })));
   } catch (error) {
-    console.error('❌ Update item error:', error);
-    res.status(500).json({ error: 'Failed to update item' });
+    console.error('❌ Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
   }
 });
 
-// Delete item
-app.delete('/api/items', authenticateToken, async (req, res) => {
+// Stock alerts, newest first. ?status=open (default), resolved or all;
+// ?itemId narrows to one item.
+app.get('/api/stock-alerts', authenticateToken, requirePermission('items:view'), async (req, res) => {
   try {
-    const { id } = req.body;
+    const { status = 'open', itemId } = req.query;
     
-    if (!id) {
-      return res.status(400).json({ error: 'ID is required' });
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, resolved or all' });
     }
     
-    const item = await prisma.item.findFirst({
-      where: { 
-        id,
-        company_id: req.user.company_id 
-      }
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 100
     });
     
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
     }
     
-    // Log activity before deletion
-    await prisma.activity.create({
-      data: {
-        type: 'deleted',
-        quantity: item.quantity,
-        item_name: item.name,
-        user_name: req.user.name,
+    const alerts = await prisma.stockAlert.findMany({
+      where: {
         company_id: req.user.company_id,
-        user_id: req.user.id
-      }
+        ...(status === 'open' && { resolved_at: null }),
+        ...(status === 'resolved' && { resolved_at: { not: null } }),
+        ...(itemId && { item_id: itemId })
+      },
+      include: { item: true },
+      ...page.args
     });
     
-    await prisma.item.delete({
-      where: { id }
+    res.json(pageRows(res, alerts, page.limit).map(formatStockAlert));
+  } catch (error) {
+    console.error('❌ Get stock alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch stock alerts' });
+  }
+});
+
+// WEBHOOKS ENDPOINTS
+
+// Events webhooks can subscribe to, with what each means
+app.get('/api/webhooks/events', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description })));
+});
+
+// Get the company's webhooks
+app.get('/api/webhooks', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: { company_id: req.user.company_id },
+      orderBy: { created_at: 'asc' }
     });
     
-    console.log('✅ Item deleted:', item.name);
-    
-    res.json({ success: true });
+    res.json(webhooks.map(formatWebhook));
   } catch (error) {
-    console.error('❌ Delete item error:', error);
-    res.status(500).json({ error: 'Failed to delete item' });
+    console.error('❌ Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
   }
 });
 
-// Search item by barcode
-app.get('/api/items/search', authenticateToken, async (req, res) => {
+// Add a webhook: { url, events, description }. The signing secret is only
+// returned here and when it is rotated.
+app.post('/api/webhooks', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const { barcode } = req.query;
+    const input = await parseWebhookInput(req.body);
     
-    if (!barcode) {
-      return res.status(400).json({ error: 'Barcode parameter is required' });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
     }
     
-    const item = await prisma.item.findFirst({
-      where: { 
-        barcode: barcode.trim(),
-        company_id: req.user.company_id
-      }
+    const secret = generateWebhookSecret();
+    
+    const webhook = await prisma.$transaction(async (tx) => {
+      const created = await tx.webhook.create({
+        data: {
+          ...input.data,
+          secret: encryptSecret(secret, SECRETS_KEY),
+          company_id: req.user.company_id
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'webhook.create',
+        entityType: 'webhook',
+        after: created,
+        metadata: { events: created.events }
+      });
+      
+      return created;
     });
     
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
+    console.log('✅ Webhook created:', webhook.url);
     
-    res.json({
-      id: item.id,
-      name: item.name,
-      quantity: item.quantity,
-      barcode: item.barcode,
-      updated_at: item.updated_at.toISOString()
-    });
+    res.status(201).json({ ...formatWebhook(webhook), secret });
   } catch (error) {
-    console.error('❌ Search item error:', error);
-    res.status(500).json({ error: 'Failed to search item' });
+    console.error('❌ Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
   }
 });
 
-// ACTIVITIES ENDPOINTS
-
-// Get activities
-app.get('/api/activities', authenticateToken, async (req, res) => {
+// Update a webhook: { id, url, events, description, isActive }, each but id
+// optional. Deliveries for a paused webhook wait until it is active again.
+app.put('/api/webhooks', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const activities = await prisma.activity.findMany({
-      where: { company_id: req.user.company_id },
-      orderBy: { created_at: 'desc' },
-      take: 100
+    const { id, isActive } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
+    }
+    
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+    
+    const existing = await prisma.webhook.findFirst({
+      where: { id, company_id: req.user.company_id }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const input = await parseWebhookInput(req.body, existing);
+    
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    
+    const webhook = await prisma.$transaction(async (tx) => {
+      const updated = await tx.webhook.update({
+        where: { id },
+        data: {
+          ...input.data,
+          ...(isActive !== undefined && { is_active: isActive })
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'webhook.update',
+        entityType: 'webhook',
+        before: existing,
+        after: updated,
+        metadata: { events: updated.events }
+      });
+      
+      return updated;
     });
     
-    const formattedActivities = activities.map(activity => ({
-      id: activity.id,
-      type: activity.type,
-      quantity: activity.quantity,
-      old_quantity: activity.old_quantity,
-      item_name: activity.item_name,
-      user_name: activity.user_name,
-      created_at: activity.created_at.toISOString()
-    }));
-    
-    res.json(formattedActivities);
+    res.json(formatWebhook(webhook));
   } catch (error) {
-    console.error('❌ Get activities error:', error);
-    res.status(500).json({ error: 'Failed to fetch activities' });
+    console.error('❌ Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
   }
 });
 
-// USERS ENDPOINTS (Admin only)
-
-// Get users
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Replace a webhook's signing secret; the new one is returned once
+app.post('/api/webhooks/rotate-secret', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
     }
     
-    const users = await prisma.user.findMany({
-      where: { company_id: req.user.company_id },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true,
-        last_login: true,
-        created_at: true
-      },
-      orderBy: { created_at: 'asc' }
+    const existing = await prisma.webhook.findFirst({
+      where: { id, company_id: req.user.company_id }
     });
     
-    const formattedUsers = users.map(user => ({
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      isActive: user.isActive,
-      lastLogin: user.last_login?.toISOString(),
-      created_at: user.created_at.toISOString()
-    }));
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const secret = generateWebhookSecret();
+    
+    const webhook = await prisma.$transaction(async (tx) => {
+      const updated = await tx.webhook.update({
+        where: { id },
+        data: { secret: encryptSecret(secret, SECRETS_KEY) }
+      });
+      
+      await recordAudit(tx, req, {
+        action: 'webhook.rotate_secret',
+        entityType: 'webhook',
+        before: existing,
+        after: updated
+      });
+      
+      return updated;
+    });
     
-    res.json(formattedUsers);
+    res.json({ ...formatWebhook(webhook), secret });
   } catch (error) {
-    console.error('❌ Get users error:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    console.error('❌ Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
   }
 });
 
-// Invite user
-app.post('/api/users/invite', authenticateToken, async (req, res) => {
+// Delete a webhook along with its delivery log
+app.delete('/api/webhooks', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    
-    const { email, name, role } = req.body;
+    const { id } = req.body;
     
-    if (!email || !name || !role) {
-      return res.status(400).json({ error: 'Email, name, and role are required' });
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
     }
     
-    const normalizedEmail = email.toLowerCase().trim();
-    
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email: normalizedEmail }
+    const existing = await prisma.webhook.findFirst({
+      where: { id, company_id: req.user.company_id }
     });
     
-    if (existingUser) {
-      return res.status(400).json({ error: 'User with this email already exists' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
     
-    // For demo purposes, create user with temporary password
-    // In production, you'd send an invitation email
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 12);
-    
-    const newUser = await prisma.user.create({
-      data: {
-        email: normalizedEmail,
-        name: name.trim(),
-        password: hashedPassword,
-        role: role,
-        company_id: req.user.company_id,
-        isActive: true
-      }
+    await prisma.$transaction(async (tx) => {
+      await tx.webhook.delete({ where: { id } });
+      
+      await recordAudit(tx, req, { action: 'webhook.delete', entityType: 'webhook', before: existing });
     });
     
-    console.log('✅ User invited:', newUser.email);
+    console.log('✅ Webhook deleted:', existing.url);
     
-    // In production, you'd send an actual email here
-    res.json({
-      success: true,
-      message: 'Invitation sent successfully',
-      invitationId: newUser.id,
-      emailSent: true,
-      emailMethod: 'demo',
-      temporaryPassword: tempPassword // Remove this in production
-    });
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Invite user error:', error);
-    res.status(500).json({ error: 'Failed to invite user' });
+    console.error('❌ Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
   }
 });
 
-// Delete user
-app.delete('/api/users/delete', authenticateToken, async (req, res) => {
+// Get webhook deliveries, newest first, 100 at a time (?limit= up to 500)
+// with the next page's cursor in X-Next-Cursor. Filters: ?webhookId=,
+// ?status= (pending, succeeded or failed), ?event=.
+app.get('/api/webhooks/deliveries', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+    const { webhookId, status, event } = req.query;
     
-    const { userId } = req.body;
+    const page = parsePageParams(req.query, {
+      sortFields: ['created_at'],
+      defaultSort: 'created_at',
+      defaultLimit: 100
+    });
     
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
     }
     
-    if (userId === req.user.id) {
-      return res.status(400).json({ error: 'Cannot delete yourself' });
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        company_id: req.user.company_id,
+        ...(webhookId && { webhook_id: webhookId }),
+        ...(status && { status }),
+        ...(event && { event })
+      },
+      ...page.args
+    });
+    
+    res.json(pageRows(res, deliveries, page.limit).map(formatWebhookDelivery));
+  } catch (error) {
+    console.error('❌ Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Send a delivery again with the same payload and a fresh set of attempts,
+// e.g. once a failing endpoint has been fixed
+app.post('/api/webhooks/deliveries/replay', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { id } = req.body;
+    
+    if (!id) {
+      return res.status(400).json({ error: 'ID is required' });
     }
     
-    const userToDelete = await prisma.user.findFirst({
-      where: { 
-        id: userId,
-        company_id: req.user.company_id 
+    const replayed = await prisma.webhookDelivery.updateMany({
+      where: {
+        id,
+        company_id: req.user.company_id,
+        status: { not: 'pending' }
+      },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date()
       }
     });
     
-    if (!userToDelete) {
-      return res.status(404).json({ error: 'User not found' });
+    if (replayed.count === 0) {
+      const delivery = await prisma.webhookDelivery.findFirst({
+        where: { id, company_id: req.user.company_id }
+      });
+      
+      return delivery
+        ? res.status(400).json({ error: 'This delivery is already waiting to be sent' })
+        : res.status(404).json({ error: 'Delivery not found' });
     }
     
-    await prisma.user.delete({
-      where: { id: userId }
-    });
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id } });
     
-    console.log('✅ User deleted:', userToDelete.email);
+    console.log('✅ Webhook delivery replayed:', id);
     
-    res.json({ success: true });
+    res.json(formatWebhookDelivery(delivery));
   } catch (error) {
-    console.error('❌ Delete user error:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
+    console.error('❌ Replay webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
   }
 });
 
 // COMPANY ENDPOINTS
 
 // Get company info
-app.get('/api/companies/info', authenticateToken, async (req, res) => {
+app.get('/api/companies/info', authenticateForTwoFactorSetup, async (req, res) => {
   try {
     const company = await prisma.company.findUnique({
       where: { id: req.user.company_id }
@@ -671,7 +8201,10 @@ app.get('/api/companies/info', authenticateToken, async (req, res) => {
         name: company.name,
         code: company.code,
         subscription_tier: company.subscription_tier,
-        max_users: company.max_users
+        max_users: company.max_users,
+        barcode_format: company.barcode_format,
+        barcode_prefix: company.barcode_prefix,
+        require_admin_2fa: company.require_admin_2fa
       }
     });
   } catch (error) {
@@ -680,35 +8213,214 @@ app.get('/api/companies/info', authenticateToken, async (req, res) => {
   }
 });
 
+// Update company settings
+app.put('/api/companies/settings', authenticateToken, requirePermission('company:manage'), async (req, res) => {
+  try {
+    const { barcodeFormat, barcodePrefix, requireAdmin2fa } = req.body;
+    const data = {};
+    
+    if (barcodeFormat !== undefined || barcodePrefix !== undefined) {
+      const format = barcodeFormat || req.user.company.barcode_format;
+      const prefix = barcodePrefix === undefined ? req.user.company.barcode_prefix : (barcodePrefix || null);
+      const prefixError = validatePrefix(format, prefix);
+      
+      if (prefixError) {
+        return res.status(400).json({ error: prefixError });
+      }
+      
+      data.barcode_format = format;
+      data.barcode_prefix = prefix;
+    }
+    
+    if (requireAdmin2fa !== undefined) {
+      if (typeof requireAdmin2fa !== 'boolean') {
+        return res.status(400).json({ error: 'requireAdmin2fa must be true or false' });
+      }
+      
+      // Turning it on without having it yourself would lock you out
+      if (requireAdmin2fa && !req.user.totp_enabled_at) {
+        return res.status(400).json({ error: 'Turn on two-factor authentication for your own account first' });
+      }
+      
+      data.require_admin_2fa = requireAdmin2fa;
+    }
+    
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
+    
+    const company = await prisma.$transaction(async (tx) => {
+      const updated = await tx.company.update({
+        where: { id: req.user.company_id },
+        data
+      });
+      
+      await recordAudit(tx, req, { action: 'company.update', entityType: 'company', before: req.user.company, after: updated });
+      
+      return updated;
+    });
+    
+    console.log('✅ Company settings updated:', company.name);
+    
+    res.json({
+      company: {
+        id: company.id,
+        name: company.name,
+        code: company.code,
+        subscription_tier: company.subscription_tier,
+        max_users: company.max_users,
+        barcode_format: company.barcode_format,
+        barcode_prefix: company.barcode_prefix,
+        require_admin_2fa: company.require_admin_2fa
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update company settings error:', error);
+    res.status(500).json({ error: 'Failed to update company settings' });
+  }
+});
+
+// FORECAST ENDPOINTS
+
+// Forecast an item's consumption and stock-out date from its recent history,
+// with a suggested reorder quantity. Takes ?leadTimeDays=, ?coverDays= and
+// ?horizonDays= (days of projection returned).
+app.get('/api/items/:id/forecast', authenticateToken, requirePermission('items:view'), async (req, res) => {
+  try {
+    const forecast = parseForecastParams(req.query);
+    
+    if (forecast.error) {
+      return res.status(400).json({ error: forecast.error });
+    }
+    
+    const item = await prisma.item.findFirst({
+      where: { id: req.params.id, company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const [series, onOrder] = await Promise.all([
+      consumptionSeries(req.user.company_id, [item]),
+      onOrderQuantities(prisma, [item.id])
+    ]);
+    
+    res.json({
+      item_id: item.id,
+      item_name: item.name,
+      quantity: item.quantity,
+      on_order: onOrder.get(item.id) || 0,
+      lead_time_days: forecast.params.leadTimeDays,
+      cover_days: forecast.params.coverDays,
+      ...forecastItem({
+        series: series.get(item.id),
+        quantity: item.quantity,
+        onOrder: onOrder.get(item.id) || 0,
+        maxStock: item.max_stock,
+        ...forecast.params
+      })
+    });
+  } catch (error) {
+    console.error('❌ Get item forecast error:', error);
+    res.status(500).json({ error: 'Failed to forecast item' });
+  }
+});
+
+// Items projected to run out within ?horizonDays= (30), soonest first, with
+// suggested reorder quantities. Takes ?leadTimeDays= and ?coverDays= too.
+app.get('/api/forecast/at-risk', authenticateToken, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const forecast = parseForecastParams(req.query);
+    
+    if (forecast.error) {
+      return res.status(400).json({ error: forecast.error });
+    }
+    
+    const items = await prisma.item.findMany({
+      where: { company_id: req.user.company_id, deleted_at: null }
+    });
+    
+    const [series, onOrder] = await Promise.all([
+      consumptionSeries(req.user.company_id, items),
+      onOrderQuantities(prisma, items.map(item => item.id))
+    ]);
+    
+    const atRisk = items
+      .map(item => {
+        const { projected, ...itemForecast } = forecastItem({
+          series: series.get(item.id),
+          quantity: item.quantity,
+          onOrder: onOrder.get(item.id) || 0,
+          maxStock: item.max_stock,
+          ...forecast.params
+        });
+        
+        return {
+          item_id: item.id,
+          item_name: item.name,
+          barcode: item.barcode,
+          quantity: item.quantity,
+          on_order: onOrder.get(item.id) || 0,
+          supplier_id: item.supplier_id,
+          ...itemForecast
+        };
+      })
+      .filter(item => item.days_until_stockout !== null && item.days_until_stockout <= forecast.params.horizonDays)
+      .sort((a, b) => a.days_until_stockout - b.days_until_stockout || a.item_name.localeCompare(b.item_name));
+    
+    res.json({
+      lead_time_days: forecast.params.leadTimeDays,
+      cover_days: forecast.params.coverDays,
+      horizon_days: forecast.params.horizonDays,
+      items: atRisk
+    });
+  } catch (error) {
+    console.error('❌ Get at-risk items error:', error);
+    res.status(500).json({ error: 'Failed to forecast stock-outs' });
+  }
+});
+
 // ANALYTICS ENDPOINTS
 
 // Get analytics
-app.get('/api/analytics', authenticateToken, async (req, res) => {
+app.get('/api/analytics', authenticateToken, requirePermission('reports:view'), async (req, res) => {
   try {
+    // Low/out/overstock use each item's own reorder_point and max_stock
     const [
       totalItems,
       totalQuantity,
       lowStockItems,
       outOfStockItems,
+      overstockItems,
       recentActivities
     ] = await Promise.all([
       prisma.item.count({
-        where: { company_id: req.user.company_id }
+        where: { company_id: req.user.company_id, deleted_at: null }
       }),
       prisma.item.aggregate({
-        where: { company_id: req.user.company_id },
+        where: { company_id: req.user.company_id, deleted_at: null },
         _sum: { quantity: true }
       }),
       prisma.item.count({
         where: { 
           company_id: req.user.company_id,
-          quantity: { gt: 0, lte: 5 }
+          deleted_at: null,
+          ...STOCK_STATUS_FILTERS.low
+        }
+      }),
+      prisma.item.count({
+        where: { 
+          company_id: req.user.company_id,
+          deleted_at: null,
+          ...STOCK_STATUS_FILTERS.out
         }
       }),
       prisma.item.count({
         where: { 
           company_id: req.user.company_id,
-          quantity: 0
+          deleted_at: null,
+          ...STOCK_STATUS_FILTERS.overstock
         }
       }),
       prisma.activity.count({
@@ -724,6 +8436,7 @@ app.get('/api/analytics', authenticateToken, async (req, res) => {
       totalQuantity: totalQuantity._sum.quantity || 0,
       lowStockItems,
       outOfStockItems,
+      overstockItems,
       recentActivities
     });
   } catch (error) {
@@ -732,8 +8445,124 @@ app.get('/api/analytics', authenticateToken, async (req, res) => {
   }
 });
 
+// Value of the stock on hand, per item and in total:
+// ?method=fifo (default) or average
+app.get('/api/analytics/valuation', authenticateToken, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const method = req.query.method || 'fifo';
+    
+    if (!VALUATION_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Method must be one of: ${VALUATION_METHODS.join(', ')}` });
+    }
+    
+    const items = await inventoryValuation(req.user.company_id, method);
+    const sum = (field) => Math.round(items.reduce((total, item) => total + (item[field] || 0), 0) * 100) / 100;
+    
+    res.json({
+      method,
+      total_value: sum('value'),
+      total_retail_value: sum('retail_value'),
+      uncosted_items: items.filter(item => item.value === null && item.quantity > 0).length,
+      items
+    });
+  } catch (error) {
+    console.error('❌ Get valuation error:', error);
+    res.status(500).json({ error: 'Failed to fetch valuation' });
+  }
+});
+
+// Turnover and days of supply per item over ?from=&to= (last 30 days by
+// default)
+app.get('/api/analytics/turnover', authenticateToken, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const items = await inventoryTurnover(req.user.company_id, range);
+    
+    res.json({
+      range: formatAnalyticsRange(range),
+      items
+    });
+  } catch (error) {
+    console.error('❌ Get turnover error:', error);
+    res.status(500).json({ error: 'Failed to fetch turnover' });
+  }
+});
+
+// Daily consumption (units removed) over ?from=&to=, for the whole company
+// or one ?itemId=
+app.get('/api/analytics/consumption', authenticateToken, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const { itemId } = req.query;
+    const range = parseAnalyticsRange(req.query);
+    
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    if (itemId && !await prisma.item.findFirst({ where: { id: itemId, company_id: req.user.company_id } })) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const series = await dailyConsumption(req.user.company_id, range, itemId);
+    const total = series.reduce((sum, day) => sum + day.quantity, 0);
+    
+    res.json({
+      range: formatAnalyticsRange(range),
+      item_id: itemId || null,
+      total,
+      daily_average: Math.round(total / range.days * 100) / 100,
+      series
+    });
+  } catch (error) {
+    console.error('❌ Get consumption error:', error);
+    res.status(500).json({ error: 'Failed to fetch consumption' });
+  }
+});
+
+// Top movers and dead stock over ?from=&to=, up to ?limit= (10) of each
+app.get('/api/analytics/movers', authenticateToken, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > PAGE_MAX_LIMIT) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${PAGE_MAX_LIMIT}` });
+    }
+    
+    const [movers, dead] = await Promise.all([
+      topMovers(req.user.company_id, range, limit),
+      deadStock(req.user.company_id, range, limit)
+    ]);
+    
+    res.json({
+      range: formatAnalyticsRange(range),
+      top_movers: movers,
+      dead_stock: dead.map(item => ({
+        ...item,
+        last_removed_at: item.last_removed_at?.toISOString() ?? null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Get movers error:', error);
+    res.status(500).json({ error: 'Failed to fetch movers' });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message });
+  }
+  
   console.error('❌ Unhandled error:', err);
   res.status(500).json({ 
     error: 'Internal server error',
@@ -750,43 +8579,58 @@ app.use('*', (req, res) => {
   });
 });
 
-// Graceful shutdown
-const gracefulShutdown = async (signal) => {
-  console.log(`👋 Received ${signal}. Shutting down gracefully...`);
-  
-  try {
-    await prisma.$disconnect();
-    console.log('📊 Database disconnected');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Error during shutdown:', error);
-    process.exit(1);
-  }
-};
+// Start the server when run directly; the tests load the app without
+// listening or starting the background jobs (see test/helpers/app.js)
+if (require.main === module) {
+  // Graceful shutdown
+  const gracefulShutdown = async (signal) => {
+    console.log(`👋 Received ${signal}. Shutting down gracefully...`);
+    
+    try {
+      await prisma.$disconnect();
+      console.log('📊 Database disconnected');
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ Error during shutdown:', error);
+      process.exit(1);
+    }
+  };
 
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: Connected to Railway PostgreSQL`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-});
+  // Start server
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    
+    ensureAuditLogIsAppendOnly()
+      .then(() => console.log('🔏 Audit log is append-only'))
+      .catch(error => console.error('❌ Audit log trigger setup error:', error));
+    startTrashPurge();
+    startWebhookWorker();
+    startStockAlertDigests();
+    startSyncKeyCleanup();
+    startIdempotencyKeyCleanup();
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Database: Connected to Railway PostgreSQL`);
+    console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+  });
 
-// Handle server errors
-server.on('error', (error) => {
-  console.error('❌ Server error:', error);
-});
+  // Handle server errors
+  server.on('error', (error) => {
+    console.error('❌ Server error:', error);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  gracefulShutdown('uncaughtException');
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error);
+    gracefulShutdown('uncaughtException');
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  gracefulShutdown('unhandledRejection');
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    gracefulShutdown('unhandledRejection');
+  });
+}
+
+module.exports = { app, prisma, purgeTrash };
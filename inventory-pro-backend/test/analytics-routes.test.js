@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, company, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('valuation totals the items and counts stock with no known cost', async () => {
+  db.on('$queryRaw', () => [
+    { id: 'a', name: 'Anchor', quantity: 10, unit_cost: 1.255, value: 12.55, retail_value: 20.1 },
+    { id: 'b', name: 'Bolt', quantity: 3, unit_cost: 0.1, value: 0.3, retail_value: null },
+    { id: 'c', name: 'Cable', quantity: 4, unit_cost: null, value: null, retail_value: 8 },
+    { id: 'd', name: 'Drill', quantity: 0, unit_cost: null, value: null, retail_value: 0 }
+  ]);
+
+  const res = await request('GET', '/api/analytics/valuation');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.method, 'fifo');
+  assert.strictEqual(res.body.total_value, 12.85);
+  assert.strictEqual(res.body.total_retail_value, 28.1);
+  // Drill has no cost but nothing on hand either
+  assert.strictEqual(res.body.uncosted_items, 1);
+  assert.deepStrictEqual(res.body.items.map(item => item.id), ['a', 'b', 'c', 'd']);
+});
+
+test('valuation prices the newest layers for FIFO and the average cost for average', async () => {
+  db.on('$queryRaw', () => []);
+  for (const method of ['fifo', 'average']) {
+    assert.strictEqual((await request('GET', `/api/analytics/valuation?method=${method}`)).status, 200);
+  }
+
+  const [fifo, average] = db.argsOf('$queryRaw');
+  assert.ok(fifo.values.includes(company.id));
+  assert.match(fifo.sql, /ORDER BY a\.created_at DESC, a\.id DESC/);
+  assert.match(fifo.sql, /i\.quantity - COALESCE\(c\.fifo_costed_quantity, 0\)/);
+  assert.doesNotMatch(fifo.sql, /COALESCE\(c\.average_cost, i\.unit_cost\)/);
+  assert.match(average.sql, /i\.quantity \* COALESCE\(c\.average_cost, i\.unit_cost\)/);
+});
+
+test('valuation refuses an unknown method', async () => {
+  const res = await request('GET', '/api/analytics/valuation?method=lifo');
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Method must be one of: fifo, average');
+  assert.strictEqual(db.argsOf('$queryRaw').length, 0);
+});
+
+test('turnover covers whole days from the start of from to the end of to', async () => {
+  const rows = [{ id: 'a', name: 'Anchor', quantity: 20, consumed: 30, opening_quantity: 40, closing_quantity: 20, turnover: 1, days_of_supply: 20 }];
+  db.on('$queryRaw', () => rows);
+
+  const res = await request('GET', '/api/analytics/turnover?from=2025-03-01&to=2025-03-30');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { range: { from: '2025-03-01', to: '2025-03-30', days: 30 }, items: rows });
+
+  const [query] = db.argsOf('$queryRaw');
+  assert.ok(query.values.includes(company.id));
+  assert.ok(query.values.some(value => value instanceof Date && value.toISOString() === '2025-03-01T00:00:00.000Z'));
+  // to is exclusive, so movements on the 30th still count
+  assert.ok(query.values.some(value => value instanceof Date && value.toISOString() === '2025-03-31T00:00:00.000Z'));
+  assert.ok(query.values.includes(30));
+});
+
+test('turnover defaults to the last 30 days up to and including today', async () => {
+  db.on('$queryRaw', () => []);
+  const res = await request('GET', '/api/analytics/turnover');
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.deepStrictEqual(res.body.range, {
+    from: new Date(Date.parse(today) - 29 * DAY_MS).toISOString().slice(0, 10),
+    to: today,
+    days: 30
+  });
+});
+
+test('turnover refuses ranges that are not dates, run backwards or are too long', async () => {
+  for (const [query, error] of [
+    ['from=soon', 'from and to must be dates'],
+    ['from=2025-03-02&to=2025-03-01', 'from cannot be after to'],
+    ['from=2024-01-01&to=2025-03-01', 'The range can be at most 366 days']
+  ]) {
+    const res = await request('GET', `/api/analytics/turnover?${query}`);
+    assert.strictEqual(res.status, 400, query);
+    assert.strictEqual(res.body.error, error);
+  }
+  assert.strictEqual(db.argsOf('$queryRaw').length, 0);
+});
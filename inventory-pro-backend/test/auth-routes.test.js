@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db, user, resetDb, request, sentMail, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const account = {
+  ...user,
+  password: bcrypt.hashSync('correct horse 1', 4),
+  totp_enabled_at: null,
+  created_at: new Date('2025-01-01T00:00:00Z')
+};
+
+const login = (password) => request('POST', '/api/auth/login', { body: { email: 'Owner@Example.com', password } });
+
+// Answers the throttle upsert as if key had failures attempts in its window
+const countFailures = (failuresByKey) => {
+  db.on('$queryRaw', (query) => [{ failures: failuresByKey[query.values[0]] || 1 }]);
+};
+
+test('a wrong password counts against the account and the address', async () => {
+  db.on('user.findFirst', () => account);
+  countFailures({});
+
+  const res = await login('wrong password 1');
+
+  assert.strictEqual(res.status, 401);
+  assert.deepStrictEqual(db.argsOf('$queryRaw').map(query => query.values[0]).sort(), ['account:owner@example.com', 'ip:127.0.0.1']);
+  assert.strictEqual(db.argsOf('authThrottle.update').length, 0);
+});
+
+test('the failure that reaches the limit locks the account', async () => {
+  db.on('user.findFirst', () => account);
+  countFailures({ 'account:owner@example.com': 5 });
+
+  const res = await login('wrong password 1');
+
+  assert.strictEqual(res.status, 401);
+  const [lock] = db.argsOf('authThrottle.update');
+  assert.deepStrictEqual(lock.where, { key: 'account:owner@example.com' });
+  assert.ok(lock.data.locked_until > new Date(Date.now() + 14 * 60 * 1000));
+});
+
+test('a locked account is refused before its password is checked', async () => {
+  db.on('authThrottle.findMany', () => [{ key: 'account:owner@example.com', locked_until: new Date(Date.now() + 90 * 1000) }]);
+
+  const res = await login('correct horse 1');
+
+  assert.strictEqual(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 80);
+  assert.strictEqual(res.body.error, 'Too many attempts. Try again in 2 minute(s).');
+  assert.strictEqual(db.argsOf('user.findFirst').length, 0);
+  assert.deepStrictEqual(db.argsOf('authThrottle.findMany')[0].where.key, { in: ['account:owner@example.com', 'ip:127.0.0.1'] });
+});
+
+test('signing in clears the account\'s failures but not the address\'s', async () => {
+  db.on('user.findFirst', () => account);
+
+  const res = await login('correct horse 1');
+
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.refreshToken);
+  assert.deepStrictEqual(db.argsOf('authThrottle.deleteMany'), [{ where: { key: 'account:owner@example.com' } }]);
+  assert.strictEqual(db.argsOf('$queryRaw').length, 0);
+});
+
+test('a reset link is emailed and replaces any earlier one', async () => {
+  db.on('user.findFirst', () => account);
+  countFailures({});
+
+  const res = await request('POST', '/api/auth/forgot-password', { body: { email: 'owner@example.com' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('passwordReset.updateMany')[0].where, { user_id: user.id, used_at: null });
+
+  // Undo the quoted-printable line folding to find the link
+  const email = sentMail().pop().replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+  const [, token] = email.match(/\?reset=([\w-]+)/);
+  assert.strictEqual(db.argsOf('passwordReset.create')[0].data.token_hash, hash(token));
+});
+
+test('asking for a reset of an unknown email looks the same but sends nothing', async () => {
+  countFailures({});
+  const before = sentMail().length;
+
+  const res = await request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.body.message, /If an account exists/);
+  assert.strictEqual(db.argsOf('passwordReset.create').length, 0);
+  assert.strictEqual(sentMail().length, before);
+});
+
+const resetRow = (fields = {}) => ({
+  id: 'reset-1',
+  token_hash: hash('reset-token'),
+  used_at: null,
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  user_id: user.id,
+  user: account,
+  ...fields
+});
+
+const resetPassword = (password = 'new password 2') =>
+  request('POST', '/api/auth/reset-password', { body: { token: 'reset-token', password } });
+
+test('a reset link sets the password, lifts the lockout and signs out every session', async () => {
+  db.on('passwordReset.findUnique', () => resetRow());
+  db.on('passwordReset.updateMany', () => ({ count: 1 }));
+
+  const res = await resetPassword();
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('passwordReset.findUnique')[0].where, { token_hash: hash('reset-token') });
+  assert.deepStrictEqual(db.argsOf('passwordReset.updateMany')[0].where, { id: 'reset-1', used_at: null });
+  assert.ok(bcrypt.compareSync('new password 2', db.argsOf('user.update')[0].data.password));
+  assert.deepStrictEqual(db.argsOf('authThrottle.deleteMany'), [{ where: { key: 'account:owner@example.com' } }]);
+
+  const [revocation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(revocation.where, { user_id: user.id, revoked_at: null });
+  assert.strictEqual(revocation.data.revoked_reason, 'password_reset');
+});
+
+test('a reset link works only once', async () => {
+  db.on('passwordReset.findUnique', () => resetRow({ used_at: new Date() }));
+  assert.strictEqual((await resetPassword()).status, 400);
+
+  // Two uses at the same time: the second finds the link already claimed
+  db.on('passwordReset.findUnique', () => resetRow());
+  db.on('passwordReset.updateMany', () => ({ count: 0 }));
+
+  const res = await resetPassword();
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'This reset link is invalid or has expired');
+  assert.strictEqual(db.argsOf('user.update').length, 0);
+  assert.strictEqual(db.argsOf('session.updateMany').length, 0);
+});
+
+test('expired links and passwords that break the policy are refused', async () => {
+  db.on('passwordReset.findUnique', () => resetRow({ expires_at: new Date(Date.now() - 1000) }));
+  assert.strictEqual((await resetPassword()).status, 400);
+
+  db.on('passwordReset.findUnique', () => resetRow());
+  const res = await resetPassword('owner-password-1');
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Password must not contain your email address');
+  assert.strictEqual(db.argsOf('passwordReset.updateMany').length, 0);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isCode128Text,
+  gtinCheckDigit,
+  isValidGtin,
+  validatePrefix,
+  buildBarcode
+} = require('../lib/barcodes');
+
+test('isCode128Text takes 1-48 printable ASCII characters', () => {
+  assert.strictEqual(isCode128Text('ACME-000123'), true);
+  assert.strictEqual(isCode128Text('x'.repeat(48)), true);
+  assert.strictEqual(isCode128Text(''), false);
+  assert.strictEqual(isCode128Text('x'.repeat(49)), false);
+  assert.strictEqual(isCode128Text('café'), false);
+  assert.strictEqual(isCode128Text('line\nbreak'), false);
+});
+
+test('gtinCheckDigit and isValidGtin follow the GS1 mod-10 rule', () => {
+  assert.strictEqual(gtinCheckDigit('400638133393'), 1);
+  assert.strictEqual(gtinCheckDigit('03600029145'), 2);
+  assert.strictEqual(isValidGtin('4006381333931'), true);
+  assert.strictEqual(isValidGtin('036000291452'), true);
+  assert.strictEqual(isValidGtin('4006381333932'), false);
+  assert.strictEqual(isValidGtin('1234567'), false);
+});
+
+test('validatePrefix checks the format and the prefix for it', () => {
+  assert.match(validatePrefix('qr', 'ABC'), /Barcode format must be one of/);
+  assert.strictEqual(validatePrefix('code128', ''), null);
+  assert.strictEqual(validatePrefix('code128', 'ACME01'), null);
+  assert.match(validatePrefix('code128', 'AC-ME'), /Code 128 prefixes/);
+  assert.match(validatePrefix('code128', 'A'.repeat(21)), /Code 128 prefixes/);
+});
+
+test('validatePrefix leaves GTIN formats at least four sequence digits', () => {
+  assert.strictEqual(validatePrefix('ean13', '20123456'), null);
+  assert.strictEqual(validatePrefix('ean13', '201234567'), 'EAN13 prefixes must be 1-8 digits');
+  assert.strictEqual(validatePrefix('upca', '4123456'), null);
+  assert.strictEqual(validatePrefix('upca', '41234567'), 'UPCA prefixes must be 1-7 digits');
+  assert.strictEqual(validatePrefix('ean13', '20A'), 'EAN13 prefixes must be 1-8 digits');
+});
+
+test('buildBarcode numbers Code 128 barcodes after the prefix or company code', () => {
+  assert.strictEqual(buildBarcode('code128', { companyCode: 'ACME', sequence: 42 }), 'ACME-000042');
+  assert.strictEqual(buildBarcode('code128', { companyCode: 'ACME', prefix: 'WH1', sequence: 1234567 }), 'WH1-1234567');
+});
+
+test('buildBarcode builds valid GTINs in the in-store ranges by default', () => {
+  const ean = buildBarcode('ean13', { sequence: 7 });
+  const upc = buildBarcode('upca', { sequence: 7 });
+
+  assert.strictEqual(ean, '2000000000077');
+  assert.strictEqual(upc.length, 12);
+  assert.ok(upc.startsWith('4'));
+  assert.strictEqual(isValidGtin(ean), true);
+  assert.strictEqual(isValidGtin(upc), true);
+  assert.ok(buildBarcode('ean13', { prefix: '5012345', sequence: 1 }).startsWith('5012345'));
+});
+
+test('buildBarcode returns null once the sequence outgrows its digits', () => {
+  assert.strictEqual(buildBarcode('ean13', { prefix: '20123456', sequence: 9999 }).length, 13);
+  assert.strictEqual(buildBarcode('ean13', { prefix: '20123456', sequence: 10000 }), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, user, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const categoryRow = (fields = {}) => ({
+  id: 'category-1',
+  name: 'Fasteners',
+  parent_id: null,
+  company_id: 'company-1',
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  updated_at: new Date('2025-01-01T00:00:00Z'),
+  ...fields
+});
+
+test('creating a category is audited', async () => {
+  db.on('category.create', (args) => categoryRow({ ...args.data }));
+
+  const res = await request('POST', '/api/categories', { body: { name: 'Fasteners' } });
+
+  assert.strictEqual(res.status, 201);
+
+  const [{ data: entry }] = db.argsOf('auditLog.create');
+  assert.strictEqual(entry.action, 'category.create');
+  assert.strictEqual(entry.entity_type, 'category');
+  assert.strictEqual(entry.entity_id, 'category-1');
+  assert.strictEqual(entry.after.name, 'Fasteners');
+  assert.strictEqual(entry.actor_id, user.id);
+});
+
+test('renaming a category is audited with the name before and after', async () => {
+  db.on('category.findMany', () => [categoryRow()]);
+  db.on('category.update', (args) => categoryRow({ ...args.data }));
+
+  const res = await request('PUT', '/api/categories', { body: { id: 'category-1', name: 'Screws' } });
+
+  assert.strictEqual(res.status, 200);
+
+  const [{ data: entry }] = db.argsOf('auditLog.create');
+  assert.strictEqual(entry.action, 'category.update');
+  assert.strictEqual(entry.before.name, 'Fasteners');
+  assert.strictEqual(entry.after.name, 'Screws');
+});
+
+test('deleting a category is audited', async () => {
+  db.on('category.findFirst', () => categoryRow({ _count: { children: 0 } }));
+
+  const res = await request('DELETE', '/api/categories', { body: { id: 'category-1' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.argsOf('category.delete').length, 1);
+
+  const [{ data: entry }] = db.argsOf('auditLog.create');
+  assert.strictEqual(entry.action, 'category.delete');
+  assert.strictEqual(entry.before.name, 'Fasteners');
+  assert.strictEqual('after' in entry, false);
+});
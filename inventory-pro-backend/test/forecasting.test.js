@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { movingAverage, weeklySeasonality, forecastItem } = require('../lib/forecasting');
+
+// days consecutive days from 2024-01-07 (a Sunday), quantity from the callback
+const series = (days, quantity) => Array.from({ length: days }, (_, i) => ({
+  date: new Date(Date.UTC(2024, 0, 7 + i)).toISOString().slice(0, 10),
+  quantity: quantity(i)
+}));
+
+test('movingAverage averages the last window days, or all of a shorter series', () => {
+  const days = series(10, i => i + 1);
+  assert.strictEqual(movingAverage(days, 4), 8.5);
+  assert.strictEqual(movingAverage(days, 28), 5.5);
+  assert.strictEqual(movingAverage([], 7), 0);
+});
+
+test('weeklySeasonality needs two full weeks of consumption', () => {
+  assert.strictEqual(weeklySeasonality(series(13, () => 3)), null);
+  assert.strictEqual(weeklySeasonality(series(28, () => 0)), null);
+  assert.deepStrictEqual(weeklySeasonality(series(14, () => 3)), [1, 1, 1, 1, 1, 1, 1]);
+});
+
+test('weeklySeasonality is indexed by weekday from Sunday', () => {
+  // Everything is consumed on Mondays
+  const factors = weeklySeasonality(series(28, i => (i % 7 === 1 ? 7 : 0)));
+  assert.deepStrictEqual(factors, [0, 7, 0, 0, 0, 0, 0]);
+});
+
+test('forecastItem projects a steady rate to a stockout date and reorder quantity', () => {
+  const forecast = forecastItem({
+    series: series(28, () => 2),
+    quantity: 9,
+    leadTimeDays: 3,
+    coverDays: 4,
+    horizonDays: 7
+  });
+
+  assert.strictEqual(forecast.history_days, 28);
+  assert.strictEqual(forecast.daily_rate, 2);
+  assert.strictEqual(forecast.moving_average_7, 2);
+  assert.deepStrictEqual(forecast.seasonality, [1, 1, 1, 1, 1, 1, 1]);
+  assert.strictEqual(forecast.stockout_date, '2024-02-08');
+  assert.strictEqual(forecast.days_until_stockout, 5);
+  assert.strictEqual(forecast.safety_stock, 0);
+  // 7 days of demand at 2 a day, less the 9 on hand
+  assert.strictEqual(forecast.suggested_reorder_quantity, 5);
+  assert.strictEqual(forecast.projected.length, 7);
+  assert.deepStrictEqual(forecast.projected[0], { date: '2024-02-04', quantity: 2 });
+});
+
+test('forecastItem counts stock on order and caps the order at maxStock', () => {
+  const input = { series: series(28, () => 2), quantity: 9, leadTimeDays: 3, coverDays: 4, horizonDays: 7 };
+
+  assert.strictEqual(forecastItem({ ...input, onOrder: 3 }).suggested_reorder_quantity, 2);
+  assert.strictEqual(forecastItem({ ...input, maxStock: 12 }).suggested_reorder_quantity, 3);
+  assert.strictEqual(forecastItem({ ...input, onOrder: 20 }).suggested_reorder_quantity, 0);
+});
+
+test('forecastItem adds safety stock for variable demand', () => {
+  const forecast = forecastItem({
+    series: series(28, i => (i % 2 === 0 ? 0 : 4)),
+    quantity: 100,
+    leadTimeDays: 4,
+    coverDays: 0,
+    horizonDays: 7
+  });
+
+  // Standard deviation 2 over a four-day lead time at z = 1.65
+  assert.strictEqual(forecast.safety_stock, 7);
+  assert.strictEqual(forecast.stockout_date, null);
+  assert.strictEqual(forecast.days_until_stockout, null);
+});
+
+test('forecastItem reports stock already gone as out on the last day of history', () => {
+  const forecast = forecastItem({ series: series(7, () => 1), quantity: 0, leadTimeDays: 1, coverDays: 1, horizonDays: 3 });
+  assert.strictEqual(forecast.stockout_date, '2024-01-13');
+  assert.strictEqual(forecast.days_until_stockout, 0);
+  assert.strictEqual(forecast.seasonality, null);
+  // horizonDays is extended to cover the lead time and cover days only internally
+  assert.strictEqual(forecast.projected.length, 3);
+});
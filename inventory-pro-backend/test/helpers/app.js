@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const Module = require('module');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { sqltag, empty, join, raw } = require('@prisma/client/runtime/library');
+
+// Loads server.js against an in-memory stand-in for the Prisma client, so
+// routes can be exercised without a database. Every query resolves to what
+// the handler registered for it with db.on('<model>.<method>', handler)
+// returns, or to an empty result, and is recorded in db.calls.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NODE_ENV = 'test';
+
+// Emails are written as .eml files into a temporary outbox; sentMail()
+// reads them back
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-outbox-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+const timestamps = () => ({ created_at: new Date(), updated_at: new Date() });
+
+const EMPTY_RESULTS = {
+  findMany: () => [],
+  findFirst: () => null,
+  findUnique: () => null,
+  count: () => 0,
+  groupBy: () => [],
+  aggregate: () => ({ _sum: {}, _avg: {}, _min: {}, _max: {}, _count: {} }),
+  create: (args) => ({ id: 'created', ...timestamps(), ...args.data }),
+  update: (args) => ({ ...args.where, ...args.data }),
+  createMany: (args) => ({ count: [].concat(args.data).length }),
+  createManyAndReturn: (args) => [].concat(args.data).map((data, index) => ({ id: `created-${index}`, ...timestamps(), ...data })),
+  updateMany: () => ({ count: 0 }),
+  deleteMany: () => ({ count: 0 })
+};
+
+const createFakeDb = () => {
+  const handlers = new Map();
+  const models = new Map();
+
+  const db = {
+    calls: [],
+    on: (query, handler) => {
+      handlers.set(query, handler);
+      return db;
+    },
+    reset: () => {
+      handlers.clear();
+      db.calls.length = 0;
+    },
+    // Arguments of every call made to query, in order
+    argsOf: (query) => db.calls.filter(call => call.query === query).map(call => call.args)
+  };
+
+  const run = async (query, args, method) => {
+    db.calls.push({ query, args });
+    const handler = handlers.get(query);
+    if (handler) {
+      return handler(args);
+    }
+    return EMPTY_RESULTS[method] ? EMPTY_RESULTS[method](args) : null;
+  };
+
+  const model = (name) => new Proxy({}, {
+    get: (target, method) => {
+      if (method === 'fields') {
+        return new Proxy({}, { get: (fields, field) => ({ modelName: name, name: field }) });
+      }
+      return (args) => run(`${name}.${String(method)}`, args, method);
+    }
+  });
+
+  const client = new Proxy(db, {
+    get: (target, prop) => {
+      if (prop in target) {
+        return target[prop];
+      }
+      if (prop === '$transaction') {
+        return (arg) => typeof arg === 'function' ? arg(client) : Promise.all(arg);
+      }
+      if (prop === '$queryRaw' || prop === '$executeRaw') {
+        return (strings, ...values) => run(prop, sqltag(strings, ...values), prop);
+      }
+      if (typeof prop === 'string' && prop.startsWith('$')) {
+        return (...args) => run(prop, args, prop);
+      }
+      if (!models.has(prop)) {
+        models.set(prop, model(prop));
+      }
+      return models.get(prop);
+    }
+  });
+
+  return client;
+};
+
+const db = createFakeDb();
+
+// Put the stand-in where require('@prisma/client') looks before server.js
+// is loaded
+const clientPath = require.resolve('@prisma/client');
+const fakeClient = new Module(clientPath);
+fakeClient.filename = clientPath;
+fakeClient.loaded = true;
+fakeClient.exports = {
+  PrismaClient: function PrismaClient() {
+    return db;
+  },
+  Prisma: { sql: sqltag, empty, join, raw }
+};
+require.cache[clientPath] = fakeClient;
+
+const { app } = require(path.join(__dirname, '..', '..', 'server'));
+
+// The signed-in user every request made with request() acts as
+const company = { id: 'company-1', name: 'Acme', require_admin_2fa: false };
+const user = {
+  id: 'user-1',
+  name: 'Olive Owner',
+  email: 'owner@example.com',
+  role: 'owner',
+  isActive: true,
+  company_id: company.id,
+  company
+};
+const session = { id: 'session-1', user_id: user.id, revoked_at: null, user };
+
+const token = jwt.sign({ userId: user.id, companyId: company.id, role: user.role, sid: session.id }, process.env.JWT_SECRET);
+
+// An item row as the database returns it, loaded with itemStockInclude
+const itemRow = (fields = {}) => ({
+  id: 'item-1',
+  name: 'Hex bolt',
+  quantity: 0,
+  barcode: 'BOLT-1',
+  sku: null,
+  description: null,
+  category_id: null,
+  tags: [],
+  unit: null,
+  custom_fields: {},
+  image_key: null,
+  reorder_point: 0,
+  reorder_quantity: 0,
+  max_stock: null,
+  unit_cost: null,
+  unit_price: null,
+  supplier_id: null,
+  supplier_sku: null,
+  deleted_at: null,
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  updated_at: new Date('2025-01-01T00:00:00Z'),
+  company_id: company.id,
+  stock_levels: [],
+  packs: [],
+  category: null,
+  ...fields
+});
+
+// Forget the previous test's handlers and calls; the session lookup every
+// authenticated request makes keeps answering with the signed-in user
+const resetDb = () => {
+  db.reset();
+  db.on('session.findUnique', () => session);
+};
+
+// Make the requests that follow act as the signed-in user with fields
+// changed, e.g. signInAs({ role: 'viewer' }); resetDb goes back to the owner
+const signInAs = (fields) => {
+  db.on('session.findUnique', () => ({ ...session, user: { ...user, ...fields } }));
+};
+
+let server;
+
+// Send a request to the app as the signed-in user and resolve to
+// { status, headers, body } with body parsed as JSON when it is JSON.
+// body is sent as JSON unless it is a FormData; signal can abort it.
+const request = async (method, url, { body, headers = {}, signal } = {}) => {
+  if (!server) {
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  }
+
+  const isForm = body instanceof FormData;
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${token}`,
+      ...(body !== undefined && !isForm && { 'content-type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined || isForm ? body : JSON.stringify(body),
+    signal
+  });
+  const text = await response.text();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text
+  };
+};
+
+// The raw text of every email sent so far, oldest first
+const sentMail = () => fs.readdirSync(outboxDir).sort()
+  .map(file => fs.readFileSync(path.join(outboxDir, file), 'utf8'));
+
+const closeApp = async () => {
+  await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+};
+
+module.exports = {
+  db,
+  user,
+  company,
+  itemRow,
+  resetDb,
+  signInAs,
+  request,
+  sentMail,
+  closeApp
+};
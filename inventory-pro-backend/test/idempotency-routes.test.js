@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { db, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+// Keep claimed keys the way the idempotency_keys table would
+const storeKeys = () => {
+  const keys = new Map();
+
+  db.on('idempotencyKey.create', (args) => {
+    if (keys.has(args.data.key)) {
+      throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    }
+    const record = { id: args.data.key, status: 'processing', created_at: new Date(), ...args.data };
+    keys.set(args.data.key, record);
+    return record;
+  });
+  db.on('idempotencyKey.findUnique', (args) => keys.get(args.where.company_id_key.key) ?? null);
+  db.on('idempotencyKey.update', (args) => Object.assign(keys.get(args.where.id), args.data));
+  db.on('idempotencyKey.delete', (args) => keys.delete(args.where.id));
+
+  return keys;
+};
+
+const importCsv = (csv) => {
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'items.csv');
+  return request('POST', '/api/items/import?dryRun=true', { body: form, headers: { 'idempotency-key': 'import-1' } });
+};
+
+test('an upload retried with the same file gets the first response back', async () => {
+  storeKeys();
+
+  const first = await importCsv('name\nHex bolt\n');
+  const retry = await importCsv('name\nHex bolt\n');
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(retry.status, 200);
+  assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(retry.body, first.body);
+});
+
+test('a different file of the same size under the same key is refused', async () => {
+  storeKeys();
+
+  const first = await importCsv('name\nHex bolt\n');
+  const other = await importCsv('name\nWing nut\n');
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(other.status, 422);
+});
+
+test('a request whose client hung up is settled once the route answers', async () => {
+  const keys = storeKeys();
+  db.on('category.create', async (args) => {
+    await sleep(150);
+    return { id: 'category-1', created_at: new Date(), updated_at: new Date(), ...args.data };
+  });
+
+  const controller = new AbortController();
+  const pending = request('POST', '/api/categories', {
+    body: { name: 'Fasteners' },
+    headers: { 'idempotency-key': 'category-1' },
+    signal: controller.signal
+  });
+  await sleep(50);
+  controller.abort();
+  await assert.rejects(pending);
+
+  await sleep(300);
+  assert.strictEqual(keys.get('category-1').status, 'completed');
+  assert.strictEqual(keys.get('category-1').response_status, 201);
+
+  const retry = await request('POST', '/api/categories', {
+    body: { name: 'Fasteners' },
+    headers: { 'idempotency-key': 'category-1' }
+  });
+  assert.strictEqual(retry.status, 201);
+  assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual(db.argsOf('category.create').length, 1);
+});
+
+test('a key left processing past its lease can be claimed again', async () => {
+  storeKeys();
+
+  await request('POST', '/api/categories', { body: { name: '' }, headers: { 'idempotency-key': 'category-2' } });
+
+  const [{ where }] = db.argsOf('idempotencyKey.deleteMany');
+  const stale = where.OR.find(condition => condition.status === 'processing');
+  assert.ok(stale, 'processing keys are cleared');
+  assert.ok(Date.now() - stale.created_at.lt.getTime() >= 5 * 60 * 1000);
+  assert.ok(Date.now() - stale.created_at.lt.getTime() < 10 * 60 * 1000);
+});
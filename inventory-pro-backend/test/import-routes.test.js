@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const csvUpload = (lines, query = '') => {
+  const form = new FormData();
+  form.append('file', new Blob([lines.join('\n')], { type: 'text/csv' }), 'items.csv');
+  return request('POST', `/api/items/import${query}`, { body: form });
+};
+
+const definition = (fields) => ({ options: [], required: false, ...fields });
+
+const categories = [
+  { id: 'hardware', name: 'Hardware', parent_id: null },
+  { id: 'hardware-screws', name: 'Screws', parent_id: 'hardware' },
+  { id: 'wood', name: 'Wood', parent_id: null },
+  { id: 'wood-screws', name: 'Screws', parent_id: 'wood' }
+];
+
+test('rows missing a required custom field are refused', async () => {
+  db.on('customFieldDefinition.findMany', () => [definition({ key: 'color', label: 'Color', type: 'text', required: true })]);
+
+  const res = await csvUpload([
+    'name,barcode,cf:color',
+    'Hex bolt,BOLT-1,silver',
+    'Wing nut,NUT-1,'
+  ]);
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.errors, [{ row: 3, field: 'custom_fields', message: 'Color is required' }]);
+  assert.strictEqual(db.argsOf('item.createManyAndReturn').length, 0);
+});
+
+test('a required custom field without a column is refused on every row', async () => {
+  db.on('customFieldDefinition.findMany', () => [definition({ key: 'color', label: 'Color', type: 'text', required: true })]);
+
+  const res = await csvUpload(['name,barcode', 'Hex bolt,BOLT-1'], '?dryRun=true');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.valid, 0);
+  assert.strictEqual(res.body.errors[0].message, 'Color is required');
+});
+
+test('custom field values are checked against their type', async () => {
+  db.on('customFieldDefinition.findMany', () => [definition({ key: 'weight', label: 'Weight', type: 'number' })]);
+
+  const res = await csvUpload(['name,barcode,cf:weight', 'Hex bolt,BOLT-1,heavy'], '?dryRun=true');
+
+  assert.deepStrictEqual(res.body.errors, [{ row: 2, field: 'custom_fields', message: 'Weight must be a number' }]);
+});
+
+test('unknown custom field columns are refused', async () => {
+  const res = await csvUpload(['name,cf:colour', 'Hex bolt,red']);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Unknown custom field columns: cf:colour');
+});
+
+test('categories, packs and custom fields are imported', async () => {
+  db.on('customFieldDefinition.findMany', () => [definition({ key: 'weight', label: 'Weight', type: 'number' })]);
+  db.on('category.findMany', () => categories);
+
+  const res = await csvUpload([
+    'name,barcode,category,packs,cf:weight',
+    'Hex bolt,BOLT-1,hardware > screws,"box=12, case=144",2.5',
+    'Wing nut,NUT-1,,,'
+  ]);
+
+  assert.strictEqual(res.status, 201);
+
+  const [{ data }] = db.argsOf('item.createManyAndReturn');
+  assert.strictEqual(data[0].category_id, 'hardware-screws');
+  assert.deepStrictEqual(data[0].custom_fields, { weight: 2.5 });
+  assert.strictEqual(data[1].category_id, null);
+  assert.deepStrictEqual(data[1].custom_fields, {});
+
+  assert.deepStrictEqual(db.argsOf('itemPack.createMany')[0].data, [
+    { name: 'box', quantity: 12, item_id: 'created-0' },
+    { name: 'case', quantity: 144, item_id: 'created-0' }
+  ]);
+});
+
+test('a category name shared by several categories needs its path', async () => {
+  db.on('category.findMany', () => categories);
+
+  const res = await csvUpload(['name,barcode,category', 'Hex bolt,BOLT-1,Screws', 'Wing nut,NUT-1,Lumber'], '?dryRun=true');
+
+  assert.deepStrictEqual(res.body.errors.map(error => [error.row, error.field]), [[2, 'category'], [3, 'category']]);
+  assert.match(res.body.errors[0].message, /give its path/);
+  assert.strictEqual(res.body.errors[1].message, 'Unknown category Lumber');
+});
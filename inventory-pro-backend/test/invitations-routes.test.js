@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db, user, company, resetDb, signInAs, request, sentMail, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationRow = (fields = {}) => ({
+  id: 'invitation-1',
+  email: 'new@example.com',
+  name: 'Nia New',
+  role: 'manager',
+  token_hash: hash('invite-token'),
+  sent_count: 1,
+  last_sent_at: new Date('2025-01-01T00:00:00Z'),
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  accepted_at: null,
+  revoked_at: null,
+  invited_by_id: user.id,
+  invited_by: { name: user.name },
+  company_id: company.id,
+  company: { ...company, max_users: null },
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  ...fields
+});
+
+const accept = (body) => request('POST', '/api/invitations/accept', { body: { token: 'invite-token', password: 'correct horse 1', ...body } });
+
+test('accepting an invitation creates the account with the invited role and signs it in', async () => {
+  db.on('invitation.findUnique', () => invitationRow());
+  db.on('invitation.updateMany', () => ({ count: 1 }));
+  db.on('user.create', ({ data }) => ({ id: 'user-2', created_at: new Date(), ...data }));
+
+  const res = await accept({ name: '  Nia  ' });
+
+  assert.strictEqual(res.status, 201);
+  assert.ok(res.body.refreshToken);
+  assert.strictEqual(res.body.user.role, 'manager');
+  assert.deepStrictEqual(db.argsOf('invitation.findUnique')[0].where, { token_hash: hash('invite-token') });
+  assert.deepStrictEqual(db.argsOf('invitation.updateMany')[0].where, {
+    id: 'invitation-1',
+    token_hash: hash('invite-token'),
+    accepted_at: null,
+    revoked_at: null
+  });
+
+  const [{ data }] = db.argsOf('user.create');
+  assert.strictEqual(data.name, 'Nia');
+  assert.strictEqual(data.email, 'new@example.com');
+  assert.deepStrictEqual(db.argsOf('invitation.update')[0].data, { user_id: 'user-2' });
+
+  const [{ data: entry }] = db.argsOf('auditLog.create');
+  assert.strictEqual(entry.action, 'user.create');
+  assert.deepStrictEqual(entry.metadata, { invitation_id: 'invitation-1', invited_by_id: user.id });
+});
+
+test('an invitation link works only once', async () => {
+  db.on('invitation.findUnique', () => invitationRow());
+  // Accepted, resent or revoked since it was looked up
+  db.on('invitation.updateMany', () => ({ count: 0 }));
+
+  const res = await accept();
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.error, 'This invitation is invalid or has expired');
+  assert.strictEqual(db.argsOf('user.create').length, 0);
+});
+
+test('accepted, revoked and expired invitations cannot be accepted', async () => {
+  for (const fields of [
+    { accepted_at: new Date() },
+    { revoked_at: new Date() },
+    { expires_at: new Date(Date.now() - 1000) }
+  ]) {
+    db.on('invitation.findUnique', () => invitationRow(fields));
+    assert.strictEqual((await accept()).status, 404);
+  }
+  assert.strictEqual(db.argsOf('invitation.updateMany').length, 0);
+});
+
+test('an invitation for an email that already has an account is refused', async () => {
+  db.on('invitation.findUnique', () => invitationRow());
+  db.on('invitation.updateMany', () => ({ count: 1 }));
+  db.on('user.findUnique', () => ({ id: 'user-9', email: 'new@example.com' }));
+
+  const res = await accept();
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(db.argsOf('user.create').length, 0);
+});
+
+// Undo the quoted-printable line folding of an emailed link
+const linkToken = (email) => email.replace(/=\r?\n/g, '').replace(/=3D/g, '=').match(/\?invite=([\w-]+)/)[1];
+
+test('resending an invitation emails a new link and replaces the old one', async () => {
+  db.on('invitation.findFirst', () => invitationRow());
+  db.on('invitation.update', ({ data }) => invitationRow({ ...data, sent_count: 2 }));
+
+  const res = await request('POST', '/api/invitations/resend', { body: { id: 'invitation-1' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.emailSent, true);
+  assert.strictEqual(res.body.invitationLink, undefined);
+
+  const [{ data }] = db.argsOf('invitation.update');
+  assert.deepStrictEqual(data.sent_count, { increment: 1 });
+  assert.ok(data.expires_at > new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+  assert.notStrictEqual(data.token_hash, hash('invite-token'));
+  assert.strictEqual(hash(linkToken(sentMail().pop())), data.token_hash);
+});
+
+test('an expired invitation needs a free seat to be resent', async () => {
+  signInAs({ company: { ...company, max_users: 2 } });
+  db.on('invitation.findFirst', () => invitationRow({ expires_at: new Date(Date.now() - 1000) }));
+  db.on('user.count', () => 2);
+
+  const res = await request('POST', '/api/invitations/resend', { body: { id: 'invitation-1' } });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, 'user_limit_reached');
+  assert.strictEqual(db.argsOf('invitation.update').length, 0);
+});
+
+test('accepted and revoked invitations are not resent', async () => {
+  db.on('invitation.findFirst', () => invitationRow({ accepted_at: new Date() }));
+
+  const res = await request('POST', '/api/invitations/resend', { body: { id: 'invitation-1' } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Cannot resend an invitation that was accepted');
+  assert.strictEqual(db.argsOf('invitation.update').length, 0);
+});
+
+test('revoking an invitation only reaches pending ones of the company', async () => {
+  const revoke = () => request('POST', '/api/invitations/revoke', { body: { id: 'invitation-1' } });
+
+  db.on('invitation.updateMany', () => ({ count: 1 }));
+  assert.deepStrictEqual((await revoke()).body, { success: true });
+
+  const [{ where, data }] = db.argsOf('invitation.updateMany');
+  assert.deepStrictEqual(where, { id: 'invitation-1', company_id: company.id, accepted_at: null, revoked_at: null });
+  assert.ok(data.revoked_at instanceof Date);
+
+  db.on('invitation.updateMany', () => ({ count: 0 }));
+  db.on('invitation.findFirst', () => invitationRow({ accepted_at: new Date() }));
+  assert.strictEqual((await revoke()).body.error, 'Invitation was already accepted');
+
+  db.on('invitation.findFirst', () => null);
+  assert.strictEqual((await revoke()).status, 404);
+});
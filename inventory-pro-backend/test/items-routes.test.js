@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+test('GET /api/items keeps the status filter when searching', async () => {
+  const res = await request('GET', '/api/items?status=ok&q=bolt');
+
+  assert.strictEqual(res.status, 200);
+
+  const { where } = db.argsOf('item.findMany')[0];
+  assert.strictEqual(where.OR, undefined);
+  assert.deepStrictEqual(where.AND.map(filter => Object.keys(filter)), [['quantity', 'OR'], ['OR']]);
+  assert.deepStrictEqual(where.AND[0].OR[0], { max_stock: null });
+  assert.deepStrictEqual(where.AND[1].OR[0], { name: { contains: 'bolt', mode: 'insensitive' } });
+});
+
+test('GET /api/items combines custom field filters with the others', async () => {
+  db.on('customFieldDefinition.findMany', () => [{ key: 'color', label: 'Color', type: 'text', options: [] }]);
+
+  const res = await request('GET', '/api/items?status=low&q=bolt&cf[color]=red');
+
+  assert.strictEqual(res.status, 200);
+
+  const { where } = db.argsOf('item.findMany')[0];
+  assert.strictEqual(where.AND.length, 3);
+  assert.deepStrictEqual(where.AND[2], { custom_fields: { path: ['color'], equals: 'red' } });
+});
+
+test('restoring an item from the trash is audited and sent to webhooks', async () => {
+  const deleted = itemRow({ deleted_at: new Date('2025-02-01T00:00:00Z') });
+  db.on('item.findFirst', () => deleted);
+  db.on('item.update', () => itemRow());
+  db.on('webhook.findMany', () => [{ id: 'webhook-1' }]);
+
+  const res = await request('POST', '/api/items/restore', { body: { id: 'item-1' } });
+
+  assert.strictEqual(res.status, 200);
+
+  const [{ data: entry }] = db.argsOf('auditLog.create');
+  assert.strictEqual(entry.action, 'item.restore');
+  assert.strictEqual(entry.entity_id, 'item-1');
+  assert.ok(entry.before.deleted_at);
+  assert.strictEqual(entry.after.deleted_at, null);
+
+  assert.deepStrictEqual(db.argsOf('webhook.findMany')[0].where.events, { has: 'item.restored' });
+  const [{ data: deliveries }] = db.argsOf('webhookDelivery.createMany');
+  assert.strictEqual(deliveries[0].event, 'item.restored');
+  assert.strictEqual(deliveries[0].payload.data.item.id, 'item-1');
+});
+
+test('PUT /api/items logs no activity when the quantity does not change', async () => {
+  db.on('item.findFirst', () => itemRow({ quantity: 12 }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', () => itemRow({ quantity: 12 }));
+
+  const res = await request('PUT', '/api/items', { body: { id: 'item-1', quantity: 12 } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.argsOf('activity.create').length, 0);
+});
+
+test('PUT /api/items logs the change when the quantity goes down', async () => {
+  db.on('item.findFirst', () => itemRow({ quantity: 12 }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', () => itemRow({ quantity: 9 }));
+
+  const res = await request('PUT', '/api/items', { body: { id: 'item-1', quantity: 9 } });
+
+  assert.strictEqual(res.status, 200);
+
+  const [{ data: activity }] = db.argsOf('activity.create');
+  assert.strictEqual(activity.type, 'removed');
+  assert.strictEqual(activity.quantity, 3);
+  assert.strictEqual(activity.old_quantity, 12);
+});
+
+test('GET /api/items pages on with the cursor of the previous page', async () => {
+  db.on('item.findMany', () => [itemRow({ id: 'cm1item' }), itemRow({ id: 'cm2item' })]);
+
+  const first = await request('GET', '/api/items?limit=1');
+  const cursor = first.headers.get('x-next-cursor');
+
+  assert.strictEqual(first.body.length, 1);
+
+  const next = await request('GET', `/api/items?limit=1&cursor=${cursor}`);
+
+  assert.strictEqual(next.status, 200);
+  assert.deepStrictEqual(db.argsOf('item.findMany')[1].cursor, { id: 'cm1item' });
+});
+
+test('GET /api/items returns 100 items at a time when no limit is given', async () => {
+  db.on('item.findMany', (args) => Array.from({ length: args.take }, (_, i) => itemRow({ id: `item${i}` })));
+
+  const res = await request('GET', '/api/items');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.argsOf('item.findMany')[0].take, 101);
+  assert.strictEqual(res.body.length, 100);
+  assert.strictEqual(Buffer.from(res.headers.get('x-next-cursor'), 'base64url').toString(), 'item99');
+});
+
+test('GET /api/items answers a malformed cursor with a 400', async () => {
+  for (const query of ['cursor=%00%00', 'cursor=AAEC', 'cursor=not*base64', 'cursor[id]=1', 'cursor=a&cursor=b']) {
+    const res = await request('GET', `/api/items?limit=10&${query}`);
+
+    assert.strictEqual(res.status, 400, query);
+    assert.match(res.body.error, /Cursor is not valid/);
+  }
+
+  assert.strictEqual(db.argsOf('item.findMany').length, 0);
+});
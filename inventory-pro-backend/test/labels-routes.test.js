@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+test('POST /api/items/labels refuses ids that are not non-empty strings', async () => {
+  for (const ids of [[''], [null], [42], [{ id: 'item-1' }], ['item-1', ['item-2']]]) {
+    const res = await request('POST', '/api/items/labels', { body: { ids, format: 'svg' } });
+
+    assert.strictEqual(res.status, 400, JSON.stringify(ids));
+    assert.strictEqual(res.body.error, 'Item IDs must be non-empty strings');
+  }
+
+  assert.strictEqual(db.argsOf('item.findMany').length, 0);
+});
+
+test('POST /api/items/labels renders the labels asked for', async () => {
+  db.on('item.findMany', () => [itemRow({ barcode: 'BOLT-1' })]);
+
+  const res = await request('POST', '/api/items/labels', { body: { ids: ['item-1'], format: 'svg', symbology: 'code128' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /image\/svg\+xml/);
+  assert.match(res.body, /Hex bolt/);
+});
@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const locationRow = (fields = {}) => ({
+  id: 'loc-a',
+  name: 'Aisle A',
+  code: 'A',
+  type: 'warehouse',
+  parent_id: null,
+  company_id: 'company-1',
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  updated_at: new Date('2025-01-01T00:00:00Z'),
+  ...fields
+});
+
+const locations = [
+  locationRow(),
+  locationRow({ id: 'loc-b', name: 'Aisle B', code: 'B' }),
+  locationRow({ id: 'bin-a1', name: 'Bin A1', code: 'A1', type: 'bin', parent_id: 'loc-a' })
+];
+
+// Locations looked up by id, as findFirst does
+const knownLocations = () => db.on('location.findFirst', (args) => locations.find(location => location.id === args.where.id) || null);
+
+test('POST /api/locations refuses a name or code that is not text', async () => {
+  for (const body of [{ name: 'Aisle C', code: 7 }, { name: ['Aisle C'], code: 'C' }]) {
+    const res = await request('POST', '/api/locations', { body });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Name and code must be text');
+  }
+  assert.strictEqual(db.argsOf('location.create').length, 0);
+});
+
+test('POST /api/locations creates the location and audits it', async () => {
+  db.on('location.create', (args) => locationRow({ id: 'loc-c', ...args.data }));
+
+  const res = await request('POST', '/api/locations', { body: { name: ' Aisle C ', code: 'c' } });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.code, 'C');
+
+  const [{ data: audit }] = db.argsOf('auditLog.create');
+  assert.strictEqual(audit.action, 'location.create');
+  assert.strictEqual(audit.entity_id, 'loc-c');
+  assert.strictEqual(audit.after.name, 'Aisle C');
+});
+
+test('PUT /api/locations refuses a code that is not text', async () => {
+  knownLocations();
+
+  const res = await request('PUT', '/api/locations', { body: { id: 'loc-a', code: 12 } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Name and code must be text');
+  assert.strictEqual(db.argsOf('location.update').length, 0);
+});
+
+test('PUT /api/locations renames the location and audits before and after', async () => {
+  knownLocations();
+  db.on('location.update', (args) => locationRow({ ...args.data }));
+
+  const res = await request('PUT', '/api/locations', { body: { id: 'loc-a', name: 'Aisle One' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.name, 'Aisle One');
+
+  const [{ data: audit }] = db.argsOf('auditLog.create');
+  assert.strictEqual(audit.action, 'location.update');
+  assert.strictEqual(audit.before.name, 'Aisle A');
+  assert.strictEqual(audit.after.name, 'Aisle One');
+});
+
+test('DELETE /api/locations keeps a location that still holds stock', async () => {
+  db.on('location.findFirst', () => ({ ...locationRow({ id: 'loc-b' }), _count: { children: 0 } }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 3 } }));
+
+  const res = await request('DELETE', '/api/locations', { body: { id: 'loc-b' } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(db.argsOf('location.delete').length, 0);
+});
+
+test('DELETE /api/locations deletes an empty location and audits it', async () => {
+  db.on('location.findFirst', () => ({ ...locationRow({ id: 'loc-b', code: 'B' }), _count: { children: 0 } }));
+
+  const res = await request('DELETE', '/api/locations', { body: { id: 'loc-b' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('location.delete')[0].where, { id: 'loc-b' });
+
+  const [{ data: audit }] = db.argsOf('auditLog.create');
+  assert.strictEqual(audit.action, 'location.delete');
+  assert.strictEqual(audit.before.code, 'B');
+  assert.strictEqual(audit.after, undefined);
+});
+
+test('GET /api/locations totals the stock held at each location', async () => {
+  db.on('location.findMany', () => locations);
+  db.on('stockLevel.groupBy', () => [{ location_id: 'loc-a', _sum: { quantity: 7 } }, { location_id: 'bin-a1', _sum: { quantity: 2 } }]);
+
+  const res = await request('GET', '/api/locations');
+
+  assert.deepStrictEqual(res.body.map(location => [location.code, location.quantity]), [['A', 7], ['B', 0], ['A1', 2]]);
+});
+
+test('GET /api/locations/stock covers the location and everything below it', async () => {
+  db.on('location.findMany', () => locations);
+
+  const res = await request('GET', '/api/locations/stock?locationId=loc-a');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('stockLevel.findMany')[0].where.location_id, { in: ['loc-a', 'bin-a1'] });
+});
+
+test('items report their stock per location next to what is unassigned', async () => {
+  db.on('item.findMany', () => [itemRow({
+    quantity: 10,
+    stock_levels: [
+      { location_id: 'loc-a', quantity: 6, location: locations[0] },
+      { location_id: 'loc-b', quantity: 0, location: locations[1] }
+    ]
+  })]);
+
+  const res = await request('GET', '/api/items');
+
+  assert.deepStrictEqual(res.body[0].locations.map(level => [level.location_code, level.quantity]), [['A', 6]]);
+  assert.strictEqual(res.body[0].unassigned_quantity, 4);
+});
+
+test('a movement at a location changes the stock held there', async () => {
+  knownLocations();
+  db.on('item.findFirst', () => itemRow({ quantity: 10 }));
+  db.on('stockLevel.updateMany', () => ({ count: 1 }));
+  db.on('item.update', () => itemRow({ quantity: 10 }));
+
+  const added = await request('POST', '/api/stock/movements', { body: { itemId: 'item-1', delta: 4, reason: 'receipt', locationId: 'loc-a' } });
+  assert.strictEqual(added.status, 201);
+  assert.deepStrictEqual(db.argsOf('stockLevel.upsert')[0].update, { quantity: { increment: 4 } });
+
+  const removed = await request('POST', '/api/stock/movements', { body: { itemId: 'item-1', delta: -2, reason: 'sale', locationId: 'loc-a' } });
+  assert.strictEqual(removed.status, 201);
+  assert.deepStrictEqual(db.argsOf('stockLevel.updateMany')[0].where, { item_id: 'item-1', location_id: 'loc-a', quantity: { gte: 2 } });
+
+  assert.deepStrictEqual(db.argsOf('activity.create').map(({ data }) => [data.type, data.location_id]), [['added', 'loc-a'], ['removed', 'loc-a']]);
+});
+
+test('a removal larger than the stock held at the location is refused', async () => {
+  knownLocations();
+  db.on('item.findFirst', () => itemRow({ quantity: 10 }));
+  db.on('stockLevel.updateMany', () => ({ count: 0 }));
+
+  const res = await request('POST', '/api/stock/movements', { body: { itemId: 'item-1', delta: -5, reason: 'sale', locationId: 'loc-a' } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Insufficient stock of Hex bolt at Aisle A');
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('a transfer moves stock between locations and logs both sides', async () => {
+  knownLocations();
+  db.on('item.findFirst', () => itemRow({ quantity: 10 }));
+  db.on('stockLevel.updateMany', () => ({ count: 1 }));
+  db.on('item.update', () => itemRow({ quantity: 10, updated_at: new Date('2025-01-02T00:00:00Z') }));
+
+  const res = await request('POST', '/api/stock/transfer', {
+    body: { itemId: 'item-1', fromLocationId: 'loc-a', toLocationId: 'loc-b', quantity: 3 }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('stockLevel.updateMany')[0], {
+    where: { item_id: 'item-1', location_id: 'loc-a', quantity: { gte: 3 } },
+    data: { quantity: { decrement: 3 } }
+  });
+  assert.deepStrictEqual(db.argsOf('stockLevel.upsert')[0].update, { quantity: { increment: 3 } });
+  assert.strictEqual(db.argsOf('stockLevel.upsert')[0].where.item_id_location_id.location_id, 'loc-b');
+
+  // The total stays put; both sides go to Activity in one write
+  assert.strictEqual('quantity' in db.argsOf('item.update')[0].data, false);
+  const [{ data: activities }] = db.argsOf('activity.createMany');
+  assert.deepStrictEqual(
+    activities.map(activity => [activity.type, activity.location_id, activity.quantity]),
+    [['transfer_out', 'loc-a', 3], ['transfer_in', 'loc-b', 3]]
+  );
+  assert.strictEqual(db.argsOf('auditLog.create')[0].data.action, 'item.transfer');
+});
+
+test('a transfer the source cannot cover changes nothing', async () => {
+  knownLocations();
+  db.on('item.findFirst', () => itemRow({ quantity: 10 }));
+  db.on('stockLevel.updateMany', () => ({ count: 0 }));
+
+  const res = await request('POST', '/api/stock/transfer', {
+    body: { itemId: 'item-1', fromLocationId: 'loc-a', toLocationId: 'loc-b', quantity: 30 }
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Insufficient stock at Aisle A');
+  assert.strictEqual(db.argsOf('stockLevel.upsert').length, 0);
+  assert.strictEqual(db.argsOf('activity.createMany').length, 0);
+});
+
+test('a transfer out of unassigned stock is limited to what is unassigned', async () => {
+  knownLocations();
+  db.on('item.findFirst', () => itemRow({ quantity: 10 }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 8 } }));
+
+  const res = await request('POST', '/api/stock/transfer', { body: { itemId: 'item-1', toLocationId: 'loc-b', quantity: 3 } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Insufficient unassigned stock');
+});
+
+test('a transfer needs a positive whole quantity and two different sides', async () => {
+  for (const body of [
+    { quantity: '1.5', fromLocationId: 'loc-a', toLocationId: 'loc-b' },
+    { quantity: '2abc', fromLocationId: 'loc-a', toLocationId: 'loc-b' },
+    { quantity: 0, fromLocationId: 'loc-a', toLocationId: 'loc-b' },
+    { quantity: 2 },
+    { quantity: 2, fromLocationId: 'loc-a', toLocationId: 'loc-a' }
+  ]) {
+    const res = await request('POST', '/api/stock/transfer', { body: { itemId: 'item-1', ...body } });
+    assert.strictEqual(res.status, 400, JSON.stringify(body));
+  }
+});
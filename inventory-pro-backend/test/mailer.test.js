@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailer, registerTransport } = require('../lib/mailer');
+
+test('the file transport writes each message into the outbox as an .eml file', async (t) => {
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-test-'));
+  t.after(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+  const mailer = createMailer({ MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: path.join(outboxDir, 'outbox'), MAIL_FROM: 'Stock <stock@example.com>' });
+
+  assert.strictEqual(mailer.transport, 'file');
+  assert.strictEqual(mailer.configured, true);
+  assert.strictEqual(await mailer.verify(), null);
+
+  const { messageId } = await mailer.send({ to: 'ada@example.com', subject: 'Hello', text: 'Hi Ada' });
+  await mailer.send({ to: 'bob@example.com', subject: 'Again', text: 'Hi Bob' });
+
+  const files = fs.readdirSync(path.join(outboxDir, 'outbox')).sort();
+  assert.strictEqual(files.length, 2);
+  assert.ok(files.every(file => file.endsWith('.eml')));
+
+  const message = fs.readFileSync(path.join(outboxDir, 'outbox', files[0]), 'utf8');
+  assert.match(message, /^From: Stock <stock@example\.com>$/m);
+  assert.match(message, /^To: ada@example\.com$/m);
+  assert.match(message, /^Subject: Hello$/m);
+  assert.ok(message.includes(messageId));
+});
+
+test('without configuration mail goes to the outbox but does not count as delivered', () => {
+  const mailer = createMailer({});
+
+  assert.strictEqual(mailer.transport, 'file');
+  assert.strictEqual(mailer.configured, false);
+});
+
+test('SMTP is used when a host is set', () => {
+  const mailer = createMailer({ SMTP_HOST: 'smtp.example.com' });
+
+  assert.strictEqual(mailer.transport, 'smtp');
+  assert.strictEqual(mailer.configured, true);
+});
+
+test('an unknown transport is refused and new ones can be registered', async () => {
+  assert.throws(() => createMailer({ MAIL_TRANSPORT: 'pigeon' }), /Unknown MAIL_TRANSPORT "pigeon"/);
+
+  const sent = [];
+  registerTransport('pigeon', () => ({
+    name: 'pigeon',
+    configured: true,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: 'coo' };
+    },
+    verify: async () => null
+  }));
+
+  const mailer = createMailer({ MAIL_TRANSPORT: 'pigeon' });
+  assert.deepStrictEqual(await mailer.send({ to: 'ada@example.com' }), { messageId: 'coo' });
+  assert.deepStrictEqual(sent, [{ from: 'Inventory Pro <no-reply@inventorypro.app>', to: 'ada@example.com' }]);
+});
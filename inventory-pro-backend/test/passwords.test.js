@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { passwordPolicyFromEnv, describePasswordPolicy, validatePassword } = require('../lib/passwords');
+
+const defaults = passwordPolicyFromEnv({});
+
+test('the default policy asks for 8 characters including a number', () => {
+  assert.strictEqual(validatePassword('abcdefg1', defaults), null);
+  assert.strictEqual(validatePassword('abcdef1', defaults), 'Password must be at least 8 characters');
+  assert.strictEqual(validatePassword('abcdefgh', defaults), 'Password must contain a number');
+  assert.strictEqual(validatePassword('', defaults), 'Password is required');
+  assert.strictEqual(validatePassword(12345678, defaults), 'Password is required');
+});
+
+test('passwords longer than bcrypt reads are refused', () => {
+  assert.strictEqual(validatePassword('1'.repeat(72), defaults), null);
+  assert.strictEqual(validatePassword('1'.repeat(73), defaults), 'Password must be at most 72 bytes');
+  // Counted in bytes, not characters
+  assert.strictEqual(validatePassword('é1'.repeat(25), defaults), 'Password must be at most 72 bytes');
+});
+
+test('each optional rule is enforced when switched on', () => {
+  const policy = passwordPolicyFromEnv({
+    PASSWORD_MIN_LENGTH: '10',
+    PASSWORD_REQUIRE_UPPERCASE: 'true',
+    PASSWORD_REQUIRE_LOWERCASE: 'true',
+    PASSWORD_REQUIRE_SYMBOL: 'true'
+  });
+
+  assert.strictEqual(validatePassword('abcdefgh1!', policy), 'Password must contain an uppercase letter');
+  assert.strictEqual(validatePassword('ABCDEFGH1!', policy), 'Password must contain a lowercase letter');
+  assert.strictEqual(validatePassword('Abcdefgh12', policy), 'Password must contain a symbol');
+  assert.strictEqual(validatePassword('Abcdefgh1!', policy), null);
+});
+
+test('the minimum length cannot be set below 6 and the number rule can be switched off', () => {
+  const policy = passwordPolicyFromEnv({ PASSWORD_MIN_LENGTH: '2', PASSWORD_REQUIRE_NUMBER: 'false' });
+
+  assert.strictEqual(policy.minLength, 6);
+  assert.strictEqual(validatePassword('abcdef', policy), null);
+  assert.deepStrictEqual(describePasswordPolicy(policy), ['At least 6 characters']);
+  assert.deepStrictEqual(describePasswordPolicy(defaults), ['At least 8 characters', 'A number']);
+});
+
+test('the password may not contain the local part of the email', () => {
+  const options = { email: 'Olive.Owner@example.com' };
+
+  assert.strictEqual(validatePassword('my-olive.owner-1', defaults, options), 'Password must not contain your email address');
+  assert.strictEqual(validatePassword('correct horse 1', defaults, options), null);
+  // Local parts shorter than three characters are too common to refuse
+  assert.strictEqual(validatePassword('bob-is-here-1', defaults, { email: 'bo@example.com' }), null);
+});
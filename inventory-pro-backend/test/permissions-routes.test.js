@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, signInAs, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+test('a viewer cannot delete items', async () => {
+  signInAs({ role: 'viewer' });
+
+  const res = await request('DELETE', '/api/items', { body: { id: 'item-1' } });
+
+  assert.strictEqual(res.status, 403);
+  assert.deepStrictEqual(res.body, { error: 'Permission denied', permission: 'items:delete' });
+  assert.strictEqual(db.argsOf('item.findFirst').length, 0);
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('a viewer can still see items', async () => {
+  signInAs({ role: 'viewer' });
+
+  assert.strictEqual((await request('GET', '/api/items')).status, 200);
+});
+
+test('a clerk can move stock but not edit item details', async () => {
+  signInAs({ role: 'clerk' });
+  db.on('item.findFirst', () => itemRow({ quantity: 5 }));
+  db.on('item.update', () => itemRow({ quantity: 6 }));
+
+  const moved = await request('POST', '/api/stock/movements', { body: { itemId: 'item-1', delta: 1, reason: 'receipt' } });
+  const edited = await request('PATCH', '/api/items', { body: { id: 'item-1', name: 'Renamed' } });
+
+  assert.strictEqual(moved.status, 201);
+  assert.strictEqual(edited.status, 403);
+  assert.strictEqual(edited.body.permission, 'items:update');
+});
+
+test('accounts holding the legacy "user" role get the clerk\'s access', async () => {
+  signInAs({ role: 'user' });
+
+  assert.strictEqual((await request('DELETE', '/api/items', { body: { id: 'item-1' } })).status, 403);
+  assert.notStrictEqual((await request('POST', '/api/stock/movements', { body: { itemId: 'item-1', delta: 0 } })).status, 403);
+});
+
+test('a role the server does not know grants nothing', async () => {
+  signInAs({ role: 'superuser' });
+
+  assert.strictEqual((await request('GET', '/api/items')).status, 403);
+});
+
+test('a manager may delete items but not manage the team', async () => {
+  signInAs({ role: 'manager' });
+
+  const deleted = await request('DELETE', '/api/items', { body: { id: 'item-1' } });
+  const invited = await request('POST', '/api/users/invite', { body: { email: 'new@example.com', name: 'New', role: 'viewer' } });
+
+  assert.strictEqual(deleted.status, 404);
+  assert.strictEqual(invited.status, 403);
+  assert.strictEqual(invited.body.permission, 'users:manage');
+});
+
+test('inviting with a role that does not exist is refused', async () => {
+  const res = await request('POST', '/api/users/invite', { body: { email: 'new@example.com', name: 'New', role: 'superuser' } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Role must be one of: owner, admin, manager, clerk, viewer');
+  assert.strictEqual(db.argsOf('invitation.create').length, 0);
+});
+
+test('nobody can invite someone with more access than they hold, or as owner', async () => {
+  signInAs({ role: 'admin' });
+  const asAdmin = await request('POST', '/api/users/invite', { body: { email: 'new@example.com', name: 'New', role: 'Owner' } });
+
+  resetDb();
+  const asOwner = await request('POST', '/api/users/invite', { body: { email: 'new@example.com', name: 'New', role: 'owner' } });
+
+  assert.strictEqual(asAdmin.status, 403);
+  assert.strictEqual(asAdmin.body.error, 'You cannot invite users with the owner role');
+  assert.strictEqual(asOwner.status, 403);
+  assert.strictEqual(db.argsOf('invitation.create').length, 0);
+});
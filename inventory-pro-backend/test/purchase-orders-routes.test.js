@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const lineRow = (fields = {}) => ({
+  id: 'line-1',
+  item_id: 'item-1',
+  item_name: 'Hex bolt',
+  quantity_ordered: 10,
+  quantity_received: 0,
+  unit_cost: 0.25,
+  purchase_order_id: 'po-1',
+  ...fields
+});
+
+const purchaseOrderRow = (fields = {}) => ({
+  id: 'po-1',
+  number: 'PO-00001',
+  status: 'sent',
+  supplier_id: 'supplier-1',
+  supplier: { id: 'supplier-1', name: 'Bolts Ltd' },
+  expected_at: null,
+  notes: null,
+  sent_at: new Date('2025-01-01T00:00:00Z'),
+  closed_at: null,
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  updated_at: new Date('2025-01-01T00:00:00Z'),
+  company_id: 'company-1',
+  lines: [lineRow()],
+  ...fields
+});
+
+// A sent order for lines, with item-1 holding 5 and `outstanding` lines
+// left once the receipt is booked
+const sentOrder = (lines, { status = 'sent', outstanding = 1 } = {}) => {
+  db.on('purchaseOrder.findFirst', () => purchaseOrderRow({ status, lines }));
+  db.on('item.findFirst', () => itemRow({ quantity: 5, unit_cost: 0.2 }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', (args) => itemRow({ quantity: 5 + args.data.quantity.increment }));
+  db.on('purchaseOrderLine.count', () => outstanding);
+  db.on('purchaseOrder.update', (args) => purchaseOrderRow({ ...args.data, lines }));
+};
+
+const receive = (lines) => request('POST', '/api/purchase-orders/receive', { body: { id: 'po-1', lines } });
+
+test('a partial receipt books the stock and leaves the order partially received', async () => {
+  sentOrder([lineRow()]);
+
+  const res = await receive([{ lineId: 'line-1', quantity: 4 }]);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'partially_received');
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: 4 } });
+  assert.deepStrictEqual(db.argsOf('purchaseOrderLine.update')[0], {
+    where: { id: 'line-1' },
+    data: { quantity_received: { increment: 4 } }
+  });
+
+  const [{ data: activity }] = db.argsOf('activity.create');
+  assert.strictEqual(activity.type, 'received');
+  assert.strictEqual(activity.quantity, 4);
+  assert.strictEqual(activity.unit_cost, 0.25);
+  assert.strictEqual(activity.purchase_order_id, 'po-1');
+  assert.strictEqual(db.argsOf('auditLog.create')[0].data.action, 'item.receive');
+});
+
+test('receiving what is left closes the order', async () => {
+  sentOrder([lineRow({ quantity_received: 4 })], { status: 'partially_received', outstanding: 0 });
+
+  const res = await receive([{ lineId: 'line-1', quantity: 6 }]);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'closed');
+  assert.ok(db.argsOf('purchaseOrder.update')[0].data.closed_at instanceof Date);
+});
+
+test('receiving more than is outstanding is refused and books nothing', async () => {
+  sentOrder([lineRow({ quantity_received: 8 })], { status: 'partially_received' });
+
+  const res = await receive([{ lineId: 'line-1', quantity: 3 }]);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Cannot receive more Hex bolt than is outstanding');
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+  assert.strictEqual(db.argsOf('purchaseOrderLine.update').length, 0);
+  assert.strictEqual(db.argsOf('activity.create').length, 0);
+});
+
+test('one line over its outstanding quantity holds back the whole receipt', async () => {
+  sentOrder([lineRow(), lineRow({ id: 'line-2', item_id: 'item-2', item_name: 'Wing nut', quantity_ordered: 2 })]);
+
+  const res = await receive([{ lineId: 'line-1', quantity: 4 }, { lineId: 'line-2', quantity: 5 }]);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('receipts need a sent order, known lines and whole quantities', async () => {
+  sentOrder([lineRow()], { status: 'draft' });
+  assert.strictEqual((await receive([{ lineId: 'line-1', quantity: 1 }])).body.error, 'Only sent purchase orders can be received');
+
+  sentOrder([lineRow()]);
+  assert.strictEqual((await receive([{ lineId: 'line-9', quantity: 1 }])).status, 404);
+  assert.strictEqual((await receive([{ lineId: 'line-1', quantity: 1.5 }])).status, 400);
+  assert.strictEqual((await receive([{ lineId: 'line-1', quantity: 0 }])).status, 400);
+  assert.strictEqual((await receive([{ lineId: 'line-1', quantity: 1 }, { lineId: 'line-1', quantity: 1 }])).body.error, 'Each line can only be received once per request');
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('receipts lock the order before reading it', async () => {
+  sentOrder([lineRow()]);
+
+  await receive([{ lineId: 'line-1', quantity: 1 }]);
+
+  const [lock] = db.argsOf('$queryRaw');
+  assert.match(lock.sql, /FROM purchase_orders WHERE id = \? FOR UPDATE/);
+  assert.deepStrictEqual(lock.values, ['po-1']);
+
+  const queries = db.calls.map(call => call.query);
+  assert.ok(queries.indexOf('$queryRaw') < queries.indexOf('purchaseOrder.findFirst'));
+});
+
+test('auto-draft orders what low items need, one order per supplier', async () => {
+  db.on('item.findMany', () => [
+    itemRow({ id: 'bolt', name: 'Hex bolt', quantity: 2, reorder_point: 5, reorder_quantity: 50, supplier_id: 'supplier-1' }),
+    itemRow({ id: 'nut', name: 'Wing nut', quantity: 1, reorder_point: 5, reorder_quantity: 0, max_stock: 20, supplier_id: 'supplier-1' }),
+    itemRow({ id: 'washer', name: 'Washer', quantity: 3, reorder_point: 4, reorder_quantity: 0, supplier_id: 'supplier-2' }),
+    itemRow({ id: 'pin', name: 'Pin', quantity: 0, reorder_point: 5, supplier_id: null }),
+    itemRow({ id: 'rivet', name: 'Rivet', quantity: 1, reorder_point: 5, supplier_id: 'supplier-2' })
+  ]);
+  // Rivets are already on order
+  db.on('purchaseOrderLine.findMany', () => [lineRow({ item_id: 'rivet', quantity_ordered: 10, quantity_received: 0 })]);
+  db.on('company.update', () => ({ po_sequence: 7 }));
+  db.on('purchaseOrder.create', (args) => purchaseOrderRow({
+    status: 'draft',
+    supplier_id: args.data.supplier_id,
+    lines: args.data.lines.create.map((line, i) => lineRow({ id: `line-${i}`, ...line, quantity_received: 0 }))
+  }));
+
+  const res = await request('POST', '/api/purchase-orders/auto-draft');
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(
+    db.argsOf('purchaseOrder.create').map(({ data }) => [data.supplier_id, data.number, data.lines.create.map(line => [line.item_id, line.quantity_ordered])]),
+    [
+      ['supplier-1', 'PO-00007', [['bolt', 50], ['nut', 19]]],
+      ['supplier-2', 'PO-00007', [['washer', 5]]]
+    ]
+  );
+  assert.deepStrictEqual(res.body.skipped, [{ item_id: 'pin', item_name: 'Pin', reason: 'No preferred supplier' }]);
+  assert.deepStrictEqual(db.argsOf('item.findMany')[0].where.quantity, { lte: { modelName: 'item', name: 'reorder_point' } });
+});
+
+test('auto-draft with nothing low drafts nothing', async () => {
+  const res = await request('POST', '/api/purchase-orders/auto-draft');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { created: [], skipped: [] });
+  assert.strictEqual(db.argsOf('purchaseOrder.create').length, 0);
+});
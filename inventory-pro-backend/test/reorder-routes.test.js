@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, company, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+// How the filters refer to the item's own columns
+const column = (name) => ({ modelName: 'item', name });
+
+test('each stock status compares quantity with the item\'s own reorder point and maximum', async () => {
+  for (const status of ['out', 'low', 'ok', 'overstock']) {
+    assert.strictEqual((await request('GET', `/api/items?status=${status}`)).status, 200);
+  }
+
+  assert.deepStrictEqual(db.argsOf('item.findMany').map(({ where }) => where.AND[0]), [
+    { quantity: { lte: 0 } },
+    { quantity: { gt: 0, lte: column('reorder_point') } },
+    {
+      quantity: { gt: column('reorder_point') },
+      OR: [{ max_stock: null }, { quantity: { lte: column('max_stock') } }]
+    },
+    { quantity: { gt: column('max_stock') } }
+  ]);
+});
+
+test('an unknown stock status is refused', async () => {
+  const res = await request('GET', '/api/items?status=empty');
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Status must be one of: out, low, ok, overstock');
+  assert.strictEqual(db.argsOf('item.findMany').length, 0);
+});
+
+test('every item reports its stock status against its own settings', async () => {
+  db.on('item.findMany', () => [
+    itemRow({ id: 'a', quantity: 0, reorder_point: 5 }),
+    itemRow({ id: 'b', quantity: 5, reorder_point: 5 }),
+    itemRow({ id: 'c', quantity: 6, reorder_point: 5, max_stock: 6 }),
+    itemRow({ id: 'd', quantity: 7, reorder_point: 5, max_stock: 6 }),
+    itemRow({ id: 'e', quantity: 2, reorder_point: 1 })
+  ]);
+
+  const res = await request('GET', '/api/items');
+
+  assert.deepStrictEqual(res.body.map(item => [item.id, item.stock_status]), [
+    ['a', 'out'],
+    ['b', 'low'],
+    ['c', 'ok'],
+    ['d', 'overstock'],
+    ['e', 'ok']
+  ]);
+});
+
+test('analytics counts low, out and overstock items by their own settings', async () => {
+  db.on('item.count', ({ where }) => {
+    if (where.quantity?.lte === 0) return 2;
+    if (where.quantity?.lte) return 3;
+    if (where.quantity?.gt) return 1;
+    return 10;
+  });
+  db.on('item.aggregate', () => ({ _sum: { quantity: 240 } }));
+  db.on('activity.count', () => 4);
+
+  const res = await request('GET', '/api/analytics');
+
+  assert.deepStrictEqual(res.body, {
+    totalItems: 10,
+    totalQuantity: 240,
+    lowStockItems: 3,
+    outOfStockItems: 2,
+    overstockItems: 1,
+    recentActivities: 4
+  });
+
+  const counted = db.argsOf('item.count').map(({ where }) => where);
+  assert.ok(counted.every(where => where.company_id === company.id && where.deleted_at === null));
+  assert.deepStrictEqual(counted.map(where => where.quantity).filter(Boolean), [
+    { gt: 0, lte: column('reorder_point') },
+    { lte: 0 },
+    { gt: column('max_stock') }
+  ]);
+});
+
+test('reorder settings must be whole numbers with the maximum not below the reorder point', async () => {
+  const create = (body) => request('POST', '/api/items', { body: { name: 'Hex bolt', ...body } });
+
+  assert.strictEqual((await create({ reorderPoint: -1 })).body.error, 'reorderPoint must be a whole number of 0 or more');
+  assert.strictEqual((await create({ reorderQuantity: 0 })).body.error, 'reorderQuantity must be a whole number of 1 or more');
+  assert.strictEqual((await create({ maxStock: 2.5 })).body.error, 'maxStock must be a whole number of 0 or more');
+  // The default reorder point is 5
+  assert.strictEqual((await create({ maxStock: 4 })).body.error, 'maxStock cannot be below reorderPoint');
+  assert.strictEqual(db.argsOf('item.create').length, 0);
+
+  // Checked against the item's current settings when only one is changed
+  db.on('item.findFirst', () => itemRow({ reorder_point: 10, max_stock: 20 }));
+
+  const res = await request('PATCH', '/api/items', { body: { id: 'item-1', maxStock: 8 } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'maxStock cannot be below reorderPoint');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db, user, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The session a refresh token was issued for
+const sessionRow = (fields = {}) => ({
+  id: 'session-1',
+  refresh_token_hash: hash('refresh-1'),
+  previous_token_hash: null,
+  revoked_at: null,
+  expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  user_id: user.id,
+  user: { ...user, created_at: new Date('2025-01-01T00:00:00Z') },
+  ...fields
+});
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('a refresh token is exchanged for a new one and a new access token', async () => {
+  db.on('session.findFirst', () => sessionRow());
+  db.on('session.updateMany', () => ({ count: 1 }));
+
+  const res = await refresh('refresh-1');
+
+  assert.strictEqual(res.status, 200);
+  assert.notStrictEqual(res.body.refreshToken, 'refresh-1');
+  assert.strictEqual(jwt.verify(res.body.token, process.env.JWT_SECRET).sid, 'session-1');
+
+  const [rotation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(rotation.where, { id: 'session-1', refresh_token_hash: hash('refresh-1'), revoked_at: null });
+  assert.strictEqual(rotation.data.refresh_token_hash, hash(res.body.refreshToken));
+  assert.strictEqual(rotation.data.previous_token_hash, hash('refresh-1'));
+});
+
+test('a refresh token used again after rotation revokes the session', async () => {
+  db.on('session.findFirst', () => sessionRow({ refresh_token_hash: hash('refresh-2'), previous_token_hash: hash('refresh-1') }));
+
+  const res = await refresh('refresh-1');
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.code, 'session_expired');
+
+  const [revocation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(revocation.where, { id: 'session-1', revoked_at: null });
+  assert.strictEqual(revocation.data.revoked_reason, 'refresh_token_reused');
+  assert.ok(revocation.data.revoked_at instanceof Date);
+});
+
+test('of two refreshes with the same token only the first rotates', async () => {
+  db.on('session.findFirst', () => sessionRow());
+  db.on('session.updateMany', () => ({ count: 0 }));
+
+  const res = await refresh('refresh-1');
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.token, undefined);
+});
+
+test('refresh tokens of ended sessions are refused', async () => {
+  for (const session of [
+    null,
+    sessionRow({ revoked_at: new Date() }),
+    sessionRow({ expires_at: new Date(Date.now() - 1000) }),
+    sessionRow({ user: { ...user, isActive: false } })
+  ]) {
+    db.on('session.findFirst', () => session);
+    const res = await refresh('refresh-1');
+    assert.strictEqual(res.status, 401);
+  }
+  assert.strictEqual(db.argsOf('session.updateMany').length, 0);
+
+  assert.strictEqual((await refresh('')).status, 400);
+});
+
+test('logout revokes only the session making the request', async () => {
+  db.on('session.updateMany', () => ({ count: 1 }));
+
+  const res = await request('POST', '/api/auth/logout');
+
+  assert.strictEqual(res.status, 200);
+  const [revocation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(revocation.where, { id: 'session-1', revoked_at: null });
+  assert.strictEqual(revocation.data.revoked_reason, 'logout');
+});
+
+test('logging out everywhere revokes every session of the user', async () => {
+  db.on('session.updateMany', () => ({ count: 3 }));
+
+  const res = await request('POST', '/api/auth/logout-all');
+
+  assert.deepStrictEqual(res.body, { success: true, revoked: 3 });
+  const [revocation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(revocation.where, { user_id: user.id, revoked_at: null });
+  assert.strictEqual(revocation.data.revoked_reason, 'logout_all');
+});
+
+test('signing out another device only reaches the user\'s own sessions', async () => {
+  const res = await request('DELETE', '/api/auth/sessions', { body: { sessionId: 'session-of-someone-else' } });
+
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(db.argsOf('session.updateMany')[0].where, { id: 'session-of-someone-else', user_id: user.id, revoked_at: null });
+});
+
+test('an access token stops working once its session is revoked', async () => {
+  db.on('session.findUnique', () => ({ ...sessionRow(), revoked_at: new Date() }));
+
+  const res = await request('GET', '/api/items');
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.code, 'session_expired');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { readSpreadsheet, sendSpreadsheet } = require('../lib/spreadsheet');
+
+// Just enough of an Express response to capture a download
+const fakeResponse = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.type = (type) => {
+    res.contentType = type;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const columns = [
+  { header: 'name', key: 'name' },
+  { header: 'quantity', key: 'quantity' }
+];
+
+test('CSV exports neutralize cells a spreadsheet app would run as formulas', async () => {
+  const res = fakeResponse();
+
+  await sendSpreadsheet(res, {
+    filename: 'items',
+    sheetName: 'Items',
+    columns,
+    records: [
+      { name: '=HYPERLINK("http://evil.example","click")', quantity: 1 },
+      { name: '+1+1', quantity: 2 },
+      { name: '-2', quantity: -3 },
+      { name: '@SUM(A1)', quantity: 4 },
+      { name: 'Hex bolt', quantity: 5 }
+    ]
+  });
+
+  const lines = res.body.toString().trim().split('\n');
+
+  assert.strictEqual(res.contentType, 'text/csv');
+  assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="items.csv"');
+  assert.deepStrictEqual(lines.slice(1).map(line => line.split(',')[0].replace(/^"|"$/g, '')[0]), ["'", "'", "'", "'", 'H']);
+  // Numbers are left alone, negative ones included
+  assert.strictEqual(lines[3].split(',').pop(), '-3');
+  assert.strictEqual(lines[5], 'Hex bolt,5');
+});
+
+test('readSpreadsheet reads CSV uploads as text with lower-cased headers', async () => {
+  const { headers, rows } = await readSpreadsheet({
+    buffer: Buffer.from('\uFEFFName,Barcode,Quantity\nHex bolt,000123,5\n,,\nWing nut,,\n'),
+    mimetype: 'text/csv',
+    originalname: 'items.csv'
+  });
+
+  assert.deepStrictEqual(headers, ['name', 'barcode', 'quantity']);
+  assert.deepStrictEqual(rows, [
+    { row: 2, name: 'Hex bolt', barcode: '000123', quantity: '5' },
+    { row: 4, name: 'Wing nut', barcode: '', quantity: '' }
+  ]);
+});
+
+test('readSpreadsheet reads the first sheet of XLSX uploads', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Items');
+  sheet.addRow(['name', 'quantity']);
+  sheet.addRow([{ richText: [{ text: 'Hex ' }, { text: 'bolt' }] }, 5]);
+
+  const { headers, rows } = await readSpreadsheet({
+    buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+    mimetype: 'application/octet-stream',
+    originalname: 'Items.XLSX'
+  });
+
+  assert.deepStrictEqual(headers, ['name', 'quantity']);
+  assert.deepStrictEqual(rows, [{ row: 2, name: 'Hex bolt', quantity: '5' }]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+// item-1 holding 8, as PATCH /api/items finds it and updates it
+const patchableItem = (fields) => {
+  const item = itemRow({ quantity: 8, ...fields });
+  db.on('item.findFirst', () => item);
+  db.on('item.update', (args) => ({ ...item, ...args.data }));
+};
+
+test('raising the reorder point above the stock held opens a low stock alert', async () => {
+  patchableItem({ reorder_point: 5 });
+
+  const res = await request('PATCH', '/api/items', { body: { id: 'item-1', reorderPoint: 10 } });
+
+  assert.strictEqual(res.status, 200);
+  const [alert] = db.argsOf('stockAlert.create');
+  assert.strictEqual(alert.data.kind, 'low');
+  assert.strictEqual(alert.data.quantity, 8);
+  assert.strictEqual(alert.data.reorder_point, 10);
+});
+
+test('lowering the reorder point below the stock held resolves the open alert', async () => {
+  patchableItem({ reorder_point: 10 });
+
+  const res = await request('PATCH', '/api/items', { body: { id: 'item-1', reorderPoint: 5 } });
+
+  assert.strictEqual(res.status, 200);
+  const [resolve] = db.argsOf('stockAlert.updateMany');
+  assert.deepStrictEqual(resolve.where, { item_id: 'item-1', resolved_at: null, kind: { notIn: [] } });
+  assert.strictEqual(db.argsOf('stockAlert.create').length, 0);
+});
+
+test('editing other details leaves the alerts alone', async () => {
+  patchableItem({ reorder_point: 10 });
+
+  const res = await request('PATCH', '/api/items', { body: { id: 'item-1', name: 'Hex bolt M8', reorderPoint: 10, maxStock: 50 } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.argsOf('stockAlert.updateMany').length, 0);
+  assert.strictEqual(db.argsOf('stockAlert.create').length, 0);
+});
+
+test('an item created without stock opens an out of stock alert', async () => {
+  db.on('item.findUnique', (args) => (args.where.id ? itemRow({ id: args.where.id, quantity: 0 }) : null));
+
+  const res = await request('POST', '/api/items', { body: { name: 'Hex bolt', barcode: 'BOLT-1', quantity: 0 } });
+
+  assert.strictEqual(res.status, 201);
+  const [alert] = db.argsOf('stockAlert.create');
+  assert.strictEqual(alert.data.kind, 'out');
+  assert.strictEqual(alert.data.item_id, 'created');
+});
+
+test('imported items starting at or below their reorder point open alerts', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([[
+    'name,barcode,quantity,reorder_point',
+    'Hex bolt,BOLT-1,0,5',
+    'Wing nut,NUT-1,3,5',
+    'Washer,WASHER-1,40,5'
+  ].join('\n')], { type: 'text/csv' }), 'items.csv');
+
+  const res = await request('POST', '/api/items/import', { body: form });
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(
+    db.argsOf('stockAlert.create').map(({ data }) => [data.item_id, data.kind]),
+    [['created-0', 'out'], ['created-1', 'low']]
+  );
+});
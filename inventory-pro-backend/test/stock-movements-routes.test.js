@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+// item-1 holding quantity, none of it at a location; updates apply the
+// increment they are given to what is stored, as the database would
+const storedItem = (quantity, fields = {}) => {
+  const stored = { quantity, updated_at: new Date('2025-01-01T00:00:00Z') };
+  db.on('item.findFirst', () => itemRow({ ...fields, ...stored }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', (args) => {
+    stored.quantity += args.data.quantity.increment;
+    stored.updated_at = new Date(stored.updated_at.getTime() + 1000);
+    return itemRow({ ...fields, ...stored });
+  });
+  return stored;
+};
+
+const move = (body, headers) => request('POST', '/api/stock/movements', {
+  body: { itemId: 'item-1', reason: 'receipt', ...body },
+  headers
+});
+
+test('a delta is added to the stock held and logged with its reason', async () => {
+  storedItem(10);
+
+  const res = await move({ delta: 5 });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.quantity, 15);
+  assert.strictEqual(res.headers.get('etag'), '"2025-01-01T00:00:01.000Z"');
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: 5 } });
+
+  const [{ data: activity }] = db.argsOf('activity.create');
+  assert.strictEqual(activity.type, 'added');
+  assert.strictEqual(activity.quantity, 5);
+  assert.strictEqual(activity.old_quantity, 10);
+  assert.strictEqual(activity.reason, 'receipt');
+});
+
+test('deltas that are not non-zero whole numbers are refused', async () => {
+  storedItem(10);
+
+  for (const delta of ['10abc', '1.5', 1.5, 0, '', null, 'ten']) {
+    const res = await move({ delta });
+    assert.strictEqual(res.status, 400, String(delta));
+  }
+  assert.strictEqual((await move({ delta: 5, itemId: 123 })).status, 400);
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+
+  assert.strictEqual((await move({ delta: '-3', reason: 'sale' })).status, 201);
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: -3 } });
+});
+
+test('an unknown reason is refused', async () => {
+  storedItem(10);
+
+  const res = await move({ delta: 1, reason: 'found it' });
+
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Reason must be one of/);
+});
+
+test('a removal larger than the stock held is refused', async () => {
+  storedItem(2);
+
+  const res = await move({ delta: -3, reason: 'sale' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Insufficient stock of Hex bolt');
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('a delta in one of the item\'s packs is converted to its base unit', async () => {
+  storedItem(10, { unit: 'each' });
+  db.on('itemPack.findMany', () => [{ name: 'box', quantity: 12 }]);
+
+  const res = await move({ delta: 2, unit: 'box' });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.quantity, 34);
+  assert.strictEqual((await move({ delta: 1, unit: 'crate' })).status, 400);
+});
+
+test('a stale If-Match version gets a 409 with the current item and changes nothing', async () => {
+  storedItem(10);
+
+  const res = await move({ delta: 5 }, { 'if-match': '"2024-12-31T00:00:00.000Z"' });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.current.quantity, 10);
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+  assert.strictEqual(db.argsOf('activity.create').length, 0);
+});
+
+test('the If-Match of the current ETag, or *, lets the movement through', async () => {
+  storedItem(10);
+
+  const first = await move({ delta: 5 }, { 'if-match': '"2025-01-01T00:00:00.000Z"' });
+  assert.strictEqual(first.status, 201);
+
+  const second = await move({ delta: 1 }, { 'if-match': first.headers.get('etag') });
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(second.body.quantity, 16);
+
+  assert.strictEqual((await move({ delta: 1 }, { 'if-match': `W/${second.headers.get('etag')}` })).status, 201);
+  assert.strictEqual((await move({ delta: 1 }, { 'if-match': '*' })).status, 201);
+});
+
+test('concurrent movements each lock the item row and both count', async () => {
+  const stored = storedItem(10);
+
+  const results = await Promise.all([
+    move({ delta: 5 }),
+    move({ delta: -3, reason: 'sale' }),
+    move({ delta: 2 })
+  ]);
+
+  assert.deepStrictEqual(results.map(res => res.status), [201, 201, 201]);
+  assert.strictEqual(stored.quantity, 14);
+
+  const locks = db.argsOf('$queryRaw');
+  assert.strictEqual(locks.length, 3);
+  locks.forEach(lock => {
+    assert.match(lock.sql, /FOR UPDATE/);
+    assert.deepStrictEqual(lock.values, ['item-1']);
+  });
+
+  // The lock comes before the row is read, and the write is relative
+  const queries = db.calls.map(call => call.query);
+  assert.ok(queries.indexOf('$queryRaw') < queries.indexOf('item.findFirst'));
+  db.argsOf('item.update').forEach(update => assert.ok('increment' in update.data.quantity));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const stocktakeRow = (fields = {}) => ({
+  id: 'stocktake-1',
+  name: 'Year end',
+  status: 'counting',
+  scope: 'full',
+  notes: null,
+  created_by_name: 'Olive Owner',
+  approved_by_name: null,
+  submitted_at: null,
+  posted_at: null,
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  company_id: 'company-1',
+  location_id: null,
+  location: null,
+  lines: [],
+  ...fields
+});
+
+const lineRow = (fields = {}) => ({
+  id: 'line-1',
+  item_id: 'item-1',
+  item_name: 'Hex bolt',
+  barcode: 'BOLT-1',
+  expected_quantity: 10,
+  counted_quantity: null,
+  unit_cost: null,
+  stocktake_id: 'stocktake-1',
+  ...fields
+});
+
+test('a count takes the stock the system holds at that moment as its expected quantity', async () => {
+  // 10 were expected when the stocktake started; 3 have been sold since
+  const line = lineRow({ expected_quantity: 10 });
+  db.on('stocktake.findFirst', () => stocktakeRow({ lines: [line] }));
+  db.on('item.findFirst', () => itemRow({ quantity: 7 }));
+  db.on('stocktakeLine.update', (args) => ({ ...line, ...args.data }));
+
+  const res = await request('POST', '/api/stocktakes/counts', {
+    body: { id: 'stocktake-1', counts: [{ itemId: 'item-1', quantity: 7 }] }
+  });
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(db.argsOf('stocktakeLine.update')[0].data, { counted_quantity: 7, expected_quantity: 7 });
+  assert.strictEqual(res.body[0].variance, 0);
+});
+
+test('approving posts the variance found at count time, keeping movements made since', async () => {
+  // Counted 6 when the system held 7; 2 more were sold after the count
+  const line = lineRow({ expected_quantity: 7, counted_quantity: 6 });
+  const item = itemRow({ quantity: 5 });
+  db.on('stocktake.findFirst', () => stocktakeRow({ status: 'review', lines: [line] }));
+  db.on('item.findFirst', () => item);
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', (args) => itemRow({ quantity: item.quantity + args.data.quantity.increment }));
+  db.on('stocktake.update', (args) => stocktakeRow({ ...args.data, lines: [line] }));
+
+  const res = await request('POST', '/api/stocktakes/approve', { body: { id: 'stocktake-1' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.adjusted_count, 1);
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: -1 } });
+
+  const [activity] = db.argsOf('activity.create');
+  assert.strictEqual(activity.data.type, 'count_adjustment');
+  assert.strictEqual(activity.data.quantity, -1);
+  assert.strictEqual(activity.data.old_quantity, 5);
+});
+
+test('approving never takes stock below zero', async () => {
+  const line = lineRow({ expected_quantity: 7, counted_quantity: 2 });
+  db.on('stocktake.findFirst', () => stocktakeRow({ status: 'review', lines: [line] }));
+  db.on('item.findFirst', () => itemRow({ quantity: 3 }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', (args) => itemRow({ quantity: 3 + args.data.quantity.increment }));
+  db.on('stocktake.update', (args) => stocktakeRow({ ...args.data, lines: [line] }));
+
+  const res = await request('POST', '/api/stocktakes/approve', { body: { id: 'stocktake-1' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: -3 } });
+});
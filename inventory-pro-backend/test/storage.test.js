@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { registerDriver, createStorage } = require('../lib/storage');
+
+const S3_ENV = {
+  S3_BUCKET: 'inventory',
+  S3_REGION: 'eu-west-1',
+  S3_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+  S3_SECRET_ACCESS_KEY: 'secret'
+};
+
+// Replaces global fetch for the duration of run, recording each request
+const withFetch = async (respond, run) => {
+  const original = global.fetch;
+  const requests = [];
+  global.fetch = async (url, options) => {
+    requests.push({ url: String(url), ...options });
+    return respond(url, options);
+  };
+  try {
+    await run(requests);
+  } finally {
+    global.fetch = original;
+  }
+};
+
+test('createStorage picks S3 when S3_BUCKET is set and the local disk otherwise', () => {
+  assert.strictEqual(createStorage({}).driver, 'local');
+  assert.strictEqual(createStorage(S3_ENV).driver, 's3');
+  assert.strictEqual(createStorage(S3_ENV).configured, true);
+  assert.strictEqual(createStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'inventory' }).configured, false);
+  assert.throws(() => createStorage({ STORAGE_DRIVER: 'ftp' }), /Unknown STORAGE_DRIVER "ftp"/);
+});
+
+test('registerDriver adds a driver STORAGE_DRIVER can name', () => {
+  registerDriver('memory', () => ({ name: 'memory', configured: true, put: async () => {}, get: async () => null, remove: async () => {} }));
+  assert.strictEqual(createStorage({ STORAGE_DRIVER: 'memory' }).driver, 'memory');
+});
+
+test('the local driver stores, reads and removes files under STORAGE_DIR', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storage = createStorage({ STORAGE_DRIVER: 'local', STORAGE_DIR: dir });
+
+  await storage.put('company-1/items/a.jpg', Buffer.from('jpeg'));
+  assert.strictEqual((await fs.readFile(path.join(dir, 'company-1/items/a.jpg'))).toString(), 'jpeg');
+  assert.strictEqual((await storage.get('company-1/items/a.jpg')).toString(), 'jpeg');
+
+  await storage.remove('company-1/items/a.jpg');
+  assert.strictEqual(await storage.get('company-1/items/a.jpg'), null);
+  await storage.remove('company-1/items/a.jpg');
+});
+
+test('the local driver refuses keys that leave STORAGE_DIR', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const storage = createStorage({ STORAGE_DRIVER: 'local', STORAGE_DIR: path.join(dir, 'uploads') });
+
+  await assert.rejects(storage.put('../outside.txt', Buffer.from('x')), /Invalid storage key/);
+  await assert.rejects(storage.get('/etc/passwd'), /Invalid storage key/);
+  await assert.rejects(storage.remove('.'), /Invalid storage key/);
+  await assert.rejects(fs.access(path.join(dir, 'outside.txt')));
+});
+
+test('the S3 driver encodes every key segment and keeps the slashes', async () => {
+  await withFetch(() => new Response(null, { status: 200 }), async (requests) => {
+    await createStorage(S3_ENV).put("company-1/items/it's (1)*!.jpg", Buffer.from('jpeg'), 'image/jpeg');
+    await createStorage({ ...S3_ENV, S3_ENDPOINT: 'http://minio:9000/' }).remove('company-1/a b.jpg');
+
+    assert.strictEqual(requests[0].url, 'https://inventory.s3.eu-west-1.amazonaws.com/company-1/items/it%27s%20%281%29%2A%21.jpg');
+    assert.strictEqual(requests[1].url, 'http://minio:9000/inventory/company-1/a%20b.jpg');
+    assert.strictEqual(requests[1].method, 'DELETE');
+  });
+});
+
+test('the S3 driver signs requests with AWS Signature Version 4', async () => {
+  await withFetch(() => new Response(null, { status: 200 }), async (requests) => {
+    await createStorage(S3_ENV).put('company-1/a.jpg', Buffer.from('jpeg'), 'image/jpeg');
+
+    const { headers } = requests[0];
+    const date = headers['x-amz-date'].slice(0, 8);
+    assert.match(headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+    assert.strictEqual(headers['x-amz-content-sha256'], crypto.createHash('sha256').update('jpeg').digest('hex'));
+    assert.strictEqual(headers['content-type'], 'image/jpeg');
+    assert.strictEqual(headers.host, undefined);
+    assert.match(
+      headers.authorization,
+      new RegExp(`^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/${date}/eu-west-1/s3/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$`)
+    );
+  });
+});
+
+test('the S3 driver reads missing objects as null and fails on other errors', async () => {
+  await withFetch(() => new Response('missing', { status: 404 }), async () => {
+    assert.strictEqual(await createStorage(S3_ENV).get('company-1/a.jpg'), null);
+    await assert.rejects(createStorage(S3_ENV).put('company-1/a.jpg', Buffer.from('x')), /S3 PUT company-1\/a.jpg failed with HTTP 404: missing/);
+  });
+  await withFetch(() => new Response('AccessDenied', { status: 403 }), async () => {
+    await assert.rejects(createStorage(S3_ENV).get('company-1/a.jpg'), /failed with HTTP 403: AccessDenied/);
+  });
+  await withFetch(() => new Response('jpeg', { status: 200 }), async () => {
+    assert.strictEqual((await createStorage(S3_ENV).get('company-1/a.jpg')).toString(), 'jpeg');
+  });
+});
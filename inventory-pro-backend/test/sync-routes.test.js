@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, itemRow, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// item-1 with quantity in stock, none of it put away at a location
+const stockItem = (quantity) => {
+  db.on('item.findFirst', () => itemRow({ quantity }));
+  db.on('stockLevel.aggregate', () => ({ _sum: { quantity: 0 } }));
+  db.on('item.update', (args) => itemRow({ quantity: quantity + args.data.quantity.increment }));
+};
+
+const movement = (fields = {}) => ({
+  clientId: 'client-1',
+  itemId: 'item-1',
+  delta: -2,
+  reason: 'sale',
+  occurredAt: new Date(Date.now() - DAY_MS).toISOString(),
+  ...fields
+});
+
+const sync = (operations) => request('POST', '/api/sync/movements', { body: { operations } });
+
+test('a movement is applied once, dated when it happened and keyed by its clientId', async () => {
+  stockItem(5);
+  const occurredAt = new Date(Date.now() - DAY_MS).toISOString();
+
+  const res = await sync([movement({ occurredAt })]);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.applied, 1);
+  assert.strictEqual(res.body.results[0].status, 'applied');
+  assert.strictEqual(res.body.results[0].item.quantity, 3);
+
+  const [activity] = db.argsOf('activity.create');
+  assert.strictEqual(activity.data.type, 'removed');
+  assert.strictEqual(activity.data.quantity, 2);
+  assert.strictEqual(activity.data.created_at.toISOString(), occurredAt);
+  assert.strictEqual(db.argsOf('syncOperation.create')[0].data.client_id, 'client-1');
+});
+
+test('a clientId already applied comes back as a duplicate without moving stock', async () => {
+  stockItem(5);
+  db.on('syncOperation.findUnique', () => ({ result: { client_id: 'client-1', status: 'applied', delta: -2 } }));
+
+  const res = await sync([movement()]);
+
+  assert.strictEqual(res.body.duplicates, 1);
+  assert.deepStrictEqual(res.body.results[0], { client_id: 'client-1', status: 'duplicate', delta: -2 });
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+});
+
+test('a batch sent twice at once reports the loser of the race as a duplicate', async () => {
+  stockItem(5);
+  let stored = null;
+  db.on('syncOperation.findUnique', () => stored);
+  db.on('syncOperation.create', () => {
+    stored = { result: { client_id: 'client-1', status: 'applied', delta: -2 } };
+    throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+  });
+
+  const res = await sync([movement()]);
+
+  assert.strictEqual(res.body.results[0].status, 'duplicate');
+  assert.strictEqual(res.body.results[0].delta, -2);
+});
+
+test('a removal larger than the stock left conflicts unless it asks to clamp', async () => {
+  stockItem(3);
+
+  const conflict = await sync([movement({ delta: -5 })]);
+  assert.strictEqual(conflict.body.results[0].code, 'insufficient_stock');
+  assert.strictEqual(conflict.body.results[0].available, 3);
+  assert.strictEqual(db.argsOf('item.update').length, 0);
+
+  const clamped = await sync([movement({ clientId: 'client-2', delta: -5, resolution: 'clamp' })]);
+  assert.strictEqual(clamped.body.results[0].status, 'applied');
+  assert.strictEqual(clamped.body.results[0].delta, -3);
+  assert.deepStrictEqual(db.argsOf('item.update')[0].data, { quantity: { increment: -3 } });
+});
+
+test('clamping still conflicts when there is no stock left at all', async () => {
+  stockItem(0);
+
+  const res = await sync([movement({ resolution: 'clamp' })]);
+
+  assert.strictEqual(res.body.results[0].code, 'insufficient_stock');
+  assert.strictEqual(res.body.results[0].available, 0);
+});
+
+test('movements older than the sync window are refused as too old', async () => {
+  stockItem(5);
+
+  const res = await sync([
+    movement({ occurredAt: new Date(Date.now() - 8 * DAY_MS).toISOString() }),
+    movement({ clientId: 'client-2', occurredAt: new Date(Date.now() - 6 * DAY_MS).toISOString() })
+  ]);
+
+  assert.deepStrictEqual(res.body.results.map(result => result.code || result.status), ['too_old', 'applied']);
+});
+
+test('ids that are not strings are invalid and the rest of the batch still applies', async () => {
+  stockItem(5);
+
+  const res = await sync([
+    movement({ itemId: 123 }),
+    movement({ clientId: 'client-2', itemId: undefined, barcode: { $ne: null } }),
+    movement({ clientId: 'client-3', locationId: ['location-1'] }),
+    movement({ clientId: { toString: 1 } }),
+    movement({ clientId: 'client-4', occurredAt: { toString: 1 } }),
+    movement({ clientId: 'client-5' })
+  ]);
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(
+    res.body.results.map(result => result.code || result.status),
+    ['invalid', 'invalid', 'invalid', 'invalid', 'invalid', 'applied']
+  );
+  assert.strictEqual(db.argsOf('activity.create').length, 1);
+});
+
+test('an unexpected error fails only its own movement', async () => {
+  stockItem(5);
+  db.on('item.update', (args) => {
+    if (args.data.quantity.increment === -1) {
+      throw new Error('connection reset');
+    }
+    return itemRow({ quantity: 5 + args.data.quantity.increment });
+  });
+
+  const res = await sync([
+    movement({ clientId: 'client-1', delta: -2 }),
+    movement({ clientId: 'client-2', delta: -1 }),
+    movement({ clientId: 'client-3', delta: 4, reason: 'receipt' })
+  ]);
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.results.map(result => result.code || result.status), ['applied', 'failed', 'applied']);
+  assert.strictEqual(res.body.applied, 2);
+  assert.strictEqual(res.body.conflicts, 1);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../lib/totp');
+
+// The RFC 6238 test secret, "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('verifyTotp accepts the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ]) {
+    assert.strictEqual(verifyTotp(RFC_SECRET, code, { now: seconds * 1000 }), Math.floor(seconds / 30), String(seconds));
+  }
+});
+
+test('verifyTotp allows one step of clock drift either way', () => {
+  const now = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now: now - 30 * 1000 }), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now: now + 30 * 1000 }), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now: now + 60 * 1000 }), null);
+});
+
+test('verifyTotp refuses a code from a step already used', () => {
+  const now = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now, afterStep: 41152262 }), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now, afterStep: 41152263 }), null);
+});
+
+test('verifyTotp ignores spaces and refuses anything but six digits', () => {
+  const now = 1234567890 * 1000;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005 924', { now }), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '05924', { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, undefined, { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '123456', { now }), null);
+});
+
+test('generateTotpSecret makes 160-bit base32 secrets', () => {
+  const secret = generateTotpSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notStrictEqual(generateTotpSecret(), secret);
+});
+
+test('otpauthUri describes the secret for authenticator apps', () => {
+  const uri = new URL(otpauthUri({ secret: RFC_SECRET, accountName: 'owner@example.com', issuer: 'Inventory Pro' }));
+
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Inventory Pro:owner@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.strictEqual(uri.searchParams.get('issuer'), 'Inventory Pro');
+  assert.strictEqual(uri.searchParams.get('digits'), '6');
+  assert.strictEqual(uri.searchParams.get('period'), '30');
+});
+
+test('encryptSecret round-trips through decryptSecret and detects tampering', () => {
+  const key = crypto.randomBytes(32);
+  const payload = encryptSecret(RFC_SECRET, key);
+
+  assert.notStrictEqual(encryptSecret(RFC_SECRET, key), payload);
+  assert.strictEqual(decryptSecret(payload, key), RFC_SECRET);
+  assert.throws(() => decryptSecret(payload, crypto.randomBytes(32)));
+
+  const [iv, tag, encrypted] = payload.split('.');
+  const flipped = Buffer.from(encrypted, 'base64url');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptSecret([iv, tag, flipped.toString('base64url')].join('.'), key));
+});
+
+test('recovery codes are distinct and normalize for comparison', () => {
+  const codes = generateRecoveryCodes();
+
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[A-Z2-7]{4}-[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+  assert.strictEqual(normalizeRecoveryCode(' k7qd-m2xa 9ftr '), 'K7QDM2XA9FTR');
+  assert.strictEqual(normalizeRecoveryCode(undefined), '');
+});
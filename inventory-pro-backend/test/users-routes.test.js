@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { db, user, company, resetDb, signInAs, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+// A team member as the database returns them
+const memberRow = (fields = {}) => ({
+  id: 'user-2',
+  name: 'Ada Admin',
+  email: 'ada@example.com',
+  role: 'admin',
+  isActive: true,
+  company_id: company.id,
+  deleted_at: null,
+  last_login: null,
+  totp_enabled_at: null,
+  created_at: new Date('2025-01-01T00:00:00Z'),
+  ...fields
+});
+
+const updateMember = (body) => request('PUT', '/api/users', { body: { userId: 'user-2', ...body } });
+
+const auditActions = () => db.argsOf('auditLog.create').map(({ data }) => data.action);
+
+test('an admin cannot be demoted when nobody else could administer the company', async () => {
+  db.on('user.findFirst', () => memberRow());
+  db.on('user.findMany', () => [{ role: 'clerk' }]);
+
+  const res = await updateMember({ role: 'manager' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'The company needs at least one active owner or admin');
+  assert.deepStrictEqual(db.argsOf('user.findMany')[0].where, { company_id: company.id, isActive: true, id: { not: 'user-2' } });
+  assert.match(db.argsOf('$queryRaw')[0].sql, /FROM companies WHERE id = \? FOR UPDATE/);
+  assert.strictEqual(db.argsOf('user.update').length, 0);
+});
+
+test('an admin can be deactivated while another admin remains', async () => {
+  db.on('user.findFirst', () => memberRow());
+  db.on('user.findMany', () => [{ role: 'owner' }, { role: 'clerk' }]);
+  db.on('user.update', ({ data }) => memberRow(data));
+
+  const res = await updateMember({ isActive: false });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.isActive, false);
+  assert.deepStrictEqual(auditActions(), ['user.deactivate']);
+});
+
+test('deactivating a user signs them out everywhere', async () => {
+  db.on('user.findFirst', () => memberRow({ role: 'clerk' }));
+  db.on('user.update', ({ data }) => memberRow({ role: 'clerk', ...data }));
+
+  const res = await updateMember({ isActive: false });
+
+  assert.strictEqual(res.status, 200);
+  // Clerks do not hold an admin role, so the guard is not consulted
+  assert.strictEqual(db.argsOf('user.findMany').length, 0);
+
+  const [revocation] = db.argsOf('session.updateMany');
+  assert.deepStrictEqual(revocation.where, { user_id: 'user-2', revoked_at: null });
+  assert.strictEqual(revocation.data.revoked_reason, 'deactivated');
+});
+
+test('the owner and the signed-in user cannot be deactivated', async () => {
+  db.on('user.findFirst', () => memberRow({ role: 'owner' }));
+  assert.strictEqual((await updateMember({ isActive: false })).body.error, 'Transfer ownership before deactivating the owner');
+
+  db.on('user.findFirst', () => memberRow({ id: user.id }));
+  assert.strictEqual((await updateMember({ userId: user.id, isActive: false })).body.error, 'You cannot deactivate yourself');
+
+  assert.strictEqual(db.argsOf('session.updateMany').length, 0);
+});
+
+test('reactivating a user needs a free seat', async () => {
+  signInAs({ company: { ...company, max_users: 3 } });
+  db.on('user.findFirst', () => memberRow({ role: 'clerk', isActive: false }));
+  db.on('user.count', () => 2);
+  db.on('invitation.count', () => 1);
+
+  const res = await updateMember({ isActive: true });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, 'user_limit_reached');
+  assert.strictEqual(res.body.max_users, 3);
+  assert.strictEqual(db.argsOf('user.update').length, 0);
+
+  // Pending invitations that have expired no longer hold a seat
+  assert.ok(db.argsOf('invitation.count')[0].where.expires_at.gt instanceof Date);
+});
+
+test('invitations are refused once every seat is taken and allowed without a limit', async () => {
+  const invite = () => request('POST', '/api/users/invite', { body: { email: 'new@example.com', name: 'New', role: 'clerk' } });
+
+  signInAs({ company: { ...company, max_users: 2 } });
+  db.on('user.count', () => 2);
+
+  let res = await invite();
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, 'user_limit_reached');
+  assert.strictEqual(db.argsOf('invitation.create').length, 0);
+
+  signInAs({ company: { ...company, max_users: null } });
+  db.on('invitation.create', ({ data }) => ({ id: 'invitation-1', sent_count: 1, last_sent_at: new Date(), accepted_at: null, revoked_at: null, created_at: new Date(), ...data }));
+
+  res = await invite();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.argsOf('invitation.create').length, 1);
+});
+
+const transfer = (body) => request('POST', '/api/users/transfer-ownership', { body: { userId: 'user-2', password: 'owner password 1', ...body } });
+
+test('the owner hands the company over and stays on as an admin', async () => {
+  signInAs({ password: bcrypt.hashSync('owner password 1', 4) });
+  db.on('user.findFirst', () => memberRow({ role: 'manager' }));
+  db.on('user.update', ({ where, data }) => (where.id === user.id ? { ...user, ...data } : memberRow(data)));
+
+  const res = await transfer();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.owner.role, 'owner');
+  assert.deepStrictEqual(db.argsOf('user.update').map(({ where, data }) => [where.id, data.role]), [[user.id, 'admin'], ['user-2', 'owner']]);
+  assert.deepStrictEqual(auditActions(), ['user.transfer_ownership', 'user.transfer_ownership']);
+});
+
+test('ownership needs the owner\'s password and an active member to go to', async () => {
+  signInAs({ password: bcrypt.hashSync('owner password 1', 4) });
+
+  assert.strictEqual((await transfer({ password: 'guess' })).status, 401);
+
+  db.on('user.findFirst', () => memberRow({ isActive: false }));
+  const res = await transfer();
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Ownership can only go to an active user');
+
+  signInAs({ role: 'admin', password: bcrypt.hashSync('owner password 1', 4) });
+  assert.strictEqual((await transfer()).status, 403);
+
+  assert.strictEqual(db.argsOf('user.update').length, 0);
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('removing a user moves them to the trash and signs them out', async () => {
+  db.on('user.findFirst', () => memberRow({ role: 'clerk' }));
+  db.on('user.update', ({ data }) => memberRow({ role: 'clerk', ...data }));
+
+  const res = await request('DELETE', '/api/users/delete', { body: { userId: 'user-2' } });
+
+  assert.strictEqual(res.status, 200);
+  const [{ data }] = db.argsOf('user.update');
+  assert.strictEqual(data.isActive, false);
+  assert.ok(data.deleted_at instanceof Date);
+  assert.strictEqual(Date.parse(res.body.purge_at), data.deleted_at.getTime() + 30 * DAY_MS);
+  assert.strictEqual(db.argsOf('session.updateMany')[0].data.revoked_reason, 'deleted');
+  assert.strictEqual(db.argsOf('user.delete').length, 0);
+  assert.deepStrictEqual(auditActions(), ['user.delete']);
+});
+
+test('the trash lists removed users with when each is purged', async () => {
+  const deletedAt = new Date('2025-03-01T00:00:00Z');
+  db.on('user.findMany', () => [memberRow({ role: 'user', deleted_at: deletedAt, isActive: false })]);
+
+  const res = await request('GET', '/api/users/trash');
+
+  assert.deepStrictEqual(db.argsOf('user.findMany')[0].where, { company_id: company.id, deleted_at: { not: null } });
+  assert.deepStrictEqual(res.body, [{
+    id: 'user-2',
+    name: 'Ada Admin',
+    email: 'ada@example.com',
+    role: 'clerk',
+    deleted_at: '2025-03-01T00:00:00.000Z',
+    purge_at: '2025-03-31T00:00:00.000Z'
+  }]);
+});
+
+test('a restored user comes back active when a seat is free', async () => {
+  db.on('user.findFirst', () => memberRow({ role: 'clerk', isActive: false, deleted_at: new Date() }));
+  db.on('user.update', ({ data }) => memberRow({ role: 'clerk', ...data }));
+
+  const res = await request('POST', '/api/users/restore', { body: { userId: 'user-2' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.isActive, true);
+  assert.deepStrictEqual(db.argsOf('user.update')[0].data, { deleted_at: null, isActive: true });
+  assert.match(db.argsOf('$queryRaw')[0].sql, /FROM users WHERE id = \? FOR UPDATE/);
+  assert.deepStrictEqual(auditActions(), ['user.restore']);
+});
+
+test('only users in the trash can be restored, and only into a free seat', async () => {
+  const restore = () => request('POST', '/api/users/restore', { body: { userId: 'user-2' } });
+
+  db.on('user.findFirst', () => memberRow());
+  assert.strictEqual((await restore()).body.error, 'User is not in the trash');
+
+  signInAs({ company: { ...company, max_users: 1 } });
+  db.on('user.findFirst', () => memberRow({ isActive: false, deleted_at: new Date() }));
+  db.on('user.count', () => 1);
+  assert.strictEqual((await restore()).body.code, 'user_limit_reached');
+
+  assert.strictEqual(db.argsOf('user.update').length, 0);
+});
+
+test('users are purged for good once their time in the trash is up', async () => {
+  const { purgeTrash } = require('../server');
+  const expired = memberRow({ deleted_at: new Date(Date.now() - 31 * DAY_MS) });
+  db.on('user.findMany', () => [expired, memberRow({ id: 'user-3', deleted_at: expired.deleted_at })]);
+  // user-3 was restored after the trash was read
+  db.on('user.deleteMany', ({ where }) => ({ count: where.id === 'user-2' ? 1 : 0 }));
+
+  assert.strictEqual(await purgeTrash(), 1);
+
+  const cutoff = db.argsOf('user.findMany')[0].where.deleted_at.lt;
+  assert.ok(Math.abs(cutoff.getTime() - (Date.now() - 30 * DAY_MS)) < 60 * 1000);
+  assert.deepStrictEqual(db.argsOf('user.deleteMany')[0].where, { id: 'user-2', deleted_at: { lt: cutoff } });
+  assert.deepStrictEqual(db.argsOf('auditLog.create').map(({ data }) => [data.action, data.entity_id]), [['user.purge', 'user-2']]);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, request, closeApp } = require('./helpers/app');
+
+test.beforeEach(resetDb);
+test.after(closeApp);
+
+test('POST /api/webhooks refuses a URL on a link-local address', async () => {
+  const res = await request('POST', '/api/webhooks', {
+    body: { url: 'http://169.254.169.254/latest/meta-data/', events: ['item.created'] }
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /public address/);
+  assert.strictEqual(db.argsOf('webhook.create').length, 0);
+});
+
+test('PUT /api/webhooks refuses moving a webhook to a loopback address', async () => {
+  db.on('webhook.findFirst', () => ({ id: 'webhook-1', url: 'https://hooks.example.com/', events: ['item.created'] }));
+
+  const res = await request('PUT', '/api/webhooks', { body: { id: 'webhook-1', url: 'http://127.0.0.1:5432/' } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(db.argsOf('webhook.update').length, 0);
+});
+
+test('GET /api/webhooks/deliveries reports the response status but no response body', async () => {
+  db.on('webhookDelivery.findMany', () => [{
+    id: 'delivery-1',
+    webhook_id: 'webhook-1',
+    event: 'item.created',
+    payload: {},
+    status: 'failed',
+    attempts: 8,
+    next_attempt_at: null,
+    last_attempt_at: new Date(),
+    response_status: 500,
+    error: 'Endpoint responded with HTTP 500',
+    created_at: new Date()
+  }]);
+
+  const res = await request('GET', '/api/webhooks/deliveries');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body[0].response_status, 500);
+  assert.strictEqual('response_body' in res.body[0], false);
+});
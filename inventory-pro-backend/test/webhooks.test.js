@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const {
+  retryDelayMs,
+  signWebhookPayload,
+  isPublicAddress,
+  validateWebhookUrl,
+  sendWebhook
+} = require('../lib/webhooks');
+
+// A lookup resolving every host name to addresses
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('signWebhookPayload signs "<timestamp>.<body>" with the secret', () => {
+  const body = JSON.stringify({ event: 'item.created' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signWebhookPayload('whsec_test', body, 1700000000), `t=1700000000,v1=${expected}`);
+});
+
+test('retryDelayMs doubles from 30 seconds up to 6 hours', () => {
+  assert.strictEqual(retryDelayMs(1), 30 * 1000);
+  assert.strictEqual(retryDelayMs(2), 60 * 1000);
+  assert.strictEqual(retryDelayMs(20), 6 * 60 * 60 * 1000);
+});
+
+test('isPublicAddress refuses local, private and link-local addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+  ]) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+
+  assert.strictEqual(isPublicAddress('not-an-address'), false);
+});
+
+test('isPublicAddress refuses NAT64 and 6to4 addresses, which embed IPv4 ones', () => {
+  // 169.254.169.254 through NAT64, and 127.0.0.1 and 10.0.0.1 through 6to4
+  for (const address of ['64:ff9b::a9fe:a9fe', '64:ff9b::8.8.8.8', '64:ff9b:1::a00:1', '2002:7f00:1::', '2002:a00:1::1']) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+});
+
+test('validateWebhookUrl only accepts http(s) URLs', async () => {
+  const lookup = resolvesTo('93.184.216.34');
+
+  assert.strictEqual(await validateWebhookUrl('not a url', { lookup }), 'URL is not valid');
+  assert.strictEqual(await validateWebhookUrl('ftp://example.com/hook', { lookup }), 'URL must start with https:// or http://');
+  assert.strictEqual(await validateWebhookUrl('https://example.com/hook', { lookup }), null);
+});
+
+test('validateWebhookUrl refuses URLs that reach a local or private address', async () => {
+  const lookup = resolvesTo('93.184.216.34');
+
+  for (const url of [
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:5432/',
+    'http://127.0.0.1/',
+    'http://2130706433/',
+    'http://0x7f.1/',
+    'http://[::1]:8080/',
+    'http://[::ffff:127.0.0.1]/'
+  ]) {
+    const lookupFor = url.includes('localhost') ? resolvesTo('127.0.0.1', '::1') : lookup;
+    assert.match(await validateWebhookUrl(url, { lookup: lookupFor }), /public address/, url);
+  }
+});
+
+test('validateWebhookUrl refuses a host when any address it resolves to is private', async () => {
+  const error = await validateWebhookUrl('https://hooks.example.com/', { lookup: resolvesTo('93.184.216.34', '10.0.0.5') });
+
+  assert.match(error, /public address/);
+});
+
+test('validateWebhookUrl reports hosts that do not resolve', async () => {
+  const lookup = async () => {
+    throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+  };
+
+  assert.strictEqual(await validateWebhookUrl('https://nowhere.invalid/', { lookup }), 'Could not resolve nowhere.invalid');
+});
+
+test('sendWebhook does not connect to a private address', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.end('internal data');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const result = await sendWebhook({
+    url: `http://127.0.0.1:${server.address().port}/`,
+    secret: 'whsec_test',
+    event: 'item.created',
+    deliveryId: 'delivery-1',
+    body: '{}'
+  });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.status, null);
+  assert.match(result.error, /public address/);
+  assert.strictEqual('body' in result, false);
+  assert.strictEqual(requests, 0);
+});
+
+test('sendWebhook connects to the address it validated, not to a new lookup', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.end('internal data');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  // A host that answers with a public address first and this machine after
+  const answers = ['198.51.100.7', '127.0.0.1'];
+  let lookups = 0;
+  const lookup = async () => [{ address: answers[Math.min(lookups++, 1)], family: 4 }];
+
+  const result = await sendWebhook({
+    url: `http://hooks.example.test:${server.address().port}/`,
+    secret: 'whsec_test',
+    event: 'item.created',
+    deliveryId: 'delivery-1',
+    body: '{}',
+    lookup,
+    timeoutMs: 500
+  });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(lookups, 1);
+  assert.strictEqual(requests, 0);
+  // hooks.example.test does not resolve for real, so a second lookup of
+  // its own would have failed with ENOTFOUND
+  assert.doesNotMatch(result.error, /ENOTFOUND/);
+});
@@ -14,6 +14,21 @@ struct User: Codable, Identifiable {
         case id, email, name, role
         case createdAt = "created_at"
     }
+    
+    // Owners and admins manage the team
+    var isAdmin: Bool {
+        role == "owner" || role == "admin"
+    }
+    
+    var roleLabel: String {
+        switch role {
+        case "owner": return "Owner"
+        case "admin": return "Administrator"
+        case "manager": return "Manager"
+        case "viewer": return "Viewer"
+        default: return "Clerk"
+        }
+    }
 }
 
 struct Company: Codable {
@@ -96,7 +111,44 @@ class APIService: ObservableObject {
         }
     }
     
+    // Trade the stored refresh token for new tokens; false when the session has ended
+    private func refreshSession() async -> Bool {
+        struct RefreshRequest: Encodable {
+            let refreshToken: String
+        }
+        
+        struct RefreshResponse: Decodable {
+            let token: String
+            let refreshToken: String
+        }
+        
+        guard let refreshToken = UserDefaults.standard.string(forKey: "refreshToken"),
+              let url = URL(string: "\(baseURL)/api/auth/refresh") else {
+            return false
+        }
+        
+        var request = URLRequest(url: url)
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.httpBody = try? JSONEncoder().encode(RefreshRequest(refreshToken: refreshToken))
+        
+        guard let result = try? await URLSession.shared.data(for: request),
+              (result.1 as? HTTPURLResponse)?.statusCode == 200,
+              let tokens = try? JSONDecoder().decode(RefreshResponse.self, from: result.0) else {
+            return false
+        }
+        
+        UserDefaults.standard.set(tokens.token, forKey: "authToken")
+        UserDefaults.standard.set(tokens.refreshToken, forKey: "refreshToken")
+        return true
+    }
+    
     private func makeRequest<T: Decodable>(endpoint: String, method: String = "GET", body: Data? = nil) async throws -> T {
+        return try await makeRequestWithResponse(endpoint: endpoint, method: method, body: body).0
+    }
+    
+    // Like makeRequest, also handing back the response for its headers
+    private func makeRequestWithResponse<T: Decodable>(endpoint: String, method: String = "GET", body: Data? = nil, isRetry: Bool = false) async throws -> (T, HTTPURLResponse) {
         guard let url = URL(string: "\(baseURL)\(endpoint)") else {
             throw URLError(.badURL)
         }
@@ -128,6 +180,12 @@ class APIService: ObservableObject {
         
         print("📥 Status code: \(httpResponse.statusCode)")
         
+        // Access tokens are short-lived; refresh once and repeat the request
+        if httpResponse.statusCode == 401 && !isRetry && !endpoint.hasPrefix("/api/auth/"),
+           await refreshSession() {
+            return try await makeRequestWithResponse(endpoint: endpoint, method: method, body: body, isRetry: true)
+        }
+        
         if httpResponse.statusCode == 401 {
             DispatchQueue.main.async {
                 self.logout()
@@ -145,7 +203,7 @@ class APIService: ObservableObject {
         
         // Try to decode the response
         do {
-            return try JSONDecoder().decode(T.self, from: data)
+            return (try JSONDecoder().decode(T.self, from: data), httpResponse)
         } catch {
             print("❌ Decoding error: \(error)")
             print("❌ Failed to decode type: \(T.self)")
@@ -154,39 +212,68 @@ class APIService: ObservableObject {
         
     }
     
-    func login(email: String, password: String) async throws {
+    // Signs in, or returns a challenge token when the account uses two-factor
+    // sign-in; pass it with a code to loginTwoFactor to finish
+    func login(email: String, password: String) async throws -> String? {
         struct LoginRequest: Encodable {
             let email: String
             let password: String
         }
         
-        struct LoginResponse: Decodable {
-            let success: Bool
-            let user: User
-            let company: Company
-            let token: String
-        }
-        
         print("🔐 Starting login for: \(email)")
         
         let body = try JSONEncoder().encode(LoginRequest(email: email, password: password))
+        return try await signIn(endpoint: "/api/auth/login", body: body)
+    }
+    
+    func loginTwoFactor(challengeToken: String, code: String) async throws {
+        struct TwoFactorRequest: Encodable {
+            let challengeToken: String
+            let code: String
+        }
+        
+        let body = try JSONEncoder().encode(TwoFactorRequest(challengeToken: challengeToken, code: code))
+        _ = try await signIn(endpoint: "/api/auth/login/2fa", body: body)
+    }
+    
+    private func signIn(endpoint: String, body: Data) async throws -> String? {
+        struct LoginResponse: Decodable {
+            let success: Bool
+            let user: User?
+            let company: Company?
+            let token: String?
+            let refreshToken: String?
+            let twoFactorRequired: Bool?
+            let challengeToken: String?
+        }
         
         do {
-            let response: LoginResponse = try await makeRequest(endpoint: "/api/auth/login", method: "POST", body: body)
+            let response: LoginResponse = try await makeRequest(endpoint: endpoint, method: "POST", body: body)
+            
+            if response.twoFactorRequired == true, let challengeToken = response.challengeToken {
+                print("🔐 Two-factor code required")
+                return challengeToken
+            }
+            
+            guard let user = response.user, let company = response.company, let token = response.token else {
+                throw URLError(.badServerResponse)
+            }
             
-            print("✅ Login successful for: \(response.user.name)")
+            print("✅ Login successful for: \(user.name)")
             
-            UserDefaults.standard.set(response.token, forKey: "authToken")
-            if let userData = try? JSONEncoder().encode(response.user) {
+            UserDefaults.standard.set(token, forKey: "authToken")
+            UserDefaults.standard.set(response.refreshToken, forKey: "refreshToken")
+            if let userData = try? JSONEncoder().encode(user) {
                 UserDefaults.standard.set(userData, forKey: "currentUser")
             }
-            if let companyData = try? JSONEncoder().encode(response.company) {
+            if let companyData = try? JSONEncoder().encode(company) {
                 UserDefaults.standard.set(companyData, forKey: "currentCompany")
             }
             
-            self.currentUser = response.user
-            self.currentCompany = response.company
+            self.currentUser = user
+            self.currentCompany = company
             self.isAuthenticated = true
+            return nil
             
         } catch let urlError as URLError {
             print("❌ Network error during login: \(urlError.localizedDescription)")
@@ -233,12 +320,14 @@ class APIService: ObservableObject {
             let user: User
             let company: Company
             let token: String
+            let refreshToken: String?
         }
         
         let body = try JSONEncoder().encode(RegisterRequest(companyName: companyName, adminEmail: adminEmail, adminPassword: adminPassword, adminName: adminName))
         let response: RegisterResponse = try await makeRequest(endpoint: "/api/companies/register", method: "POST", body: body)
         
         UserDefaults.standard.set(response.token, forKey: "authToken")
+        UserDefaults.standard.set(response.refreshToken, forKey: "refreshToken")
         if let userData = try? JSONEncoder().encode(response.user) {
             UserDefaults.standard.set(userData, forKey: "currentUser")
         }
@@ -254,7 +343,17 @@ class APIService: ObservableObject {
     func logout() {
         print("🚪 Logging out...")
         
+        // End the session on the server as well; nothing to wait for
+        if let token = UserDefaults.standard.string(forKey: "authToken"),
+           let url = URL(string: "\(baseURL)/api/auth/logout") {
+            var request = URLRequest(url: url)
+            request.httpMethod = "POST"
+            request.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+            URLSession.shared.dataTask(with: request).resume()
+        }
+        
         UserDefaults.standard.removeObject(forKey: "authToken")
+        UserDefaults.standard.removeObject(forKey: "refreshToken")
         UserDefaults.standard.removeObject(forKey: "currentUser")
         UserDefaults.standard.removeObject(forKey: "currentCompany")
         
@@ -269,8 +368,23 @@ class APIService: ObservableObject {
     }
     
     // MARK: - Items
+    // Every item, following the server's pages until there is no next cursor
     func getItems() async throws -> [Item] {
-        return try await makeRequest(endpoint: "/api/items")
+        var items: [Item] = []
+        var cursor: String?
+        
+        repeat {
+            var endpoint = "/api/items?limit=500"
+            if let cursor = cursor {
+                endpoint += "&cursor=\(cursor)"
+            }
+            
+            let (page, response): ([Item], HTTPURLResponse) = try await makeRequestWithResponse(endpoint: endpoint)
+            items += page
+            cursor = response.value(forHTTPHeaderField: "X-Next-Cursor")
+        } while cursor != nil
+        
+        return items
     }
     
     func createItem(name: String, quantity: Int, barcode: String) async throws -> Item {
@@ -643,6 +757,8 @@ struct LoginView: View {
     @Binding var showingRegistration: Bool
     @State private var email = ""
     @State private var password = ""
+    @State private var challengeToken: String?
+    @State private var code = ""
     @State private var isLoading = false
     @State private var errorMessage = ""
     
@@ -667,24 +783,41 @@ struct LoginView: View {
                 
                 // Form
                 VStack(spacing: 20) {
-                    VStack(alignment: .leading, spacing: 8) {
-                        Label("Email", systemImage: "person.fill")
-                            .font(.caption)
-                            .foregroundColor(.secondary)
-                        
-                        TextField("user@company.com", text: $email)
-                            .textFieldStyle(RoundedBorderTextFieldStyle())
-                            .keyboardType(.emailAddress)
-                            .autocapitalization(.none)
-                    }
-                    
-                    VStack(alignment: .leading, spacing: 8) {
-                        Label("Password", systemImage: "lock.fill")
-                            .font(.caption)
-                            .foregroundColor(.secondary)
+                    if challengeToken != nil {
+                        VStack(alignment: .leading, spacing: 8) {
+                            Label("Authentication Code", systemImage: "key.fill")
+                                .font(.caption)
+                                .foregroundColor(.secondary)
+                            
+                            TextField("123456", text: $code)
+                                .textFieldStyle(RoundedBorderTextFieldStyle())
+                                .keyboardType(.numberPad)
+                                .textContentType(.oneTimeCode)
+                            
+                            Text("Enter the 6-digit code from your authenticator app")
+                                .font(.caption)
+                                .foregroundColor(.secondary)
+                        }
+                    } else {
+                        VStack(alignment: .leading, spacing: 8) {
+                            Label("Email", systemImage: "person.fill")
+                                .font(.caption)
+                                .foregroundColor(.secondary)
+                            
+                            TextField("user@company.com", text: $email)
+                                .textFieldStyle(RoundedBorderTextFieldStyle())
+                                .keyboardType(.emailAddress)
+                                .autocapitalization(.none)
+                        }
                         
-                        SecureField("Enter your password", text: $password)
-                            .textFieldStyle(RoundedBorderTextFieldStyle())
+                        VStack(alignment: .leading, spacing: 8) {
+                            Label("Password", systemImage: "lock.fill")
+                                .font(.caption)
+                                .foregroundColor(.secondary)
+                            
+                            SecureField("Enter your password", text: $password)
+                                .textFieldStyle(RoundedBorderTextFieldStyle())
+                        }
                     }
                     
                     if !errorMessage.isEmpty {
@@ -699,7 +832,7 @@ struct LoginView: View {
                             ProgressView()
                                 .progressViewStyle(CircularProgressViewStyle(tint: .white))
                         } else {
-                            Text("Sign In")
+                            Text(challengeToken == nil ? "Sign In" : "Verify")
                                 .fontWeight(.semibold)
                         }
                     }
@@ -709,6 +842,15 @@ struct LoginView: View {
                     .foregroundColor(.white)
                     .cornerRadius(10)
                     .disabled(isLoading)
+                    
+                    if challengeToken != nil {
+                        Button("Back to Sign In") {
+                            challengeToken = nil
+                            code = ""
+                            errorMessage = ""
+                        }
+                        .foregroundColor(.purple)
+                    }
                 }
                 .padding(.horizontal)
                 
@@ -736,8 +878,11 @@ struct LoginView: View {
         
         Task {
             do {
-                try await api.login(email: email, password: password)
-                print("✅ Login successful")
+                if let challengeToken = challengeToken {
+                    try await api.loginTwoFactor(challengeToken: challengeToken, code: code)
+                } else {
+                    challengeToken = try await api.login(email: email, password: password)
+                }
             } catch {
                 print("❌ Login failed: \(error)")
                 errorMessage = error.localizedDescription
@@ -945,7 +1090,7 @@ struct MainTabView: View {
                     Label("Activity", systemImage: "clock")
                 }
             
-            if APIService.shared.currentUser?.role == "admin" {
+            if APIService.shared.currentUser?.isAdmin == true {
                 TeamManagementView()
                     .tabItem {
                         Label("Team", systemImage: "person.3")
@@ -974,7 +1119,7 @@ class InventoryManager: ObservableObject {
         do {
             items = try await APIService.shared.getItems()
             activities = try await APIService.shared.getActivities()
-            if APIService.shared.currentUser?.role == "admin" {
+            if APIService.shared.currentUser?.isAdmin == true {
                 users = try await APIService.shared.getUsers()
             }
         } catch {
@@ -1957,7 +2102,7 @@ struct UserRowView: View {
             Spacer()
             
             VStack(alignment: .trailing, spacing: 4) {
-                Text(user.role == "admin" ? "Administrator" : "User")
+                Text(user.roleLabel)
                     .font(.caption)
                     .fontWeight(.medium)
                     .foregroundColor(.purple)
@@ -2000,7 +2145,7 @@ struct UserRowView: View {
         @EnvironmentObject var inventoryManager: InventoryManager
         @State private var name = ""
         @State private var email = ""
-        @State private var role = "user"
+        @State private var role = "clerk"
         @State private var isLoading = false
         @State private var errorMessage = ""
         @State private var successMessage = ""
@@ -2024,7 +2169,9 @@ struct UserRowView: View {
                             .disabled(isLoading)
                         
                         Picker("Role", selection: $role) {
-                            Text("User").tag("user")
+                            Text("Viewer").tag("viewer")
+                            Text("Clerk").tag("clerk")
+                            Text("Manager").tag("manager")
                             Text("Administrator").tag("admin")
                         }
                         .disabled(isLoading)
@@ -2280,7 +2427,7 @@ struct SettingsView: View {
                     HStack {
                         Text("Role")
                         Spacer()
-                        Text(api.currentUser?.role == "admin" ? "Administrator" : "User")
+                        Text(api.currentUser?.roleLabel ?? "Clerk")
                             .foregroundColor(.secondary)
                     }
                 }